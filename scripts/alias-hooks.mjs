@@ -0,0 +1,35 @@
+import { existsSync } from "node:fs";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+// Lets plain Node, for the CLI and the tests, load the app's modules the way
+// Next.js does: "@/..." points at src/, source files are ES modules and JSON is
+// imported without attributes.
+const SOURCE_URL = new URL("../src/", import.meta.url).href;
+
+function sourcePath(specifier) {
+  const file = fileURLToPath(new URL(specifier.slice(2), SOURCE_URL));
+  if (/\.(?:m?js|json)$/.test(file)) return file;
+  return existsSync(`${file}.js`) ? `${file}.js` : `${file}/index.js`;
+}
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier.startsWith("@/")) {
+    return { url: pathToFileURL(sourcePath(specifier)).href, shortCircuit: true };
+  }
+  // Next.js ships "next/server" as a file without an exports map, which bundlers
+  // resolve and plain Node does not.
+  if (specifier === "next/server") {
+    return nextResolve("next/server.js", context);
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(SOURCE_URL) && url.endsWith(".js")) {
+    return nextLoad(url, { ...context, format: "module" });
+  }
+  if (url.startsWith(SOURCE_URL) && url.endsWith(".json")) {
+    return nextLoad(url, { ...context, format: "json", importAttributes: { type: "json" } });
+  }
+  return nextLoad(url, context);
+}
@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+import { register } from "node:module";
+
+register("./alias-hooks.mjs", import.meta.url);
+
+const { main } = await import("../src/cli/enrich.js");
+process.exitCode = await main(process.argv.slice(2));
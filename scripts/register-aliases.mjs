@@ -0,0 +1,4 @@
+import { register } from "node:module";
+
+// Tests load the app's modules through the same "@/..." aliases as the CLI.
+register("./alias-hooks.mjs", import.meta.url);
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+import { readFile, writeFile } from "node:fs/promises";
+import { domainToASCII } from "node:url";
+
+// Rebuilds src/config/public-suffixes.json from the upstream list. Pass a path or
+// URL to read a local or mirrored copy instead of publicsuffix.org.
+const UPSTREAM = "https://publicsuffix.org/list/public_suffix_list.dat";
+const TARGET = new URL("../src/config/public-suffixes.json", import.meta.url);
+
+const source = process.argv[2] || UPSTREAM;
+const text = /^https?:\/\//.test(source)
+  ? await fetchList(source)
+  : await readFile(source, "utf8");
+
+const sections = { icann: [], private: [] };
+let section = null;
+for (const raw of text.split(/\r?\n/)) {
+  const line = raw.trim();
+  const marker = line.match(/^\/\/ ===(BEGIN|END) (ICANN|PRIVATE) DOMAINS===/);
+  if (marker) {
+    section = marker[1] === "BEGIN" ? marker[2].toLowerCase() : null;
+    continue;
+  }
+  if (!section || !line || line.startsWith("//")) continue;
+  const rule = toAscii(line.split(/\s/)[0]);
+  if (rule) sections[section].push(rule);
+}
+
+if (!sections.icann.length) {
+  console.error(`${source} does not look like the Public Suffix List.`);
+  process.exit(1);
+}
+
+const list = {
+  source: `Public Suffix List (https://publicsuffix.org/list/), read from ${source} on ${new Date().toISOString().slice(0, 10)}. Rules are stored in their ASCII (punycode) form.`,
+  ...sections,
+};
+await writeFile(TARGET, `${JSON.stringify(list, null, 2)}\n`);
+console.log(`Wrote ${sections.icann.length} ICANN and ${sections.private.length} private rules.`);
+
+async function fetchList(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    console.error(`Could not download ${url}: HTTP ${response.status}.`);
+    process.exit(1);
+  }
+  return response.text();
+}
+
+// Hostnames reach the matcher as punycode, so the rules are stored the same way.
+function toAscii(rule) {
+  const prefix = rule.match(/^(?:!|\*\.)?/)[0];
+  const ascii = domainToASCII(rule.slice(prefix.length));
+  return ascii ? `${prefix}${ascii}` : null;
+}
@@ -0,0 +1,339 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import Link from "next/link";
+
+const TOKEN_KEY = "admin-token";
+
+async function adminRequest(token, path, options = {}) {
+  const response = await fetch(path, {
+    ...options,
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${token}`,
+    },
+  });
+  const payload = await response.json();
+  if (!response.ok) {
+    throw new Error(payload.error || "Request failed.");
+  }
+  return payload;
+}
+
+export default function Admin() {
+  const [token, setToken] = useState("");
+  const [tokenInput, setTokenInput] = useState("");
+  const [keys, setKeys] = useState(null);
+  const [error, setError] = useState("");
+  const [form, setForm] = useState({ name: "", rateLimit: "", dailyQuota: "" });
+  const [createdKey, setCreatedKey] = useState(null);
+  const [drafts, setDrafts] = useState({});
+
+  const inputClass =
+    "rounded-md border border-slate-800 bg-slate-950/40 px-2 py-1 text-sm text-slate-100 outline-none focus:border-cyan-400";
+
+  const request = (path, options) => adminRequest(token, path, options);
+
+  const loadKeys = async (authToken = token) => {
+    try {
+      const payload = await adminRequest(authToken, "/api/admin/keys");
+      setError("");
+      setKeys(payload.keys);
+    } catch (err) {
+      setKeys(null);
+      setError(err?.message || "Could not load API keys.");
+    }
+  };
+
+  useEffect(() => {
+    const restore = async () => {
+      const stored = sessionStorage.getItem(TOKEN_KEY);
+      if (!stored) return;
+      try {
+        const payload = await adminRequest(stored, "/api/admin/keys");
+        setKeys(payload.keys);
+      } catch (err) {
+        setError(err?.message || "Could not load API keys.");
+      }
+      setToken(stored);
+      setTokenInput(stored);
+    };
+    restore();
+  }, []);
+
+  const handleSignIn = (event) => {
+    event.preventDefault();
+    const authToken = tokenInput.trim();
+    sessionStorage.setItem(TOKEN_KEY, authToken);
+    setToken(authToken);
+    loadKeys(authToken);
+  };
+
+  const handleCreate = async (event) => {
+    event.preventDefault();
+    try {
+      setError("");
+      const payload = await request("/api/admin/keys", {
+        method: "POST",
+        body: JSON.stringify(form),
+      });
+      setCreatedKey(payload.key);
+      setForm({ name: "", rateLimit: "", dailyQuota: "" });
+      await loadKeys();
+    } catch (err) {
+      setError(err?.message || "Could not create the API key.");
+    }
+  };
+
+  const handleSave = async (id) => {
+    try {
+      setError("");
+      await request(`/api/admin/keys/${id}`, {
+        method: "PATCH",
+        body: JSON.stringify(drafts[id]),
+      });
+      setDrafts((current) => {
+        const next = { ...current };
+        delete next[id];
+        return next;
+      });
+      await loadKeys();
+    } catch (err) {
+      setError(err?.message || "Could not update the API key.");
+    }
+  };
+
+  const handleRevoke = async (id) => {
+    if (!window.confirm("Revoke this key? Clients using it will get 401 errors.")) {
+      return;
+    }
+    try {
+      setError("");
+      await request(`/api/admin/keys/${id}`, { method: "DELETE" });
+      await loadKeys();
+    } catch (err) {
+      setError(err?.message || "Could not revoke the API key.");
+    }
+  };
+
+  const updateDraft = (record, patch) => {
+    setDrafts((current) => ({
+      ...current,
+      [record.id]: {
+        rateLimit: record.rateLimit,
+        dailyQuota: record.dailyQuota,
+        ...current[record.id],
+        ...patch,
+      },
+    }));
+  };
+
+  return (
+    <div className="min-h-screen bg-slate-950 bg-[radial-gradient(circle_at_top,_rgba(56,189,248,0.12),transparent_60%)] text-slate-100">
+      <div className="mx-auto flex max-w-6xl flex-col gap-8 px-6 py-12 lg:px-10 lg:py-16">
+        <header className="flex items-baseline justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-semibold tracking-tight sm:text-4xl">
+              API keys
+            </h1>
+            <p className="mt-2 max-w-2xl text-sm text-slate-300">
+              Keys authenticate calls to the versioned <code>/api/v1</code>{" "}
+              endpoints. Each key has its own per-minute rate limit and daily
+              entry quota. The{" "}
+              <a
+                href="/api/v1/openapi.json"
+                className="text-cyan-300 hover:text-cyan-200"
+              >
+                OpenAPI document
+              </a>{" "}
+              describes the request and result schemas.
+            </p>
+          </div>
+          <Link
+            href="/"
+            className="text-sm font-semibold text-cyan-300 hover:text-cyan-200"
+          >
+            Back to app
+          </Link>
+        </header>
+
+        <form
+          onSubmit={handleSignIn}
+          className="flex flex-wrap items-center gap-3 text-sm text-slate-300"
+        >
+          <label htmlFor="admin-token">Admin token</label>
+          <input
+            id="admin-token"
+            type="password"
+            value={tokenInput}
+            onChange={(event) => setTokenInput(event.target.value)}
+            className={inputClass}
+          />
+          <button
+            type="submit"
+            className="rounded-md bg-cyan-500 px-3 py-1 font-semibold text-slate-950 hover:bg-cyan-400"
+          >
+            Unlock
+          </button>
+        </form>
+
+        {error ? (
+          <div className="rounded-xl border border-red-400/30 bg-red-500/10 px-4 py-3 text-sm text-red-200">
+            {error}
+          </div>
+        ) : null}
+
+        {createdKey ? (
+          <div className="rounded-xl border border-emerald-400/30 bg-emerald-500/10 px-4 py-3 text-sm text-emerald-100">
+            <p className="font-semibold">Copy this key now — it will not be shown again.</p>
+            <code className="mt-2 block break-all text-emerald-200">{createdKey}</code>
+            <button
+              onClick={() => setCreatedKey(null)}
+              className="mt-2 text-xs font-semibold text-emerald-300 hover:text-emerald-200"
+            >
+              Dismiss
+            </button>
+          </div>
+        ) : null}
+
+        {keys ? (
+          <section className="space-y-6 rounded-2xl border border-slate-800 bg-slate-950/60 p-6">
+            <form
+              onSubmit={handleCreate}
+              className="flex flex-wrap items-end gap-3 text-xs text-slate-400"
+            >
+              <label className="flex flex-col gap-1">
+                Name
+                <input
+                  type="text"
+                  value={form.name}
+                  onChange={(event) => setForm({ ...form, name: event.target.value })}
+                  placeholder="e.g. CRM sync"
+                  className={inputClass}
+                />
+              </label>
+              <label className="flex flex-col gap-1">
+                Requests per minute
+                <input
+                  type="number"
+                  min="1"
+                  value={form.rateLimit}
+                  onChange={(event) => setForm({ ...form, rateLimit: event.target.value })}
+                  placeholder="60"
+                  className={`${inputClass} w-28`}
+                />
+              </label>
+              <label className="flex flex-col gap-1">
+                Entries per day
+                <input
+                  type="number"
+                  min="1"
+                  value={form.dailyQuota}
+                  onChange={(event) => setForm({ ...form, dailyQuota: event.target.value })}
+                  placeholder="5000"
+                  className={`${inputClass} w-28`}
+                />
+              </label>
+              <button
+                type="submit"
+                className="rounded-md bg-cyan-500 px-3 py-1.5 text-sm font-semibold text-slate-950 hover:bg-cyan-400"
+              >
+                Create key
+              </button>
+            </form>
+
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-slate-800 text-left text-sm">
+                <thead>
+                  <tr className="text-xs uppercase tracking-wide text-slate-400">
+                    <th className="px-3 py-2 font-semibold">Name</th>
+                    <th className="px-3 py-2 font-semibold">Key</th>
+                    <th className="px-3 py-2 font-semibold">Per minute</th>
+                    <th className="px-3 py-2 font-semibold">Per day</th>
+                    <th className="px-3 py-2 font-semibold">Used today</th>
+                    <th className="px-3 py-2 font-semibold">Last used</th>
+                    <th className="px-3 py-2 font-semibold" />
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-800/70">
+                  {keys.length === 0 ? (
+                    <tr>
+                      <td colSpan={7} className="px-3 py-8 text-center text-sm text-slate-500">
+                        No API keys yet.
+                      </td>
+                    </tr>
+                  ) : (
+                    keys.map((record) => {
+                      const draft = drafts[record.id];
+                      const revoked = Boolean(record.revokedAt);
+                      return (
+                        <tr key={record.id} className={revoked ? "text-slate-500" : "text-slate-200"}>
+                          <td className="px-3 py-2">{record.name}</td>
+                          <td className="px-3 py-2 font-mono text-xs">{record.prefix}…</td>
+                          <td className="px-3 py-2">
+                            <input
+                              type="number"
+                              min="1"
+                              disabled={revoked}
+                              value={draft?.rateLimit ?? record.rateLimit}
+                              onChange={(event) =>
+                                updateDraft(record, { rateLimit: event.target.value })
+                              }
+                              className={`${inputClass} w-20`}
+                            />
+                          </td>
+                          <td className="px-3 py-2">
+                            <input
+                              type="number"
+                              min="1"
+                              disabled={revoked}
+                              value={draft?.dailyQuota ?? record.dailyQuota}
+                              onChange={(event) =>
+                                updateDraft(record, { dailyQuota: event.target.value })
+                              }
+                              className={`${inputClass} w-24`}
+                            />
+                          </td>
+                          <td className="px-3 py-2 text-xs">
+                            {record.usage.entries} entries · {record.usage.requests} requests
+                          </td>
+                          <td className="px-3 py-2 text-xs text-slate-400">
+                            {record.lastUsedAt
+                              ? new Date(record.lastUsedAt).toLocaleString()
+                              : "Never"}
+                          </td>
+                          <td className="px-3 py-2 text-right text-xs font-semibold">
+                            {revoked ? (
+                              "Revoked"
+                            ) : (
+                              <div className="flex justify-end gap-3">
+                                {draft ? (
+                                  <button
+                                    onClick={() => handleSave(record.id)}
+                                    className="text-cyan-300 hover:text-cyan-200"
+                                  >
+                                    Save
+                                  </button>
+                                ) : null}
+                                <button
+                                  onClick={() => handleRevoke(record.id)}
+                                  className="text-rose-300 hover:text-rose-200"
+                                >
+                                  Revoke
+                                </button>
+                              </div>
+                            )}
+                          </td>
+                        </tr>
+                      );
+                    })
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </section>
+        ) : null}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,45 @@
+import { NextResponse } from "next/server";
+import { withAdminToken } from "@/lib/apiAuth";
+import { revokeApiKey, updateApiKey } from "@/lib/apiKeys";
+
+export const dynamic = "force-dynamic";
+
+export const PATCH = withAdminToken(async (request, { params }) => {
+  try {
+    const { id } = await params;
+    const body = await request.json().catch(() => null);
+    if (!body) {
+      return NextResponse.json(
+        { error: "Request body must be valid JSON." },
+        { status: 400 }
+      );
+    }
+
+    const record = await updateApiKey(id, body);
+    if (!record) {
+      return NextResponse.json({ error: "API key not found." }, { status: 404 });
+    }
+    return NextResponse.json({ record });
+  } catch (error) {
+    return NextResponse.json(
+      { error: error?.message || "Unexpected server error." },
+      { status: 500 }
+    );
+  }
+});
+
+export const DELETE = withAdminToken(async (request, { params }) => {
+  try {
+    const { id } = await params;
+    const record = await revokeApiKey(id);
+    if (!record) {
+      return NextResponse.json({ error: "API key not found." }, { status: 404 });
+    }
+    return NextResponse.json({ record });
+  } catch (error) {
+    return NextResponse.json(
+      { error: error?.message || "Unexpected server error." },
+      { status: 500 }
+    );
+  }
+});
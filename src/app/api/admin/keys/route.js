@@ -0,0 +1,36 @@
+import { NextResponse } from "next/server";
+import { withAdminToken } from "@/lib/apiAuth";
+import { createApiKey, listApiKeys } from "@/lib/apiKeys";
+
+export const dynamic = "force-dynamic";
+
+export const GET = withAdminToken(async () => {
+  try {
+    return NextResponse.json({ keys: await listApiKeys() });
+  } catch (error) {
+    return NextResponse.json(
+      { error: error?.message || "Unexpected server error." },
+      { status: 500 }
+    );
+  }
+});
+
+export const POST = withAdminToken(async (request) => {
+  try {
+    const body = await request.json().catch(() => null);
+    if (!body) {
+      return NextResponse.json(
+        { error: "Request body must be valid JSON." },
+        { status: 400 }
+      );
+    }
+
+    const { key, record } = await createApiKey(body);
+    return NextResponse.json({ key, record }, { status: 201 });
+  } catch (error) {
+    return NextResponse.json(
+      { error: error?.message || "Unexpected server error." },
+      { status: 500 }
+    );
+  }
+});
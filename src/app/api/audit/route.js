@@ -0,0 +1,23 @@
+import { NextResponse } from "next/server";
+import { withAdminToken } from "@/lib/apiAuth";
+import { readAuditLog } from "@/lib/auditLog";
+import { resultRetentionDays } from "@/lib/settings";
+
+export const dynamic = "force-dynamic";
+
+export const GET = withAdminToken(async (request) => {
+  try {
+    const query = new URL(request.url).searchParams;
+    const limit = Math.min(Math.max(Number(query.get("limit")) || 200, 1), 1000);
+    const events = await readAuditLog({
+      limit,
+      action: query.get("action") || undefined,
+    });
+    return NextResponse.json({ events, retentionDays: resultRetentionDays() });
+  } catch (error) {
+    return NextResponse.json(
+      { error: error?.message || "Unexpected server error." },
+      { status: 500 }
+    );
+  }
+});
@@ -0,0 +1,34 @@
+import { NextResponse } from "next/server";
+import { withAdminToken } from "@/lib/apiAuth";
+import { auditActor } from "@/lib/auditLog";
+import { forgetPerson } from "@/lib/privacy";
+
+export const dynamic = "force-dynamic";
+
+export const POST = withAdminToken(async (request) => {
+  try {
+    const body = await request.json().catch(() => null);
+    if (!body) {
+      return NextResponse.json(
+        { error: "Request body must be valid JSON." },
+        { status: 400 }
+      );
+    }
+
+    const outcome = await forgetPerson({
+      email: body.email,
+      linkedin: body.linkedin,
+      suppress: body.suppress !== false,
+      actor: auditActor(request),
+    });
+    if (outcome.error) {
+      return NextResponse.json({ error: outcome.error }, { status: outcome.status });
+    }
+    return NextResponse.json(outcome);
+  } catch (error) {
+    return NextResponse.json(
+      { error: error?.message || "Unexpected server error." },
+      { status: 500 }
+    );
+  }
+});
@@ -0,0 +1,25 @@
+import { NextResponse } from "next/server";
+import { jobBelongsTo, readJob } from "@/lib/jobStore";
+import { summarizeDeliveries } from "@/lib/webhooks";
+
+export const dynamic = "force-dynamic";
+
+export async function GET(request, { params, apiKey }) {
+  try {
+    const { id } = await params;
+    const job = await readJob(id);
+    if (!job || !jobBelongsTo(job, apiKey)) {
+      return NextResponse.json({ error: "Job not found." }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      callback: job.callback || null,
+      deliveries: await summarizeDeliveries(id),
+    });
+  } catch (error) {
+    return NextResponse.json(
+      { error: error?.message || "Unexpected server error." },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,72 @@
+import { NextResponse } from "next/server";
+import { auditActor, recordAudit } from "@/lib/auditLog";
+import { buildExport, filterRows } from "@/lib/exporters";
+import { jobBelongsTo, loadJobResults, readJob } from "@/lib/jobStore";
+
+export const dynamic = "force-dynamic";
+
+export async function GET(request, { params, apiKey }) {
+  try {
+    const { id } = await params;
+    const job = await readJob(id);
+    if (!job || !jobBelongsTo(job, apiKey)) {
+      return NextResponse.json({ error: "Job not found." }, { status: 404 });
+    }
+
+    const query = new URL(request.url).searchParams;
+    let columns;
+    if (query.get("columns")) {
+      try {
+        columns = JSON.parse(query.get("columns"));
+      } catch {
+        return NextResponse.json(
+          { error: "columns must be a JSON array." },
+          { status: 400 }
+        );
+      }
+    }
+
+    const { results } = await loadJobResults(id);
+    const rows = filterRows(results, {
+      department: query.get("department"),
+      seniority: query.get("seniority"),
+      confidence: query.get("confidence"),
+      role: query.get("role"),
+      company: query.get("company"),
+      query: query.get("q"),
+    });
+
+    let file;
+    try {
+      file = buildExport(rows, {
+        preset: query.get("preset") || undefined,
+        format: query.get("format") || undefined,
+        columns,
+        alternates: query.get("alternates") === "1",
+        fileName: `decision-makers-${id.slice(0, 8)}`,
+      });
+    } catch (error) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+
+    await recordAudit({
+      action: "export",
+      actor: auditActor(request, apiKey),
+      jobId: id,
+      rows: rows.length,
+      fileName: file.fileName,
+    });
+
+    return new Response(file.content, {
+      headers: {
+        "Content-Type": file.mimeType,
+        "Content-Disposition": `attachment; filename="${file.fileName}"`,
+      },
+    });
+  } catch (error) {
+    return NextResponse.json(
+      { error: error?.message || "Unexpected server error." },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,39 @@
+import { NextResponse } from "next/server";
+import {
+  jobBelongsTo,
+  loadJobResults,
+  readJob,
+  readJobEntries,
+  summarizeJob,
+} from "@/lib/jobStore";
+
+export const dynamic = "force-dynamic";
+
+export async function GET(request, { params, apiKey }) {
+  try {
+    const { id } = await params;
+    const job = await readJob(id);
+    if (!job || !jobBelongsTo(job, apiKey)) {
+      return NextResponse.json({ error: "Job not found." }, { status: 404 });
+    }
+
+    const [entries, { results, merges, companies, diagnostics, suppressed }] = await Promise.all([
+      readJobEntries(id),
+      loadJobResults(id),
+    ]);
+    return NextResponse.json({
+      job: { ...summarizeJob(job), options: job.options },
+      entries,
+      results,
+      merges,
+      companies,
+      diagnostics,
+      suppressed,
+    });
+  } catch (error) {
+    return NextResponse.json(
+      { error: error?.message || "Unexpected server error." },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,42 @@
+import { createReadStream } from "node:fs";
+import { Readable } from "node:stream";
+import { NextResponse } from "next/server";
+import { auditActor, recordAudit } from "@/lib/auditLog";
+import { hasSnapshot, jobBelongsTo, jobSnapshotPath, readJob } from "@/lib/jobStore";
+
+export const dynamic = "force-dynamic";
+
+export async function GET(request, { params, apiKey }) {
+  try {
+    const { id } = await params;
+    const job = await readJob(id);
+    if (!job || !jobBelongsTo(job, apiKey)) {
+      return NextResponse.json({ error: "Job not found." }, { status: 404 });
+    }
+    if (!(await hasSnapshot(id))) {
+      return NextResponse.json(
+        { error: "This job has no crawl snapshot." },
+        { status: 404 }
+      );
+    }
+
+    await recordAudit({
+      action: "snapshot-export",
+      actor: auditActor(request, apiKey),
+      jobId: id,
+    });
+
+    // Snapshots hold every page body, so they are streamed rather than read whole.
+    return new Response(Readable.toWeb(createReadStream(jobSnapshotPath(id))), {
+      headers: {
+        "Content-Type": "application/x-ndjson; charset=utf-8",
+        "Content-Disposition": `attachment; filename="snapshot-${id.slice(0, 8)}.ndjson"`,
+      },
+    });
+  } catch (error) {
+    return NextResponse.json(
+      { error: error?.message || "Unexpected server error." },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,21 @@
+import { NextResponse } from "next/server";
+import { jobBelongsTo, listJobs, purgeExpiredJobs, summarizeJob } from "@/lib/jobStore";
+
+export const dynamic = "force-dynamic";
+
+export async function GET(request, context) {
+  try {
+    await purgeExpiredJobs();
+    const jobs = await listJobs();
+    return NextResponse.json({
+      jobs: jobs
+        .filter((job) => jobBelongsTo(job, context?.apiKey))
+        .map(summarizeJob),
+    });
+  } catch (error) {
+    return NextResponse.json(
+      { error: error?.message || "Unexpected server error." },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,46 @@
+import { NextResponse } from "next/server";
+import { deleteKnownPattern, updateKnownPattern } from "@/lib/patternStore";
+
+export const dynamic = "force-dynamic";
+
+export async function PATCH(request, { params }) {
+  try {
+    const { domain } = await params;
+    const body = await request.json().catch(() => null);
+    if (!body) {
+      return NextResponse.json(
+        { error: "Request body must be valid JSON." },
+        { status: 400 }
+      );
+    }
+
+    const outcome = await updateKnownPattern(decodeURIComponent(domain), body);
+    if (outcome.error) {
+      return NextResponse.json({ error: outcome.error }, { status: outcome.status });
+    }
+    return NextResponse.json({ pattern: outcome.entry });
+  } catch (error) {
+    return NextResponse.json(
+      { error: error?.message || "Unexpected server error." },
+      { status: 500 }
+    );
+  }
+}
+
+export async function DELETE(request, { params }) {
+  try {
+    const { domain } = await params;
+    if (!(await deleteKnownPattern(decodeURIComponent(domain)))) {
+      return NextResponse.json(
+        { error: "No pattern is recorded for this domain." },
+        { status: 404 }
+      );
+    }
+    return NextResponse.json({ deleted: true });
+  } catch (error) {
+    return NextResponse.json(
+      { error: error?.message || "Unexpected server error." },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,54 @@
+import { NextResponse } from "next/server";
+import { importKnownPatterns, listKnownPatterns } from "@/lib/patternStore";
+
+export const dynamic = "force-dynamic";
+
+export async function GET(request) {
+  try {
+    const patterns = await listKnownPatterns();
+    if (new URL(request.url).searchParams.get("download") === "1") {
+      const body = JSON.stringify(
+        { exportedAt: new Date().toISOString(), patterns },
+        null,
+        2
+      );
+      return new Response(body, {
+        headers: {
+          "Content-Type": "application/json;charset=utf-8",
+          "Content-Disposition": 'attachment; filename="pattern-knowledge-base.json"',
+        },
+      });
+    }
+    return NextResponse.json({ patterns });
+  } catch (error) {
+    return NextResponse.json(
+      { error: error?.message || "Unexpected server error." },
+      { status: 500 }
+    );
+  }
+}
+
+export async function POST(request) {
+  try {
+    const body = await request.json().catch(() => null);
+    if (!body) {
+      return NextResponse.json(
+        { error: "Request body must be valid JSON." },
+        { status: 400 }
+      );
+    }
+
+    // Accept both an exported file and a bare array of records.
+    const list = Array.isArray(body) ? body : body.patterns;
+    const outcome = await importKnownPatterns(list, { replace: body.replace === true });
+    if (outcome.error) {
+      return NextResponse.json({ error: outcome.error }, { status: outcome.status });
+    }
+    return NextResponse.json(outcome);
+  } catch (error) {
+    return NextResponse.json(
+      { error: error?.message || "Unexpected server error." },
+      { status: 500 }
+    );
+  }
+}
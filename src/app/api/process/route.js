@@ -1,118 +1,197 @@
 import { NextResponse } from "next/server";
+import { checkEntryLimit, readJsonBody } from "@/lib/apiAuth";
+import { auditActor, fingerprint, recordAudit } from "@/lib/auditLog";
+import {
+  createJob,
+  hasSnapshot,
+  isJobStale,
+  jobBelongsTo,
+  jobSnapshotPath,
+  purgeExpiredJobs,
+  readCompletedCompanies,
+  readJob,
+  readJobEntries,
+  recordCompany,
+  rewriteCompanies,
+  summarizeJob,
+  updateJob,
+  writeJobEntries,
+} from "@/lib/jobStore";
+import {
+  processEntries,
+  validateRoleFilter,
+} from "@/lib/pipeline";
+import { createSnapshotRecorder, createSnapshotReplay } from "@/lib/snapshots";
+import {
+  deliverWebhook,
+  validateCallbackUrl,
+  webhookSettingsFromEnv,
+} from "@/lib/webhooks";
 
 export const dynamic = "force-dynamic";
 
-const FREE_PROVIDERS = new Set([
-  "gmail.com",
-  "yahoo.com",
-  "outlook.com",
-  "hotmail.com",
-  "icloud.com",
-  "aol.com",
-  "protonmail.com",
-  "zoho.com",
-  "yandex.com",
-  "gmx.com",
-  "mail.com",
-]);
+const NDJSON_CONTENT_TYPE = "application/x-ndjson";
 
-const ROLE_KEYWORDS = [
-  { match: ["founder", "cofounder", "co-founder"], label: "Founder" },
-  { match: ["ceo", "chiefexecutiveofficer"], label: "CEO" },
-  { match: ["c-suite", "executive"], label: "Executive" },
-  { match: ["cfo", "chieffinancialofficer", "financehead", "finance"], label: "Finance Head" },
-  {
-    match: ["operations", "ops", "headoperations", "operationshead"],
-    label: "Operations Head",
-  },
-];
+const CALLBACK_SECRET_MISSING = "Set WEBHOOK_SECRET to enable callbacks.";
 
-const FALLBACK_PATTERNS = ["first.last", "first", "firstlast", "firstinitial.last", "first.lastinitial"];
+const SNAPSHOT_GONE = "The snapshot this job replays no longer exists.";
 
-const PATTERN_PRIORITY = {
-  "first.last": 5,
-  "firstlast": 4,
-  "firstinitial.last": 3,
-  "first.lastinitial": 3,
-  first: 2,
-};
-
-const ROLE_PRIORITY = {
-  Founder: 5,
-  CEO: 4,
-  Executive: 3,
-  "Operations Head": 2,
-  "Finance Head": 2,
-};
-
-const EMAIL_REGEX = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
-
-export async function POST(request) {
+export async function POST(request, context) {
   try {
-    const { entries } = await request.json();
-
-    if (!Array.isArray(entries) || entries.length === 0) {
-      return NextResponse.json(
-        { results: [], error: "No entries supplied." },
-        { status: 400 }
-      );
+    const { body, error, status } = await readJsonBody(request);
+    if (error) {
+      return NextResponse.json({ results: [], error }, { status });
     }
+    const {
+      resumeJobId,
+      corrections,
+      callbackUrl,
+      callbackCompanies,
+      recordSnapshot,
+      replayJobId,
+      ...requested
+    } = body;
+    const apiKey = context?.apiKey || null;
+    const actor = auditActor(request, apiKey);
+    await purgeExpiredJobs();
+
+    let run;
+    if (resumeJobId) {
+      run = await resumeJob(resumeJobId, apiKey, corrections);
+      if (run.error) {
+        return NextResponse.json(
+          { results: [], error: run.error },
+          { status: run.status }
+        );
+      }
+      await recordAudit({
+        action: "resume",
+        actor,
+        jobId: run.job.id,
+        entries: run.entries.length,
+        corrected: corrections?.length || 0,
+      });
+    } else {
+      const replay = replayJobId ? await replaySource(replayJobId, apiKey) : null;
+      if (replay?.error) {
+        return NextResponse.json(
+          { results: [], error: replay.error },
+          { status: replay.status }
+        );
+      }
+      if (replay && recordSnapshot) {
+        return NextResponse.json(
+          { results: [], error: "A replay cannot record a new snapshot." },
+          { status: 400 }
+        );
+      }
+      // A replay reruns the recorded job unless the request says otherwise.
+      const { entries, ...options } = replay
+        ? { entries: replay.entries, ...replay.job.options, verify: false, ...requested }
+        : requested;
+      if (replay && options.verify) {
+        return NextResponse.json(
+          { results: [], error: "A replay cannot verify mailboxes; that needs the network." },
+          { status: 400 }
+        );
+      }
 
-    const results = [];
-
-    for (const entry of entries) {
-      const company = (entry?.company || "").trim();
-      const website = (entry?.website || "").trim();
-      const linkedinProfiles = Array.isArray(entry?.linkedinProfiles)
-        ? entry.linkedinProfiles.filter(Boolean)
-        : [];
+      if (!Array.isArray(entries) || entries.length === 0) {
+        return NextResponse.json(
+          { results: [], error: "No entries supplied." },
+          { status: 400 }
+        );
+      }
 
-      const domain = deriveDomain(website);
-      if (!domain || FREE_PROVIDERS.has(domain.toLowerCase())) {
-        continue;
+      const entryError = checkEntryLimit(entries);
+      if (entryError) {
+        return NextResponse.json(
+          { results: [], error: entryError },
+          { status: 413 }
+        );
       }
 
-      const patternDiscovery = await discoverPattern(domain);
-      const contacts = linkedinProfiles.flatMap((profile) =>
-        extractContactFromLinkedIn(profile, company)
-      );
+      const filterError = validateRoleFilter(options);
+      if (filterError) {
+        return NextResponse.json(
+          { results: [], error: filterError },
+          { status: 400 }
+        );
+      }
 
-      for (const contact of contacts) {
-        const emailPattern =
-          patternDiscovery.pattern || chooseFallbackPattern(contact);
-        if (!emailPattern) {
-          continue;
+      let callback = null;
+      if (callbackUrl !== undefined) {
+        const { url, error: callbackError } = validateCallbackUrl(callbackUrl);
+        if (callbackError) {
+          return NextResponse.json(
+            { results: [], error: callbackError },
+            { status: 400 }
+          );
         }
-
-        const email = buildEmail(contact, domain, emailPattern);
-        if (!email) {
-          continue;
+        if (!webhookSettingsFromEnv().secret) {
+          return NextResponse.json(
+            { results: [], error: CALLBACK_SECRET_MISSING },
+            { status: 503 }
+          );
         }
+        callback = { url, companies: Boolean(callbackCompanies) };
+      }
 
-        const confidence = adjustConfidence(
-          patternDiscovery.confidence,
-          emailPattern,
-          contact
-        );
+      run = {
+        job: await createJob({
+          entries,
+          options,
+          apiKeyId: apiKey?.id,
+          callback,
+          snapshot: replay
+            ? { mode: "replay", sourceJobId: replay.job.id }
+            : recordSnapshot
+            ? { mode: "record" }
+            : null,
+        }),
+        entries,
+        options,
+        completed: new Map(),
+      };
+      await recordAudit({
+        action: "process",
+        actor,
+        jobId: run.job.id,
+        entries: entries.length,
+        list: fingerprint(entries),
+        snapshot: run.job.snapshot?.mode,
+      });
+    }
 
-        const combinedSource = [contact.source, patternDiscovery.source]
-          .filter(Boolean)
-          .join(" | ");
+    // Jobs with a callback run detached from the request, so callers need not hold it open.
+    if (run.job.callback) {
+      runJob(run, {}).catch((error) => recordDetachedFailure(run.job.id, error));
+      return NextResponse.json(
+        {
+          jobId: run.job.id,
+          status: "running",
+          statusUrl: new URL(request.url).pathname.replace(/process\/?$/, `jobs/${run.job.id}`),
+        },
+        { status: 202 }
+      );
+    }
 
-        results.push({
-          name: contact.fullName,
-          role: contact.role,
-          company: company || contact.company || "Unknown company",
-          email,
-          confidence,
-          source: combinedSource,
-        });
-      }
+    if (wantsEventStream(request)) {
+      return streamEntries(run, request.signal);
     }
 
-    const uniqueResults = deduplicateResults(results);
+    const { results, merges, companies, diagnostics, suppressed } = await runJob(run, {
+      signal: request.signal,
+    });
 
-    return NextResponse.json({ results: uniqueResults });
+    return NextResponse.json({
+      jobId: run.job.id,
+      results,
+      merges,
+      companies,
+      diagnostics,
+      suppressed,
+    });
   } catch (error) {
     return NextResponse.json(
       { error: error?.message || "Unexpected server error." },
@@ -121,337 +200,261 @@ export async function POST(request) {
   }
 }
 
-function deduplicateResults(results) {
-  const seen = new Set();
-  return results.filter((item) => {
-    const signature = `${item.company.toLowerCase()}-${item.email.toLowerCase()}`;
-    if (seen.has(signature)) {
-      return false;
-    }
-    seen.add(signature);
-    return true;
-  });
-}
-
-function deriveDomain(input) {
-  if (!input) return null;
-  let value = input.trim();
-  if (!value) return null;
-
-  if (!value.startsWith("http")) {
-    value = `https://${value}`;
+async function resumeJob(id, apiKey, corrections) {
+  const job = await readJob(id);
+  if (!job || !jobBelongsTo(job, apiKey)) {
+    return { error: "Job not found.", status: 404 };
   }
-
-  try {
-    const url = new URL(value);
-    const host = url.hostname.toLowerCase();
-    if (host.startsWith("www.")) {
-      return host.slice(4);
-    }
-    return host;
-  } catch {
-    return null;
+  if (job.callback && !webhookSettingsFromEnv().secret) {
+    return { error: CALLBACK_SECRET_MISSING, status: 503 };
   }
-}
-
-async function discoverPattern(domain) {
-  const urlsToTry = buildDiscoveryUrls(domain);
-  let discoveredPattern = null;
-  let discoveredFrom = null;
-
-  for (const url of urlsToTry) {
-    const html = await fetchHtml(url);
-    if (!html) continue;
-    const matches = html.match(EMAIL_REGEX) || [];
-    const businessEmails = matches
-      .map((email) => email.toLowerCase())
-      .filter((email) => email.endsWith(`@${domain}`));
-
-    if (businessEmails.length) {
-      const pattern = selectPattern(businessEmails);
-      if (pattern) {
-        discoveredPattern = pattern;
-        discoveredFrom = url;
-        break;
-      }
-    }
+  if (corrections !== undefined && !Array.isArray(corrections)) {
+    return { error: "corrections must be an array of entries with an index.", status: 400 };
   }
-
-  if (discoveredPattern) {
-    return { pattern: discoveredPattern, confidence: "high", source: discoveredFrom };
+  if (job.status === "completed" && !corrections?.length) {
+    return { error: "Job already completed.", status: 409 };
   }
-
-  // As a fallback, try to guess pattern based on domain heuristics.
-  const heuristicPattern = guessPatternFromDomain(domain);
-  if (heuristicPattern) {
-    return { pattern: heuristicPattern, confidence: "medium", source: `https://${domain}` };
+  // A crashed run leaves its job "running"; it can be picked up once it has gone quiet.
+  if (job.status === "running" && !isJobStale(job)) {
+    return { error: "Job is still running.", status: 409 };
+  }
+  if (job.snapshot?.mode === "replay" && !(await hasSnapshot(job.snapshot.sourceJobId))) {
+    return { error: SNAPSHOT_GONE, status: 410 };
   }
 
-  return { pattern: null, confidence: "low", source: `https://${domain}` };
-}
-
-function buildDiscoveryUrls(domain) {
-  const base = `https://${domain}`;
-  const withoutWww = domain.startsWith("www.") ? domain.slice(4) : domain;
-  const withWww = withoutWww === domain ? `www.${domain}` : domain;
-
-  const candidates = new Set([
-    `https://${withoutWww}`,
-    `https://${withWww}`,
-    `http://${withoutWww}`,
-    `http://${withWww}`,
-    `${base}/contact`,
-    `${base}/team`,
-    `${base}/about`,
+  const [entries, completed] = await Promise.all([
+    readJobEntries(id),
+    readCompletedCompanies(id),
   ]);
 
-  return Array.from(candidates);
-}
-
-async function fetchHtml(url) {
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), 7000);
-
-  try {
-    const response = await fetch(url, {
-      method: "GET",
-      headers: {
-        "User-Agent":
-          "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123 Safari/537.36",
-        Accept: "text/html,application/xhtml+xml",
-      },
-      redirect: "follow",
-      signal: controller.signal,
-    });
-
-    if (!response.ok) {
-      return null;
+  // Corrected rows replace their entries and are crawled again on this run.
+  if (corrections?.length) {
+    for (const correction of corrections) {
+      const index = correction?.index;
+      if (!Number.isInteger(index) || index < 0 || index >= entries.length) {
+        return { error: `Correction index ${index} is not a row of this job.`, status: 400 };
+      }
     }
-
-    const text = await response.text();
-    return text;
-  } catch {
-    return null;
-  } finally {
-    clearTimeout(timeout);
-  }
-}
-
-function selectPattern(emails) {
-  const patternScores = new Map();
-
-  for (const email of emails) {
-    const [local] = email.split("@");
-    const pattern = inferPattern(local);
-    if (!pattern) continue;
-    patternScores.set(
-      pattern,
-      (patternScores.get(pattern) || 0) + (PATTERN_PRIORITY[pattern] || 1)
-    );
-  }
-
-  let bestPattern = null;
-  let bestScore = -Infinity;
-
-  for (const [pattern, score] of patternScores.entries()) {
-    if (score > bestScore) {
-      bestPattern = pattern;
-      bestScore = score;
+    for (const { index, company, website, linkedinProfiles } of corrections) {
+      entries[index] = {
+        company: String(company ?? entries[index].company ?? ""),
+        website: String(website ?? entries[index].website ?? ""),
+        linkedinProfiles: Array.isArray(linkedinProfiles)
+          ? linkedinProfiles.map(String)
+          : entries[index].linkedinProfiles || [],
+      };
+      completed.delete(index);
     }
+    await writeJobEntries(id, entries);
+    await rewriteCompanies(
+      id,
+      Array.from(completed.values()).sort((a, b) => a.index - b.index)
+    );
   }
+  const resumed = await updateJob(id, (current) => ({
+    ...current,
+    status: "running",
+    runs: (current.runs || 1) + 1,
+    finishedAt: null,
+    error: null,
+    progress: {
+      ...current.progress,
+      completed: completed.size,
+      contacts: Array.from(completed.values()).reduce(
+        (sum, record) => sum + record.results.length,
+        0
+      ),
+    },
+  }));
 
-  return bestPattern;
+  return { job: resumed, entries, options: job.options || {}, completed };
 }
 
-function inferPattern(localPart) {
-  const sanitized = localPart.replace(/[^a-z]/gi, "");
-  if (!localPart) return null;
-
-  if (/^[a-z]+\.{1}[a-z]+$/.test(localPart)) {
-    return "first.last";
+async function replaySource(id, apiKey) {
+  const job = await readJob(id);
+  if (!job || !jobBelongsTo(job, apiKey)) {
+    return { error: "Job to replay not found.", status: 404 };
   }
-  if (/^[a-z]+[a-z]+$/.test(localPart) && sanitized.length >= 4) {
-    return "firstlast";
+  if (job.snapshot?.mode !== "record") {
+    return { error: "That job did not record a snapshot.", status: 400 };
   }
-  if (/^[a-z]\.[a-z]+$/.test(localPart)) {
-    return "firstinitial.last";
+  if (!(await hasSnapshot(id))) {
+    return { error: SNAPSHOT_GONE, status: 410 };
   }
-  if (/^[a-z]+\.{1}[a-z]$/.test(localPart)) {
-    return "first.lastinitial";
-  }
-  if (/^[a-z]+$/.test(localPart)) {
-    return "first";
-  }
-
-  return null;
+  return { job, entries: await readJobEntries(id) };
 }
 
-function guessPatternFromDomain(domain) {
-  const hints = [
-    { pattern: "first.last", keywords: ["io", "tech", "systems", "labs"] },
-    { pattern: "firstinitial.last", keywords: ["finance", "bank", "capital"] },
-    { pattern: "firstlast", keywords: ["media", "creative", "studio"] },
-  ];
-
-  for (const hint of hints) {
-    if (hint.keywords.some((keyword) => domain.includes(keyword))) {
-      return hint.pattern;
-    }
+function openSnapshot(job) {
+  if (job.snapshot?.mode === "record") {
+    return createSnapshotRecorder(jobSnapshotPath(job.id));
+  }
+  if (job.snapshot?.mode === "replay") {
+    return createSnapshotReplay(jobSnapshotPath(job.snapshot.sourceJobId));
   }
-
   return null;
 }
 
-function extractContactFromLinkedIn(url, company) {
-  if (!url || typeof url !== "string") return [];
-  const trimmed = url.trim();
-  if (!trimmed) return [];
-
-  let slug = trimmed;
-
+async function runJob({ job, entries, options, completed }, { signal, onEvent }) {
+  const deliveries = [];
   try {
-    const link = new URL(trimmed);
-    slug = link.pathname.split("/").filter(Boolean).pop() || trimmed;
-  } catch {
-    slug = trimmed.split("/").filter(Boolean).pop() || trimmed;
-  }
-
-  const tokens = slug
-    .toLowerCase()
-    .replace(/[^a-z0-9-_\s]/g, " ")
-    .split(/[-_\s]+/)
-    .filter(Boolean);
-
-  const matchedRoles = new Set();
-  const nameTokens = [];
-
-  for (const token of tokens) {
-    const match = ROLE_KEYWORDS.find((item) =>
-      item.match.includes(token.replace(/[^a-z]/g, ""))
-    );
-    if (match) {
-      matchedRoles.add(match.label);
-    } else if (!/^\d+$/.test(token)) {
-      nameTokens.push(token);
+    const snapshot = await openSnapshot(job);
+    if (job.snapshot?.mode === "replay" && !snapshot) {
+      throw new Error(SNAPSHOT_GONE);
     }
+    const outcome = await processEntries(entries, {
+      ...options,
+      snapshot,
+      signal,
+      onEvent,
+      completed,
+      onCompanyDone: async (record) => {
+        await recordCompany(job.id, record);
+        if (job.callback?.companies) {
+          deliveries.push(
+            notifyCallback(job, "company.completed", {
+              index: record.index,
+              company: record.report,
+              results: record.results,
+            })
+          );
+        }
+      },
+    });
+    const finished = await updateJob(job.id, (current) => ({
+      ...current,
+      status: signal?.aborted ? "cancelled" : "completed",
+      finishedAt: new Date().toISOString(),
+    }));
+    await recordAudit({
+      action: "process-finished",
+      jobId: job.id,
+      status: finished.status,
+      contacts: outcome.results.length,
+      suppressed: outcome.suppressed,
+    });
+    if (job.callback) {
+      // Per-company deliveries go first so receivers see completion last.
+      await Promise.all(deliveries);
+      await notifyCallback(job, "job.completed", {
+        job: summarizeJob(finished),
+        results: outcome.results,
+        merges: outcome.merges,
+        companies: outcome.companies,
+        diagnostics: outcome.diagnostics,
+        suppressed: outcome.suppressed,
+      });
+    }
+    return outcome;
+  } catch (error) {
+    const failed = await updateJob(job.id, (current) => ({
+      ...current,
+      status: "failed",
+      finishedAt: new Date().toISOString(),
+      error: error?.message || "Unexpected server error.",
+    })).catch(() => null);
+    if (job.callback && failed) {
+      await Promise.all(deliveries);
+      await notifyCallback(job, "job.failed", { job: summarizeJob(failed) });
+    }
+    throw error;
   }
-
-  if (nameTokens.length === 0) {
-    return [];
-  }
-
-  const { firstName, lastName } = splitNameTokens(nameTokens);
-  if (!firstName) {
-    return [];
-  }
-
-  const role =
-    matchedRoles.size > 0
-      ? Array.from(matchedRoles)
-          .sort((a, b) => (ROLE_PRIORITY[b] || 0) - (ROLE_PRIORITY[a] || 0))
-          .join(" & ")
-      : "Decision Maker";
-
-  const fullName = [firstName, lastName].filter(Boolean).join(" ");
-
-  return [
-    {
-      firstName,
-      lastName,
-      fullName,
-      role,
-      company,
-      source: trimmed,
-    },
-  ];
-}
-
-function splitNameTokens(tokens) {
-  if (!tokens.length) {
-    return { firstName: null, lastName: null };
-  }
-
-  const cleanedTokens = tokens
-    .map((token) => token.replace(/[^a-z]/g, ""))
-    .filter(Boolean);
-
-  if (!cleanedTokens.length) {
-    return { firstName: null, lastName: null };
-  }
-
-  const firstName = capitalize(cleanedTokens[0]);
-  const lastName =
-    cleanedTokens.length > 1
-      ? capitalize(cleanedTokens[cleanedTokens.length - 1])
-      : null;
-
-  return { firstName, lastName };
 }
 
-function capitalize(input) {
-  if (!input) return "";
-  return input.charAt(0).toUpperCase() + input.slice(1);
+// Nobody is waiting on a detached job, and marking it failed may itself have failed,
+// so the audit log is where the error is kept.
+async function recordDetachedFailure(jobId, error) {
+  await recordAudit({
+    action: "process-finished",
+    jobId,
+    status: "failed",
+    contacts: 0,
+    error: error?.message || "Unexpected server error.",
+  }).catch(() => {});
 }
 
-function chooseFallbackPattern(contact) {
-  if (!contact.lastName) {
-    return "first";
+async function notifyCallback(job, event, payload) {
+  try {
+    const delivery = await deliverWebhook(job.id, {
+      url: job.callback.url,
+      event,
+      payload,
+    });
+    await recordAudit({
+      action: "webhook",
+      jobId: job.id,
+      event,
+      host: new URL(job.callback.url).host,
+      delivered: delivery.ok,
+      attempts: delivery.attempts,
+    });
+  } catch {
+    // A broken delivery log must not fail the job it reports on.
   }
-  return FALLBACK_PATTERNS[0];
-}
-
-function buildEmail(contact, domain, pattern) {
-  const first = sanitizePart(contact.firstName);
-  const last = sanitizePart(contact.lastName);
-
-  if (!first) return null;
-
-  const localPart = applyPattern(pattern, first, last);
-  if (!localPart) return null;
-
-  return `${localPart}@${domain}`;
 }
 
-function sanitizePart(value) {
-  if (!value) return "";
-  return value
-    .normalize("NFD")
-    .replace(/[\u0300-\u036f]/g, "")
-    .replace(/[^a-z]/gi, "")
-    .toLowerCase();
+function wantsEventStream(request) {
+  const accept = request.headers.get("accept") || "";
+  return accept.includes(NDJSON_CONTENT_TYPE);
 }
 
-function applyPattern(pattern, first, last) {
-  switch (pattern) {
-    case "first.last":
-      if (!last) return null;
-      return `${first}.${last}`;
-    case "firstlast":
-      if (!last) return null;
-      return `${first}${last}`;
-    case "firstinitial.last":
-      if (!last) return null;
-      return `${first.charAt(0)}.${last}`;
-    case "first.lastinitial":
-      if (!last) return null;
-      return `${first}.${last.charAt(0)}`;
-    case "first":
-      return first;
-    default:
-      return null;
-  }
-}
-
-function adjustConfidence(base, pattern, contact) {
-  let level = base || "low";
-  if (!contact.lastName || pattern === "first") {
-    level = downgrade(level);
-  }
-  return level;
-}
+function streamEntries(run, requestSignal) {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  requestSignal?.addEventListener("abort", abort);
+  const encoder = new TextEncoder();
+
+  const stream = new ReadableStream({
+    async start(streamController) {
+      const emit = (event) => {
+        if (controller.signal.aborted) return;
+        streamController.enqueue(encoder.encode(`${JSON.stringify(event)}\n`));
+      };
+
+      try {
+        emit({
+          type: "start",
+          jobId: run.job.id,
+          total: run.entries.length,
+          resumed: run.completed.size,
+        });
+        const { results, merges, companies, diagnostics, suppressed } = await runJob(run, {
+          signal: controller.signal,
+          onEvent: emit,
+        });
+        emit({
+          type: "done",
+          jobId: run.job.id,
+          cancelled: controller.signal.aborted,
+          results,
+          merges,
+          companies,
+          diagnostics,
+          suppressed,
+        });
+      } catch (error) {
+        emit({
+          type: "error",
+          message: error?.message || "Unexpected server error.",
+        });
+      } finally {
+        requestSignal?.removeEventListener("abort", abort);
+        try {
+          streamController.close();
+        } catch {
+          // The client already went away; nothing left to flush.
+        }
+      }
+    },
+    cancel() {
+      abort();
+    },
+  });
 
-function downgrade(level) {
-  if (level === "high") return "medium";
-  if (level === "medium") return "low";
-  return "low";
+  return new Response(stream, {
+    headers: {
+      "Content-Type": `${NDJSON_CONTENT_TYPE}; charset=utf-8`,
+      "Cache-Control": "no-cache, no-transform",
+      "X-Accel-Buffering": "no",
+    },
+  });
 }
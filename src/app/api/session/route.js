@@ -0,0 +1,43 @@
+import { NextResponse } from "next/server";
+import { auditActor, recordAudit } from "@/lib/auditLog";
+import { APP_SESSION_COOKIE, appSessionValue, appTokenMatches } from "@/lib/appSession";
+
+export const dynamic = "force-dynamic";
+
+export async function POST(request) {
+  try {
+    if (!process.env.APP_TOKEN) {
+      return NextResponse.json(
+        { error: "Set APP_TOKEN on the server to use the app." },
+        { status: 503 }
+      );
+    }
+
+    const body = await request.json().catch(() => null);
+    if (!appTokenMatches(body?.token)) {
+      await recordAudit({ action: "sign-in", actor: auditActor(request), ok: false });
+      return NextResponse.json({ error: "Invalid app token." }, { status: 401 });
+    }
+
+    await recordAudit({ action: "sign-in", actor: auditActor(request), ok: true });
+    const response = NextResponse.json({ ok: true });
+    response.cookies.set(APP_SESSION_COOKIE, appSessionValue(process.env.APP_TOKEN), {
+      httpOnly: true,
+      sameSite: "strict",
+      secure: new URL(request.url).protocol === "https:",
+      path: "/",
+    });
+    return response;
+  } catch (error) {
+    return NextResponse.json(
+      { error: error?.message || "Unexpected server error." },
+      { status: 500 }
+    );
+  }
+}
+
+export async function DELETE() {
+  const response = NextResponse.json({ ok: true });
+  response.cookies.delete(APP_SESSION_COOKIE);
+  return response;
+}
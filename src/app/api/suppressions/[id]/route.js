@@ -0,0 +1,31 @@
+import { NextResponse } from "next/server";
+import { withAdminToken } from "@/lib/apiAuth";
+import { auditActor, recordAudit } from "@/lib/auditLog";
+import { removeSuppression } from "@/lib/suppression";
+
+export const dynamic = "force-dynamic";
+
+export const DELETE = withAdminToken(async (request, { params }) => {
+  try {
+    const { id } = await params;
+    const removed = await removeSuppression(id);
+    if (!removed) {
+      return NextResponse.json(
+        { error: "Suppression entry not found." },
+        { status: 404 }
+      );
+    }
+
+    await recordAudit({
+      action: "suppression-remove",
+      actor: auditActor(request),
+      type: removed.type,
+    });
+    return NextResponse.json({ removed });
+  } catch (error) {
+    return NextResponse.json(
+      { error: error?.message || "Unexpected server error." },
+      { status: 500 }
+    );
+  }
+});
@@ -0,0 +1,44 @@
+import { NextResponse } from "next/server";
+import { auditActor, recordAudit } from "@/lib/auditLog";
+import { addSuppressions, listSuppressions } from "@/lib/suppression";
+
+export const dynamic = "force-dynamic";
+
+export async function GET() {
+  try {
+    return NextResponse.json({ suppressions: await listSuppressions() });
+  } catch (error) {
+    return NextResponse.json(
+      { error: error?.message || "Unexpected server error." },
+      { status: 500 }
+    );
+  }
+}
+
+export async function POST(request) {
+  try {
+    const body = await request.json().catch(() => null);
+    if (!Array.isArray(body?.entries)) {
+      return NextResponse.json(
+        { error: "Send an entries array of { type, value, reason }." },
+        { status: 400 }
+      );
+    }
+
+    const { added, rejected } = await addSuppressions(body.entries);
+    if (added.length) {
+      await recordAudit({
+        action: "suppression-add",
+        actor: auditActor(request),
+        added: added.length,
+        types: Array.from(new Set(added.map((entry) => entry.type))),
+      });
+    }
+    return NextResponse.json({ added, rejected });
+  } catch (error) {
+    return NextResponse.json(
+      { error: error?.message || "Unexpected server error." },
+      { status: 500 }
+    );
+  }
+}
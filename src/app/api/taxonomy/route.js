@@ -0,0 +1,15 @@
+import { NextResponse } from "next/server";
+import { loadRoleTaxonomySource } from "@/lib/roleTaxonomy";
+
+export const dynamic = "force-dynamic";
+
+export async function GET() {
+  try {
+    return NextResponse.json(loadRoleTaxonomySource());
+  } catch (error) {
+    return NextResponse.json(
+      { error: error?.message || "Unexpected server error." },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,6 @@
+import { GET as readDeliveries } from "@/app/api/jobs/[id]/deliveries/route";
+import { withApiKey } from "@/lib/apiAuth";
+
+export const dynamic = "force-dynamic";
+
+export const GET = withApiKey(readDeliveries);
@@ -0,0 +1,6 @@
+import { GET as exportJob } from "@/app/api/jobs/[id]/export/route";
+import { withApiKey } from "@/lib/apiAuth";
+
+export const dynamic = "force-dynamic";
+
+export const GET = withApiKey(exportJob);
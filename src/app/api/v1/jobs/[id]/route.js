@@ -0,0 +1,6 @@
+import { GET as readJob } from "@/app/api/jobs/[id]/route";
+import { withApiKey } from "@/lib/apiAuth";
+
+export const dynamic = "force-dynamic";
+
+export const GET = withApiKey(readJob);
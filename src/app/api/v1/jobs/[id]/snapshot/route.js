@@ -0,0 +1,6 @@
+import { GET as readSnapshot } from "@/app/api/jobs/[id]/snapshot/route";
+import { withApiKey } from "@/lib/apiAuth";
+
+export const dynamic = "force-dynamic";
+
+export const GET = withApiKey(readSnapshot);
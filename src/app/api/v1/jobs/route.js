@@ -0,0 +1,6 @@
+import { GET as listJobs } from "@/app/api/jobs/route";
+import { withApiKey } from "@/lib/apiAuth";
+
+export const dynamic = "force-dynamic";
+
+export const GET = withApiKey(listJobs);
@@ -0,0 +1,16 @@
+import { NextResponse } from "next/server";
+import { buildOpenApiDocument } from "@/lib/openapi";
+
+export const dynamic = "force-dynamic";
+
+export async function GET(request) {
+  try {
+    const { origin } = new URL(request.url);
+    return NextResponse.json(buildOpenApiDocument({ serverUrl: origin }));
+  } catch (error) {
+    return NextResponse.json(
+      { error: error?.message || "Unexpected server error." },
+      { status: 500 }
+    );
+  }
+}
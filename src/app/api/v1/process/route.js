@@ -0,0 +1,6 @@
+import { POST as processBatch } from "@/app/api/process/route";
+import { withApiKey } from "@/lib/apiAuth";
+
+export const dynamic = "force-dynamic";
+
+export const POST = withApiKey(processBatch, { chargeEntries: true });
@@ -0,0 +1,229 @@
+"use client";
+
+import { Fragment, useEffect, useState } from "react";
+import Link from "next/link";
+
+const STATUS_STYLES = {
+  completed: "bg-emerald-500/20 text-emerald-200",
+  running: "bg-cyan-500/20 text-cyan-200",
+  cancelled: "bg-amber-500/20 text-amber-200",
+  failed: "bg-rose-500/20 text-rose-200",
+};
+
+const DELIVERY_STYLES = {
+  delivered: "text-emerald-300",
+  retrying: "text-amber-300",
+  failed: "text-rose-300",
+};
+
+export default function History() {
+  const [jobs, setJobs] = useState(null);
+  const [error, setError] = useState("");
+  const [deliveries, setDeliveries] = useState({});
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const response = await fetch("/api/jobs");
+        const payload = await response.json();
+        if (!response.ok) {
+          throw new Error(payload.error || "Could not load run history.");
+        }
+        setJobs(payload.jobs);
+      } catch (err) {
+        setError(err?.message || "Could not load run history.");
+      }
+    };
+    load();
+  }, []);
+
+  const toggleDeliveries = async (jobId) => {
+    if (deliveries[jobId]) {
+      setDeliveries((current) => {
+        const next = { ...current };
+        delete next[jobId];
+        return next;
+      });
+      return;
+    }
+    try {
+      const response = await fetch(`/api/jobs/${jobId}/deliveries`);
+      const payload = await response.json();
+      if (!response.ok) {
+        throw new Error(payload.error || "Could not load webhook deliveries.");
+      }
+      setDeliveries((current) => ({ ...current, [jobId]: payload.deliveries }));
+    } catch (err) {
+      setError(err?.message || "Could not load webhook deliveries.");
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-slate-950 bg-[radial-gradient(circle_at_top,_rgba(56,189,248,0.12),transparent_60%)] text-slate-100">
+      <div className="mx-auto flex max-w-6xl flex-col gap-8 px-6 py-12 lg:px-10 lg:py-16">
+        <header className="flex items-baseline justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-semibold tracking-tight sm:text-4xl">
+              Run history
+            </h1>
+            <p className="mt-2 max-w-2xl text-sm text-slate-300">
+              Every batch is stored as a job. Reopen a run to review or export
+              its results, or resume one that was cancelled or interrupted.
+            </p>
+          </div>
+          <Link
+            href="/"
+            className="text-sm font-semibold text-cyan-300 hover:text-cyan-200"
+          >
+            New run
+          </Link>
+        </header>
+
+        <section className="rounded-2xl border border-slate-800 bg-slate-950/60 p-6">
+          {error ? (
+            <div className="rounded-xl border border-red-400/30 bg-red-500/10 px-4 py-3 text-sm text-red-200">
+              {error}
+            </div>
+          ) : null}
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-slate-800 text-left text-sm">
+              <thead>
+                <tr className="text-xs uppercase tracking-wide text-slate-400">
+                  <th className="px-3 py-2 font-semibold">Started</th>
+                  <th className="px-3 py-2 font-semibold">Status</th>
+                  <th className="px-3 py-2 font-semibold">Companies</th>
+                  <th className="px-3 py-2 font-semibold">Contacts</th>
+                  <th className="px-3 py-2 font-semibold">Duration</th>
+                  <th className="px-3 py-2 font-semibold" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-800/70">
+                {!jobs || jobs.length === 0 ? (
+                  <tr>
+                    <td
+                      colSpan={6}
+                      className="px-3 py-8 text-center text-sm text-slate-500"
+                    >
+                      {jobs ? "No runs recorded yet." : "Loading run history…"}
+                    </td>
+                  </tr>
+                ) : (
+                  jobs.map((job) => (
+                    <Fragment key={job.id}>
+                      <tr>
+                        <td className="px-3 py-3 text-slate-200">
+                          {new Date(job.createdAt).toLocaleString()}
+                          <span className="block text-[11px] text-slate-500">
+                            {job.id}
+                          </span>
+                        </td>
+                        <td className="px-3 py-3">
+                          <span
+                            className={`inline-flex rounded-full px-3 py-1 text-xs font-semibold ${
+                              STATUS_STYLES[job.status] || "bg-slate-800 text-slate-300"
+                            }`}
+                            title={job.error || undefined}
+                          >
+                            {job.status}
+                          </span>
+                          {job.runs > 1 ? (
+                            <span className="block text-[11px] text-slate-500">
+                              {job.runs} runs
+                            </span>
+                          ) : null}
+                        </td>
+                        <td className="px-3 py-3 text-slate-300">
+                          {job.completed} / {job.companies}
+                        </td>
+                        <td className="px-3 py-3 text-slate-300">{job.contacts}</td>
+                        <td className="px-3 py-3 text-slate-300">
+                          {formatDuration(job.durationMs)}
+                        </td>
+                        <td className="px-3 py-3 text-right">
+                          <div className="flex justify-end gap-3 text-xs font-semibold">
+                            {job.callbackUrl ? (
+                              <button
+                                onClick={() => toggleDeliveries(job.id)}
+                                className="text-slate-300 hover:text-cyan-200"
+                                title={job.callbackUrl}
+                              >
+                                Webhook
+                              </button>
+                            ) : null}
+                            {job.snapshot?.mode === "record" ? (
+                              <a
+                                href={`/api/jobs/${job.id}/snapshot`}
+                                className="text-slate-300 hover:text-cyan-200"
+                              >
+                                Snapshot
+                              </a>
+                            ) : null}
+                            {job.snapshot?.mode === "replay" ? (
+                              <span
+                                className="text-slate-500"
+                                title={`Replayed from job ${job.snapshot.sourceJobId}`}
+                              >
+                                Replay
+                              </span>
+                            ) : null}
+                            <Link
+                              href={`/?job=${job.id}`}
+                              className="text-cyan-300 hover:text-cyan-200"
+                            >
+                              {job.status === "completed" ? "Open" : "Open / resume"}
+                            </Link>
+                          </div>
+                        </td>
+                      </tr>
+                      {deliveries[job.id] ? (
+                        <tr className="bg-slate-900/40">
+                          <td colSpan={6} className="px-3 py-2 text-xs text-slate-400">
+                            <p className="mb-1 text-slate-500">{job.callbackUrl}</p>
+                            {deliveries[job.id].length === 0 ? (
+                              "No deliveries yet."
+                            ) : (
+                              <ul className="space-y-1">
+                                {deliveries[job.id].map((delivery) => {
+                                  const last = delivery.attempts.at(-1);
+                                  return (
+                                    <li key={delivery.id} className="flex flex-wrap gap-x-3">
+                                      <span className="text-slate-200">{delivery.event}</span>
+                                      <span className={DELIVERY_STYLES[delivery.status]}>
+                                        {delivery.status}
+                                      </span>
+                                      <span>
+                                        {delivery.attempts.length} attempt
+                                        {delivery.attempts.length === 1 ? "" : "s"}
+                                      </span>
+                                      <span>{new Date(delivery.lastAttemptAt).toLocaleString()}</span>
+                                      {last.ok ? null : (
+                                        <span className="text-slate-500">{last.error}</span>
+                                      )}
+                                    </li>
+                                  );
+                                })}
+                              </ul>
+                            )}
+                          </td>
+                        </tr>
+                      ) : null}
+                    </Fragment>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </section>
+      </div>
+    </div>
+  );
+}
+
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
@@ -0,0 +1,74 @@
+"use client";
+
+import { useState } from "react";
+
+// Only same-site paths are followed after signing in.
+function nextPath() {
+  const next = new URLSearchParams(window.location.search).get("next") || "/";
+  return next.startsWith("/") && !next.startsWith("//") ? next : "/";
+}
+
+export default function Login() {
+  const [token, setToken] = useState("");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setBusy(true);
+    setError("");
+    try {
+      const response = await fetch("/api/session", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ token: token.trim() }),
+      });
+      const payload = await response.json();
+      if (!response.ok) {
+        throw new Error(payload.error || "Could not sign in.");
+      }
+      window.location.assign(nextPath());
+    } catch (err) {
+      setError(err?.message || "Could not sign in.");
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-slate-950 bg-[radial-gradient(circle_at_top,_rgba(56,189,248,0.12),transparent_60%)] text-slate-100">
+      <main className="mx-auto flex max-w-md flex-col gap-6 px-6 py-24">
+        <header>
+          <h1 className="text-3xl font-semibold tracking-tight">Sign in</h1>
+          <p className="mt-2 text-sm text-slate-300">
+            This deployment asks for the app token before showing jobs and results.
+          </p>
+        </header>
+
+        <form onSubmit={handleSubmit} className="flex flex-col gap-3 text-sm text-slate-300">
+          <label htmlFor="app-token">App token</label>
+          <input
+            id="app-token"
+            type="password"
+            autoFocus
+            value={token}
+            onChange={(event) => setToken(event.target.value)}
+            className="rounded-md border border-slate-800 bg-slate-950/40 px-2 py-1 text-sm text-slate-100 outline-none focus:border-cyan-400"
+          />
+          <button
+            type="submit"
+            disabled={busy || !token.trim()}
+            className="rounded-md bg-cyan-500 px-3 py-1 font-semibold text-slate-950 hover:bg-cyan-400 disabled:opacity-50"
+          >
+            Sign in
+          </button>
+        </form>
+
+        {error ? (
+          <div className="rounded-xl border border-red-400/30 bg-red-500/10 px-4 py-3 text-sm text-red-200">
+            {error}
+          </div>
+        ) : null}
+      </main>
+    </div>
+  );
+}
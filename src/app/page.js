@@ -1,6 +1,23 @@
 "use client";
 
-import { useMemo, useState } from "react";
+import { useEffect, useMemo, useRef, useState } from "react";
+import Link from "next/link";
+import ColumnMapper from "@/components/ColumnMapper";
+import ExportMappingEditor from "@/components/ExportMappingEditor";
+import ResultsGrid from "@/components/ResultsGrid";
+import SkippedRows from "@/components/SkippedRows";
+import { EXPORT_PRESETS, buildExport, filterRows } from "@/lib/exporters";
+import { resultKey } from "@/lib/results";
+import { sortRows } from "@/lib/resultsGrid";
+import {
+  detectHeader,
+  guessColumnMapping,
+  parseDelimited,
+  readXlsx,
+  rowsToEntries,
+} from "@/lib/tabular";
+
+const EXPORT_MAPPING_KEY = "export-mapping";
 
 const exampleRows = [
   "Acme Robotics, https://acmerobotics.io, https://www.linkedin.com/in/jordan-lee-founder-ceo/",
@@ -13,40 +30,308 @@ export default function Home() {
   const [results, setResults] = useState([]);
   const [processing, setProcessing] = useState(false);
   const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+  const [progress, setProgress] = useState([]);
+  const [verifyMailboxes, setVerifyMailboxes] = useState(false);
+  const [recordSnapshot, setRecordSnapshot] = useState(false);
+  const [thresholds, setThresholds] = useState({ high: 70, medium: 40 });
+  const [upload, setUpload] = useState(null);
+  const [targetRoles, setTargetRoles] = useState("");
+  const [minSeniority, setMinSeniority] = useState("");
+  const [taxonomy, setTaxonomy] = useState(null);
+  const [filters, setFilters] = useState({
+    query: "",
+    confidence: "",
+    role: "",
+    company: "",
+    department: "",
+    seniority: "",
+  });
+  const [sort, setSort] = useState({ column: null, direction: "asc" });
+  const [selected, setSelected] = useState(() => new Set());
+  const [resultsEdited, setResultsEdited] = useState(false);
+  const [dragging, setDragging] = useState(false);
+  const [job, setJob] = useState(null);
+  const [jobEntries, setJobEntries] = useState([]);
+  const [jobRows, setJobRows] = useState(null);
+  const [diagnostics, setDiagnostics] = useState([]);
+  const [outputView, setOutputView] = useState("results");
+  const [exportAlternates, setExportAlternates] = useState(false);
+  const [exportPreset, setExportPreset] = useState("csv");
+  const [customMapping, setCustomMapping] = useState({
+    format: "csv",
+    columns: EXPORT_PRESETS.hubspot.columns,
+  });
+  const [editingMapping, setEditingMapping] = useState(false);
+  const abortRef = useRef(null);
+  const fileInputRef = useRef(null);
 
   const parsedEntries = useMemo(() => {
-    const lines = rawInput
-      .split("\n")
-      .map((line) => line.trim())
-      .filter(Boolean);
-
-    return lines.map((line) => {
-      const parts = line.split(",").map((segment) => segment.trim());
-      return {
-        company: parts[0] || "",
-        website: parts[1] || "",
-        linkedinProfiles: parts.slice(2).flatMap((part) =>
-          part
-            .split(/[\s;|]+/)
-            .map((item) => item.trim())
-            .filter(Boolean)
-        ),
-      };
+    if (upload) {
+      return rowsToEntries(upload.rows, upload.mapping, {
+        hasHeader: upload.hasHeader,
+        parseErrors: upload.errors,
+      });
+    }
+
+    const { rows, errors } = parseDelimited(rawInput);
+    const hasHeader = detectHeader(rows);
+    const width = Math.max(0, ...rows.map((row) => row.length));
+    return rowsToEntries(
+      rows,
+      {
+        company: 0,
+        website: 1,
+        linkedin: Array.from({ length: Math.max(0, width - 2) }, (_, index) => index + 2),
+      },
+      { hasHeader, parseErrors: errors }
+    );
+  }, [rawInput, upload]);
+
+  const validEntries = useMemo(
+    () =>
+      parsedEntries
+        .filter((entry) => entry.issues.length === 0)
+        .map(({ company, website, linkedinProfiles }) => ({
+          company,
+          website,
+          linkedinProfiles,
+        })),
+    [parsedEntries]
+  );
+
+  const malformedCount = parsedEntries.length - validEntries.length;
+
+  const visibleResults = useMemo(
+    () => sortRows(filterRows(results, filters), sort),
+    [results, filters, sort]
+  );
+
+  // A selection exports just those rows, whatever the filters show.
+  const exportRows = useMemo(
+    () =>
+      selected.size
+        ? results.filter((row) => selected.has(resultKey(row)))
+        : visibleResults,
+    [results, selected, visibleResults]
+  );
+
+  const handleFiles = async (files) => {
+    const file = files?.[0];
+    if (!file) return;
+    setError("");
+
+    try {
+      const extension = file.name.split(".").pop().toLowerCase();
+      let rows;
+      let errors = [];
+
+      if (extension === "xlsx") {
+        rows = await readXlsx(await file.arrayBuffer());
+      } else if (["csv", "tsv", "txt"].includes(extension)) {
+        const text = await file.text();
+        ({ rows, errors } = parseDelimited(
+          text,
+          extension === "tsv" ? "\t" : undefined
+        ));
+      } else {
+        throw new Error("Upload a .csv, .tsv or .xlsx file.");
+      }
+
+      if (!rows.length) {
+        throw new Error(`${file.name} does not contain any rows.`);
+      }
+
+      const hasHeader = detectHeader(rows);
+      setUpload({
+        fileName: file.name,
+        rows,
+        errors,
+        hasHeader,
+        mapping: guessColumnMapping(rows, hasHeader),
+      });
+    } catch (err) {
+      setError(err?.message || "Could not read the uploaded file.");
+    }
+  };
+
+  useEffect(() => {
+    try {
+      const saved = JSON.parse(localStorage.getItem(EXPORT_MAPPING_KEY) || "null");
+      if (saved?.columns?.length) {
+        setCustomMapping(saved);
+      }
+    } catch {
+      // A corrupt saved mapping falls back to the default one.
+    }
+  }, []);
+
+  const updateCustomMapping = (mapping) => {
+    setCustomMapping(mapping);
+    localStorage.setItem(EXPORT_MAPPING_KEY, JSON.stringify(mapping));
+  };
+
+  // The server may use a custom taxonomy (ROLE_TAXONOMY_PATH), so its ids come from there.
+  useEffect(() => {
+    fetch("/api/taxonomy")
+      .then(async (response) => {
+        const payload = await response.json();
+        if (!response.ok) {
+          throw new Error(payload.error || "Could not load the role taxonomy.");
+        }
+        setTaxonomy(payload);
+      })
+      .catch((err) => setError(err?.message || "Could not load the role taxonomy."));
+  }, []);
+
+  useEffect(() => {
+    const jobId = new URLSearchParams(window.location.search).get("job");
+    if (jobId) {
+      loadJob(jobId);
+    }
+  }, []);
+
+  const loadJob = async (jobId) => {
+    try {
+      const response = await fetch(`/api/jobs/${encodeURIComponent(jobId)}`);
+      const payload = await response.json();
+      if (!response.ok) {
+        throw new Error(payload.error || "Could not load the job.");
+      }
+
+      setJob({
+        ...payload.job,
+        suppressed: payload.suppressed?.contacts || 0,
+        merged: payload.merges?.length || 0,
+      });
+      setResults(payload.results || []);
+      setSelected(new Set());
+      setResultsEdited(false);
+      setJobEntries(payload.entries || []);
+      setJobRows(null);
+      setDiagnostics(payload.diagnostics || []);
+      setProgress(
+        (payload.entries || []).map((entry, index) => {
+          const report = payload.companies.find((item) => item.index === index);
+          return {
+            company: entry.company || "Unnamed company",
+            status: report ? "done" : "queued",
+            completed: 0,
+            steps: 0,
+            pattern: report?.pattern || undefined,
+          };
+        })
+      );
+    } catch (err) {
+      setError(err?.message || "Could not load the job.");
+    }
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setDragging(false);
+    handleFiles(event.dataTransfer.files);
+  };
+
+  const uploadColumns = upload
+    ? Array.from(
+        { length: Math.max(0, ...upload.rows.map((row) => row.length)) },
+        (_, index) =>
+          upload.hasHeader && upload.rows[0][index]
+            ? upload.rows[0][index]
+            : `Column ${index + 1}`
+      )
+    : [];
+
+  const handleProcess = () => {
+    setJob(null);
+    setJobEntries(validEntries);
+    // Diagnostics index the submitted entries; keep the source rows to point back at the input.
+    setJobRows(
+      parsedEntries.filter((entry) => entry.issues.length === 0).map((entry) => entry.row)
+    );
+    setDiagnostics([]);
+    setProgress(
+      validEntries.map((entry) => ({
+        company: entry.company || "Unnamed company",
+        status: "queued",
+        completed: 0,
+        steps: 0,
+      }))
+    );
+    runStream({
+      entries: validEntries,
+      verify: verifyMailboxes,
+      recordSnapshot,
+      confidenceThresholds: thresholds,
+      targetRoles: targetRoles
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean),
+      minSeniority: minSeniority || undefined,
     });
-  }, [rawInput]);
+  };
+
+  const handleResume = () => {
+    if (!job) return;
+    setProgress((current) =>
+      current.map((item) =>
+        item.status === "done" ? item : { ...item, status: "queued", completed: 0 }
+      )
+    );
+    runStream({ resumeJobId: job.id });
+  };
 
-  const handleProcess = async () => {
+  const handleResubmit = (corrections) => {
+    if (!job?.id) return;
+    const corrected = new Map(corrections.map((entry) => [entry.index, entry]));
+    setJobEntries((current) =>
+      current.map((entry, index) => {
+        const correction = corrected.get(index);
+        if (!correction) return entry;
+        return {
+          company: correction.company,
+          website: correction.website,
+          linkedinProfiles: correction.linkedinProfiles,
+        };
+      })
+    );
+    setDiagnostics((current) => current.filter((item) => !corrected.has(item.index)));
+    setProgress((current) =>
+      current.map((item, index) =>
+        corrected.has(index)
+          ? {
+              company: corrected.get(index).company || "Unnamed company",
+              status: "queued",
+              completed: 0,
+              steps: 0,
+            }
+          : item
+      )
+    );
+    setOutputView("results");
+    runStream({ resumeJobId: job.id, corrections });
+  };
+
+  const runStream = async (body) => {
+    const controller = new AbortController();
+    abortRef.current = controller;
     setProcessing(true);
     setError("");
+    setNotice("");
     setResults([]);
+    setSelected(new Set());
+    setResultsEdited(false);
 
     try {
       const response = await fetch("/api/process", {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
+          Accept: "application/x-ndjson",
         },
-        body: JSON.stringify({ entries: parsedEntries }),
+        body: JSON.stringify(body),
+        signal: controller.signal,
       });
 
       if (!response.ok) {
@@ -54,44 +339,157 @@ export default function Home() {
         throw new Error(message || "Failed to process contacts.");
       }
 
-      const payload = await response.json();
-      setResults(payload.results || []);
+      await readEventStream(response, handleStreamEvent);
     } catch (err) {
-      setError(err?.message || "Unexpected error while processing data.");
+      if (err?.name === "AbortError") {
+        setJob((current) => current && { ...current, status: "cancelled" });
+        setNotice(
+          "Processing cancelled. Partial results are kept below and the job can be resumed."
+        );
+      } else {
+        setError(err?.message || "Unexpected error while processing data.");
+      }
     } finally {
+      abortRef.current = null;
       setProcessing(false);
     }
   };
 
+  const handleStreamEvent = (event) => {
+    switch (event.type) {
+      case "start":
+        setJob((current) => ({
+          ...current,
+          id: event.jobId,
+          status: "running",
+        }));
+        window.history.replaceState(null, "", `?job=${event.jobId}`);
+        break;
+      case "company-started":
+        updateProgress(event.index, {
+          status: "running",
+          steps: event.steps,
+          completed: 0,
+        });
+        break;
+      case "url-fetched":
+        updateProgress(event.index, (item) => ({
+          completed: Math.min(item.completed + 1, item.steps),
+        }));
+        break;
+      case "domain-resolved":
+        updateProgress(event.index, {
+          domain: event.domain,
+          domainDetail: event.detail,
+        });
+        break;
+      case "pattern-found":
+        updateProgress(event.index, { pattern: event.pattern });
+        break;
+      case "contact":
+        setResults((current) => [...current, event.result]);
+        break;
+      case "company-skipped":
+        updateProgress(event.index, {
+          status: "skipped",
+          reason: event.reason,
+        });
+        break;
+      case "company-restored":
+        updateProgress(event.index, { status: "done" });
+        break;
+      case "diagnostic":
+        setDiagnostics((current) => [...current, event.diagnostic]);
+        break;
+      case "company-done":
+        updateProgress(event.index, (item) => ({
+          status: "done",
+          completed: item.steps,
+          visited: (event.visited || []).filter((page) => page.ok),
+        }));
+        break;
+      case "done":
+        setResults(event.results || []);
+        setDiagnostics(event.diagnostics || []);
+        setJob((current) => ({
+          ...current,
+          status: event.cancelled ? "cancelled" : "completed",
+          suppressed: event.suppressed?.contacts || 0,
+          merged: event.merges?.length || 0,
+        }));
+        break;
+      case "error":
+        setJob((current) => current && { ...current, status: "failed" });
+        setError(event.message || "Unexpected error while processing data.");
+        break;
+      default:
+        break;
+    }
+  };
+
+  const updateProgress = (index, patch) => {
+    setProgress((current) =>
+      current.map((item, itemIndex) =>
+        itemIndex === index
+          ? { ...item, ...(typeof patch === "function" ? patch(item) : patch) }
+          : item
+      )
+    );
+  };
+
+  const handleCancel = () => {
+    abortRef.current?.abort();
+  };
+
   const handleClear = () => {
+    setJob(null);
+    window.history.replaceState(null, "", window.location.pathname);
     setResults([]);
+    setSelected(new Set());
+    setResultsEdited(false);
+    setJobEntries([]);
+    setJobRows(null);
+    setDiagnostics([]);
     setError("");
+    setNotice("");
+    setProgress([]);
   };
 
   const handleDownload = () => {
-    if (!results.length) return;
-    const header = ["Name", "Role", "Company", "Email", "Confidence", "Source"];
-    const rows = results.map((item) =>
-      [
-        item.name,
-        item.role,
-        item.company,
-        item.email,
-        item.confidence,
-        item.source,
-      ]
-        .map((value) => `"${String(value ?? "").replace(/"/g, '""')}"`)
-        .join(",")
-    );
-    const csv = [header.join(","), ...rows].join("\n");
-    const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
+    if (!exportRows.length) return;
+    const spec =
+      exportPreset === "custom"
+        ? { format: customMapping.format, columns: customMapping.columns }
+        : { preset: exportPreset };
+
+    // Stored runs are exported by the server straight from the job store, unless
+    // the rows were edited or picked by hand here.
+    if (job?.id && !processing && !resultsEdited && !selected.size) {
+      const query = new URLSearchParams();
+      if (spec.preset) query.set("preset", spec.preset);
+      if (spec.format) query.set("format", spec.format);
+      if (spec.columns) query.set("columns", JSON.stringify(spec.columns));
+      if (exportAlternates) query.set("alternates", "1");
+      if (filters.department) query.set("department", filters.department);
+      if (filters.seniority) query.set("seniority", filters.seniority);
+      if (filters.confidence) query.set("confidence", filters.confidence);
+      if (filters.role) query.set("role", filters.role);
+      if (filters.company) query.set("company", filters.company);
+      if (filters.query.trim()) query.set("q", filters.query.trim());
+      triggerDownload(`/api/jobs/${job.id}/export?${query}`);
+      return;
+    }
+
+    let file;
+    try {
+      file = buildExport(exportRows, { ...spec, alternates: exportAlternates });
+    } catch (err) {
+      setError(err?.message || "Could not build the export.");
+      return;
+    }
+    const blob = new Blob([file.content], { type: file.mimeType });
     const url = URL.createObjectURL(blob);
-    const anchor = document.createElement("a");
-    anchor.href = url;
-    anchor.download = "decision-makers.csv";
-    document.body.appendChild(anchor);
-    anchor.click();
-    document.body.removeChild(anchor);
+    triggerDownload(url, file.fileName);
     URL.revokeObjectURL(url);
   };
 
@@ -99,70 +497,280 @@ export default function Home() {
     <div className="min-h-screen bg-slate-950 bg-[radial-gradient(circle_at_top,_rgba(56,189,248,0.12),transparent_60%)] text-slate-100">
       <div className="mx-auto flex max-w-6xl flex-col gap-8 px-6 py-12 lg:px-10 lg:py-16">
         <header>
-          <h1 className="text-3xl font-semibold tracking-tight sm:text-4xl">
-            Decision-Maker Email Intelligence
-          </h1>
+          <div className="flex items-baseline justify-between gap-4">
+            <h1 className="text-3xl font-semibold tracking-tight sm:text-4xl">
+              Decision-Maker Email Intelligence
+            </h1>
+            <div className="flex gap-4">
+              <Link
+                href="/history"
+                className="text-sm font-semibold text-cyan-300 hover:text-cyan-200"
+              >
+                Run history
+              </Link>
+              <Link
+                href="/patterns"
+                className="text-sm font-semibold text-cyan-300 hover:text-cyan-200"
+              >
+                Patterns
+              </Link>
+              <Link
+                href="/privacy"
+                className="text-sm font-semibold text-cyan-300 hover:text-cyan-200"
+              >
+                Privacy
+              </Link>
+              <Link
+                href="/admin"
+                className="text-sm font-semibold text-cyan-300 hover:text-cyan-200"
+              >
+                API keys
+              </Link>
+            </div>
+          </div>
           <p className="mt-2 max-w-2xl text-sm text-slate-300 sm:text-base">
             Paste company, website, and LinkedIn profile URLs. The system will
-            extract likely decision makers, infer company email patterns, and
-            generate professional contact emails with confidence scoring.
+            extract likely decision makers from the profiles and the company&apos;s
+            team pages, infer company email patterns, and generate professional
+            contact emails with confidence scoring.
           </p>
         </header>
 
         <section className="grid gap-6 lg:grid-cols-2">
-          <div className="rounded-2xl border border-slate-800 bg-slate-900/60 p-6 shadow-2xl shadow-cyan-500/10">
+          <div
+            onDragOver={(event) => {
+              event.preventDefault();
+              setDragging(true);
+            }}
+            onDragLeave={() => setDragging(false)}
+            onDrop={handleDrop}
+            className={`rounded-2xl border bg-slate-900/60 p-6 shadow-2xl shadow-cyan-500/10 transition ${
+              dragging ? "border-cyan-400" : "border-slate-800"
+            }`}
+          >
             <div className="mb-4 flex items-center justify-between gap-4">
               <h2 className="text-lg font-medium text-slate-100">
                 Input (CSV style)
               </h2>
-              <button
-                onClick={() => setRawInput(exampleRows.join("\n"))}
-                className="text-xs font-semibold text-cyan-300 hover:text-cyan-200"
-              >
-                Reset example
-              </button>
+              <div className="flex items-center gap-4">
+                <button
+                  onClick={() => fileInputRef.current?.click()}
+                  className="text-xs font-semibold text-cyan-300 hover:text-cyan-200"
+                >
+                  Upload file
+                </button>
+                <button
+                  onClick={() => {
+                    setUpload(null);
+                    setRawInput(exampleRows.join("\n"));
+                  }}
+                  className="text-xs font-semibold text-cyan-300 hover:text-cyan-200"
+                >
+                  Reset example
+                </button>
+              </div>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".csv,.tsv,.txt,.xlsx"
+                className="hidden"
+                onChange={(event) => {
+                  handleFiles(event.target.files);
+                  event.target.value = "";
+                }}
+              />
+            </div>
+            {upload ? (
+              <ColumnMapper
+                fileName={upload.fileName}
+                columns={uploadColumns}
+                mapping={upload.mapping}
+                hasHeader={upload.hasHeader}
+                onMappingChange={(mapping) =>
+                  setUpload((current) => ({ ...current, mapping }))
+                }
+                onHeaderChange={(hasHeader) =>
+                  setUpload((current) => ({ ...current, hasHeader }))
+                }
+                onDiscard={() => setUpload(null)}
+              />
+            ) : (
+              <>
+                <textarea
+                  className="h-56 w-full resize-none rounded-xl border border-slate-800 bg-slate-950/40 px-4 py-3 text-sm text-slate-100 outline-none transition focus:border-cyan-400 focus:ring-2 focus:ring-cyan-500/40"
+                  value={rawInput}
+                  onChange={(event) => setRawInput(event.target.value)}
+                  spellCheck={false}
+                  placeholder="Company, website, LinkedIn Profile URL"
+                />
+                <p className="mt-3 text-xs text-slate-400">
+                  Format: <code>Company Name, website.com, linkedin-url</code>.
+                  Quote names that contain commas (<code>&quot;Acme, Inc.&quot;</code>)
+                  and separate multiple LinkedIn profiles with spaces, pipes, or
+                  semicolons. Or drop a CSV, TSV or XLSX file here.
+                </p>
+              </>
+            )}
+            <label className="mt-4 flex items-center gap-2 text-xs text-slate-300">
+              <input
+                type="checkbox"
+                checked={verifyMailboxes}
+                onChange={(event) => setVerifyMailboxes(event.target.checked)}
+                className="h-4 w-4 rounded border-slate-700 bg-slate-950 accent-cyan-400"
+              />
+              Verify mailboxes (MX lookup, SMTP probe and catch-all detection)
+            </label>
+            <label className="mt-2 flex items-center gap-2 text-xs text-slate-300">
+              <input
+                type="checkbox"
+                checked={recordSnapshot}
+                onChange={(event) => setRecordSnapshot(event.target.checked)}
+                className="h-4 w-4 rounded border-slate-700 bg-slate-950 accent-cyan-400"
+              />
+              Record a crawl snapshot (keeps every fetched page so the run can be audited or replayed)
+            </label>
+            <div className="mt-3 grid gap-3 text-xs text-slate-300 sm:grid-cols-2">
+              <label className="flex flex-col gap-1">
+                Target roles or departments
+                <input
+                  type="text"
+                  value={targetRoles}
+                  onChange={(event) => setTargetRoles(event.target.value)}
+                  placeholder="CEO, CFO, sales"
+                  className="rounded-md border border-slate-800 bg-slate-950/40 px-2 py-1 text-slate-100 outline-none focus:border-cyan-400"
+                />
+              </label>
+              <label className="flex flex-col gap-1">
+                Minimum seniority
+                <select
+                  value={minSeniority}
+                  onChange={(event) => setMinSeniority(event.target.value)}
+                  className="rounded-md border border-slate-800 bg-slate-950/40 px-2 py-1 text-slate-100 outline-none focus:border-cyan-400"
+                >
+                  <option value="">Any</option>
+                  {(taxonomy?.seniorityLevels || []).map((level) => (
+                    <option key={level.id} value={level.id}>
+                      {level.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            </div>
+            <div className="mt-3 flex flex-wrap items-center gap-3 text-xs text-slate-300">
+              <span>Confidence thresholds:</span>
+              {["high", "medium"].map((level) => (
+                <label key={level} className="flex items-center gap-1">
+                  {level} ≥
+                  <input
+                    type="number"
+                    min={0}
+                    max={100}
+                    value={thresholds[level]}
+                    onChange={(event) =>
+                      setThresholds((current) => ({
+                        ...current,
+                        [level]: Number(event.target.value),
+                      }))
+                    }
+                    className="w-14 rounded-md border border-slate-800 bg-slate-950/40 px-2 py-1 text-slate-100 outline-none focus:border-cyan-400"
+                  />
+                </label>
+              ))}
             </div>
-            <textarea
-              className="h-56 w-full resize-none rounded-xl border border-slate-800 bg-slate-950/40 px-4 py-3 text-sm text-slate-100 outline-none transition focus:border-cyan-400 focus:ring-2 focus:ring-cyan-500/40"
-              value={rawInput}
-              onChange={(event) => setRawInput(event.target.value)}
-              spellCheck={false}
-              placeholder="Company, website, LinkedIn Profile URL"
-            />
-            <p className="mt-3 text-xs text-slate-400">
-              Format: <code>Company Name, website.com, linkedin-url</code>.
-              Separate multiple LinkedIn profiles with spaces, pipes, or
-              semicolons.
-            </p>
             <div className="mt-6 flex flex-wrap gap-3">
               <button
                 onClick={handleProcess}
-                disabled={processing}
+                disabled={processing || validEntries.length === 0}
                 className="inline-flex items-center justify-center rounded-full bg-cyan-500 px-5 py-2 text-sm font-semibold text-slate-950 transition hover:bg-cyan-400 disabled:cursor-not-allowed disabled:bg-cyan-700/60"
               >
                 {processing ? "Processing…" : "Generate Contacts"}
               </button>
+              {processing ? (
+                <button
+                  onClick={handleCancel}
+                  className="inline-flex items-center justify-center rounded-full border border-rose-500/50 px-5 py-2 text-sm font-semibold text-rose-300 transition hover:border-rose-300 hover:text-rose-200"
+                >
+                  Cancel
+                </button>
+              ) : null}
+              {job && !processing && job.status !== "completed" ? (
+                <button
+                  onClick={handleResume}
+                  className="inline-flex items-center justify-center rounded-full border border-emerald-500/50 px-5 py-2 text-sm font-semibold text-emerald-300 transition hover:border-emerald-300 hover:text-emerald-200"
+                >
+                  Resume job
+                </button>
+              ) : null}
               <button
                 onClick={handleClear}
-                disabled={!results.length && !error}
+                disabled={processing || (!results.length && !error && !progress.length)}
                 className="inline-flex items-center justify-center rounded-full border border-slate-700 px-5 py-2 text-sm font-semibold text-slate-200 transition hover:border-slate-500 hover:text-white disabled:cursor-not-allowed disabled:border-slate-800 disabled:text-slate-500"
               >
                 Clear Output
               </button>
+            </div>
+            <div className="mt-4 flex flex-wrap items-center gap-3 text-xs text-slate-300">
+              <select
+                value={exportPreset}
+                onChange={(event) => setExportPreset(event.target.value)}
+                className="rounded-md border border-slate-800 bg-slate-950/40 px-2 py-1 text-slate-100 outline-none focus:border-cyan-400"
+              >
+                {Object.entries(EXPORT_PRESETS).map(([id, preset]) => (
+                  <option key={id} value={id}>
+                    {preset.label}
+                  </option>
+                ))}
+                <option value="custom">Custom mapping</option>
+              </select>
               <button
                 onClick={handleDownload}
-                disabled={!results.length}
-                className="inline-flex items-center justify-center rounded-full border border-cyan-500/50 px-5 py-2 text-sm font-semibold text-cyan-300 transition hover:border-cyan-300 hover:text-cyan-200 disabled:cursor-not-allowed disabled:border-slate-800 disabled:text-slate-500"
+                disabled={!exportRows.length}
+                className="inline-flex items-center justify-center rounded-full border border-cyan-500/50 px-4 py-1.5 text-xs font-semibold text-cyan-300 transition hover:border-cyan-300 hover:text-cyan-200 disabled:cursor-not-allowed disabled:border-slate-800 disabled:text-slate-500"
               >
-                Download CSV
+                {selected.size ? `Download ${selected.size} selected` : "Download"}
               </button>
+              {exportPreset === "custom" ? (
+                <button
+                  onClick={() => setEditingMapping((current) => !current)}
+                  className="font-semibold text-cyan-300 hover:text-cyan-200"
+                >
+                  {editingMapping ? "Hide mapping" : "Edit mapping"}
+                </button>
+              ) : null}
+              {exportPreset !== "vcard" ? (
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={exportAlternates}
+                    onChange={(event) => setExportAlternates(event.target.checked)}
+                    className="h-4 w-4 rounded border-slate-700 bg-slate-950 accent-cyan-400"
+                  />
+                  Include alternate emails
+                </label>
+              ) : null}
             </div>
+            {exportPreset === "custom" && editingMapping ? (
+              <div className="mt-3">
+                <ExportMappingEditor
+                  mapping={customMapping}
+                  onChange={updateCustomMapping}
+                  onClose={() => setEditingMapping(false)}
+                />
+              </div>
+            ) : null}
           </div>
 
           <div className="rounded-2xl border border-slate-800 bg-slate-900/30 p-6">
-            <h2 className="text-lg font-medium text-slate-100">
-              Parsed Companies
-            </h2>
+            <div className="flex items-baseline justify-between gap-3">
+              <h2 className="text-lg font-medium text-slate-100">
+                Parsed Companies
+              </h2>
+              {malformedCount ? (
+                <span className="text-xs text-rose-300">
+                  {malformedCount} malformed row{malformedCount === 1 ? "" : "s"} will be skipped
+                </span>
+              ) : null}
+            </div>
             <div className="mt-4 space-y-3 text-sm text-slate-300">
               {parsedEntries.length === 0 ? (
                 <p className="text-slate-500">No companies detected yet.</p>
@@ -170,7 +778,11 @@ export default function Home() {
                 parsedEntries.map((entry, index) => (
                   <div
                     key={`${entry.company}-${index}`}
-                    className="rounded-xl border border-slate-800/80 bg-slate-950/40 p-3"
+                    className={`rounded-xl border bg-slate-950/40 p-3 ${
+                      entry.issues.length
+                        ? "border-rose-500/50"
+                        : "border-slate-800/80"
+                    }`}
                   >
                     <p className="font-semibold text-slate-100">
                       {entry.company || "Unnamed company"}
@@ -192,6 +804,15 @@ export default function Home() {
                         ))
                       )}
                     </div>
+                    {entry.issues.length ? (
+                      <ul className="mt-2 space-y-0.5 text-xs text-rose-300">
+                        {entry.issues.map((issue) => (
+                          <li key={issue}>
+                            Row {entry.row}: {issue}
+                          </li>
+                        ))}
+                      </ul>
+                    ) : null}
                   </div>
                 ))
               )}
@@ -209,10 +830,25 @@ export default function Home() {
                 Generated professional emails with confidence levels and
                 sourcing.
               </p>
+              {job?.id ? (
+                <p className="mt-1 text-[11px] text-slate-500">
+                  Job {job.id} · {job.status}
+                  {job.suppressed
+                    ? ` · ${job.suppressed} withheld by the suppression list`
+                    : ""}
+                  {job.merged
+                    ? ` · ${job.merged} ${job.merged === 1 ? "person" : "people"} merged across rows`
+                    : ""}
+                </p>
+              ) : null}
+            </div>
+            <div className="flex flex-wrap items-center gap-3">
+              <span className="text-xs uppercase tracking-widest text-slate-500">
+                {visibleResults.length === results.length
+                  ? `${results.length} contacts`
+                  : `${visibleResults.length} of ${results.length} contacts`}
+              </span>
             </div>
-            <span className="text-xs uppercase tracking-widest text-slate-500">
-              {results.length} contacts
-            </span>
           </div>
 
           {error ? (
@@ -221,70 +857,147 @@ export default function Home() {
             </div>
           ) : null}
 
-          <div className="mt-6 overflow-x-auto">
-            <table className="min-w-full divide-y divide-slate-800 text-left text-sm">
-              <thead>
-                <tr className="text-xs uppercase tracking-wide text-slate-400">
-                  <th className="px-3 py-2 font-semibold">Name</th>
-                  <th className="px-3 py-2 font-semibold">Role</th>
-                  <th className="px-3 py-2 font-semibold">Company</th>
-                  <th className="px-3 py-2 font-semibold">Email</th>
-                  <th className="px-3 py-2 font-semibold">Confidence</th>
-                  <th className="px-3 py-2 font-semibold">Source</th>
-                </tr>
-              </thead>
-              <tbody className="divide-y divide-slate-800/70">
-                {results.length === 0 ? (
-                  <tr>
-                    <td
-                      colSpan={6}
-                      className="px-3 py-8 text-center text-sm text-slate-500"
+          {notice ? (
+            <div className="mt-6 rounded-xl border border-amber-400/30 bg-amber-500/10 px-4 py-3 text-sm text-amber-200">
+              {notice}
+            </div>
+          ) : null}
+
+          {progress.length ? (
+            <div className="mt-6 grid gap-2 sm:grid-cols-2">
+              {progress.map((item, index) => (
+                <div
+                  key={`${item.company}-${index}`}
+                  className="rounded-xl border border-slate-800/80 bg-slate-950/40 px-3 py-2"
+                >
+                  <div className="flex items-center justify-between gap-3 text-xs">
+                    <span className="truncate font-medium text-slate-200">
+                      {item.company}
+                    </span>
+                    <span className="text-slate-500">
+                      {item.status === "skipped"
+                        ? item.reason || "skipped"
+                        : item.pattern
+                        ? `${item.status} · ${item.pattern}`
+                        : item.status}
+                    </span>
+                  </div>
+                  {item.domain ? (
+                    <p
+                      className="mt-1 text-[11px] text-slate-500"
+                      title={item.domainDetail || undefined}
                     >
-                      {processing
-                        ? "Analyzing inputs and discovering email patterns…"
-                        : "Run the generator to view decision-maker contacts."}
-                    </td>
-                  </tr>
-                ) : (
-                  results.map((row) => (
-                    <tr key={`${row.company}-${row.email}`} className="text-sm">
-                      <td className="px-3 py-3 font-medium text-slate-100">
-                        {row.name}
-                      </td>
-                      <td className="px-3 py-3 text-slate-300">{row.role}</td>
-                      <td className="px-3 py-3 text-slate-300">{row.company}</td>
-                      <td className="px-3 py-3 text-cyan-300">{row.email}</td>
-                      <td className="px-3 py-3">
-                        <span
-                          className={`inline-flex rounded-full px-3 py-1 text-xs font-semibold ${
-                            row.confidence === "high"
-                              ? "bg-emerald-500/20 text-emerald-200"
-                              : row.confidence === "medium"
-                              ? "bg-amber-500/20 text-amber-200"
-                              : "bg-rose-500/20 text-rose-200"
-                          }`}
-                        >
-                          {row.confidence}
-                        </span>
-                      </td>
-                      <td className="px-3 py-3 text-slate-400">
-                        <a
-                          href={row.source}
-                          target="_blank"
-                          rel="noopener noreferrer"
-                          className="hover:text-cyan-200"
-                        >
-                          Source
-                        </a>
-                      </td>
-                    </tr>
-                  ))
-                )}
-              </tbody>
-            </table>
+                      Mail domain: {item.domain}
+                    </p>
+                  ) : null}
+                  {item.visited ? (
+                    <p
+                      className="mt-1 text-[11px] text-slate-500"
+                      title={item.visited.map((page) => page.url).join("\n")}
+                    >
+                      {item.visited.length} pages crawled
+                    </p>
+                  ) : null}
+                  <div className="mt-2 h-1.5 overflow-hidden rounded-full bg-slate-800">
+                    <div
+                      className={`h-full rounded-full transition-all ${
+                        item.status === "skipped"
+                          ? "bg-slate-600"
+                          : item.status === "done"
+                          ? "bg-emerald-400"
+                          : "bg-cyan-400"
+                      }`}
+                      style={{ width: `${progressPercent(item)}%` }}
+                    />
+                  </div>
+                </div>
+              ))}
+            </div>
+          ) : null}
+
+          <div className="mt-6 flex gap-1 border-b border-slate-800 text-sm">
+            {[
+              { id: "results", label: "Results" },
+              { id: "skipped", label: `Skipped (${new Set(diagnostics.map((item) => item.index)).size})` },
+            ].map((tab) => (
+              <button
+                key={tab.id}
+                onClick={() => setOutputView(tab.id)}
+                className={`-mb-px border-b-2 px-3 py-2 font-semibold ${
+                  outputView === tab.id
+                    ? "border-cyan-400 text-cyan-200"
+                    : "border-transparent text-slate-400 hover:text-slate-200"
+                }`}
+              >
+                {tab.label}
+              </button>
+            ))}
           </div>
+
+          {outputView === "skipped" ? (
+            <SkippedRows
+              diagnostics={diagnostics}
+              entries={jobEntries}
+              sourceRows={jobRows}
+              disabled={processing || !job?.id}
+              onResubmit={handleResubmit}
+            />
+          ) : (
+            <ResultsGrid
+              results={results}
+              rows={visibleResults}
+              filters={filters}
+              onFiltersChange={setFilters}
+              sort={sort}
+              onSortChange={setSort}
+              selected={selected}
+              onSelectedChange={setSelected}
+              onResultsChange={(next) => {
+                setResults(next);
+                setResultsEdited(true);
+              }}
+              processing={processing}
+              sourceRows={jobRows}
+              taxonomy={taxonomy}
+            />
+          )}
         </section>
       </div>
     </div>
   );
 }
+
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    const lines = buffer.split("\n");
+    buffer = lines.pop() || "";
+    for (const line of lines) {
+      if (line.trim()) onEvent(JSON.parse(line));
+    }
+  }
+
+  if (buffer.trim()) onEvent(JSON.parse(buffer));
+}
+
+function triggerDownload(href, fileName) {
+  const anchor = document.createElement("a");
+  anchor.href = href;
+  if (fileName) anchor.download = fileName;
+  document.body.appendChild(anchor);
+  anchor.click();
+  document.body.removeChild(anchor);
+}
+
+function progressPercent(item) {
+  if (item.status === "done" || item.status === "skipped") return 100;
+  if (!item.steps) return 0;
+  return Math.round((item.completed / item.steps) * 100);
+}
@@ -0,0 +1,369 @@
+"use client";
+
+import { useEffect, useRef, useState } from "react";
+import Link from "next/link";
+import { PATTERN_IDS } from "@/lib/patterns";
+
+const STATUS_STYLES = {
+  locked: "bg-violet-500/20 text-violet-200",
+  fresh: "bg-emerald-500/20 text-emerald-200",
+  expired: "bg-amber-500/20 text-amber-200",
+};
+
+function patternStatus(entry) {
+  if (entry.locked) return "locked";
+  return new Date(entry.expiresAt).getTime() > Date.now() ? "fresh" : "expired";
+}
+
+async function fetchPatterns() {
+  const response = await fetch("/api/patterns");
+  const payload = await response.json();
+  if (!response.ok) {
+    throw new Error(payload.error || "Could not load the knowledge base.");
+  }
+  return payload.patterns;
+}
+
+export default function Patterns() {
+  const [patterns, setPatterns] = useState(null);
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+  const [filter, setFilter] = useState("");
+  const [form, setForm] = useState({ domain: "", pattern: PATTERN_IDS[0], locked: true });
+  const fileInput = useRef(null);
+
+  const inputClass =
+    "rounded-md border border-slate-800 bg-slate-950/40 px-2 py-1 text-sm text-slate-100 outline-none focus:border-cyan-400";
+
+  const reload = async () => {
+    try {
+      setPatterns(await fetchPatterns());
+    } catch (err) {
+      setError(err?.message || "Could not load the knowledge base.");
+    }
+  };
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setPatterns(await fetchPatterns());
+      } catch (err) {
+        setError(err?.message || "Could not load the knowledge base.");
+      }
+    };
+    load();
+  }, []);
+
+  const updateEntry = async (domain, patch) => {
+    try {
+      setError("");
+      const response = await fetch(`/api/patterns/${encodeURIComponent(domain)}`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(patch),
+      });
+      const payload = await response.json();
+      if (!response.ok) {
+        throw new Error(payload.error || "Could not update the pattern.");
+      }
+      await reload();
+      return true;
+    } catch (err) {
+      setError(err?.message || "Could not update the pattern.");
+      return false;
+    }
+  };
+
+  const removeEntry = async (domain) => {
+    try {
+      setError("");
+      const response = await fetch(`/api/patterns/${encodeURIComponent(domain)}`, {
+        method: "DELETE",
+      });
+      if (!response.ok) {
+        const payload = await response.json();
+        throw new Error(payload.error || "Could not delete the pattern.");
+      }
+      await reload();
+    } catch (err) {
+      setError(err?.message || "Could not delete the pattern.");
+    }
+  };
+
+  const handleAdd = async (event) => {
+    event.preventDefault();
+    const saved = await updateEntry(form.domain.trim(), {
+      pattern: form.pattern,
+      locked: form.locked,
+    });
+    if (saved) {
+      setForm({ ...form, domain: "" });
+    }
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+
+    try {
+      setError("");
+      setNotice("");
+      const response = await fetch("/api/patterns", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: await file.text(),
+      });
+      const payload = await response.json();
+      if (!response.ok) {
+        throw new Error(payload.error || "Could not import the file.");
+      }
+      setNotice(
+        `Imported ${payload.imported} domain${payload.imported === 1 ? "" : "s"}${
+          payload.rejected.length ? `; skipped ${payload.rejected.length} invalid record(s)` : ""
+        }.`
+      );
+      await reload();
+    } catch (err) {
+      setError(err?.message || "Could not import the file.");
+    }
+  };
+
+  const visible = (patterns || []).filter((entry) =>
+    entry.domain.includes(filter.trim().toLowerCase())
+  );
+
+  return (
+    <div className="min-h-screen bg-slate-950 bg-[radial-gradient(circle_at_top,_rgba(56,189,248,0.12),transparent_60%)] text-slate-100">
+      <div className="mx-auto flex max-w-6xl flex-col gap-8 px-6 py-12 lg:px-10 lg:py-16">
+        <header className="flex items-baseline justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-semibold tracking-tight sm:text-4xl">
+              Pattern knowledge base
+            </h1>
+            <p className="mt-2 max-w-2xl text-sm text-slate-300">
+              Patterns found on company sites are kept here and reused until
+              they expire, so later runs skip the pattern search. Correct a
+              pattern you know, lock it so crawls never replace it, or expire it
+              to force a fresh crawl.
+            </p>
+          </div>
+          <Link
+            href="/"
+            className="text-sm font-semibold text-cyan-300 hover:text-cyan-200"
+          >
+            Back to app
+          </Link>
+        </header>
+
+        {error ? (
+          <div className="rounded-xl border border-red-400/30 bg-red-500/10 px-4 py-3 text-sm text-red-200">
+            {error}
+          </div>
+        ) : null}
+        {notice ? (
+          <div className="rounded-xl border border-emerald-400/30 bg-emerald-500/10 px-4 py-3 text-sm text-emerald-100">
+            {notice}
+          </div>
+        ) : null}
+
+        <section className="space-y-6 rounded-2xl border border-slate-800 bg-slate-950/60 p-6">
+          <div className="flex flex-wrap items-end justify-between gap-4">
+            <form
+              onSubmit={handleAdd}
+              className="flex flex-wrap items-end gap-3 text-xs text-slate-400"
+            >
+              <label className="flex flex-col gap-1">
+                Domain
+                <input
+                  type="text"
+                  value={form.domain}
+                  onChange={(event) => setForm({ ...form, domain: event.target.value })}
+                  placeholder="acme.com"
+                  className={inputClass}
+                />
+              </label>
+              <label className="flex flex-col gap-1">
+                Pattern
+                <select
+                  value={form.pattern}
+                  onChange={(event) => setForm({ ...form, pattern: event.target.value })}
+                  className={inputClass}
+                >
+                  {PATTERN_IDS.map((id) => (
+                    <option key={id} value={id}>
+                      {id}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex items-center gap-2 pb-1.5">
+                <input
+                  type="checkbox"
+                  checked={form.locked}
+                  onChange={(event) => setForm({ ...form, locked: event.target.checked })}
+                />
+                Lock
+              </label>
+              <button
+                type="submit"
+                className="rounded-md bg-cyan-500 px-3 py-1.5 text-sm font-semibold text-slate-950 hover:bg-cyan-400"
+              >
+                Save pattern
+              </button>
+            </form>
+
+            <div className="flex items-center gap-3 text-sm font-semibold">
+              <input
+                type="search"
+                value={filter}
+                onChange={(event) => setFilter(event.target.value)}
+                placeholder="Filter domains"
+                className={inputClass}
+              />
+              <button
+                onClick={() => {
+                  // The route answers with an attachment, so the page stays put.
+                  window.location.href = "/api/patterns?download=1";
+                }}
+                className="text-cyan-300 hover:text-cyan-200"
+              >
+                Export JSON
+              </button>
+              <button
+                onClick={() => fileInput.current?.click()}
+                className="text-cyan-300 hover:text-cyan-200"
+              >
+                Import JSON
+              </button>
+              <input
+                ref={fileInput}
+                type="file"
+                accept="application/json,.json"
+                onChange={handleImport}
+                className="hidden"
+              />
+            </div>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-slate-800 text-left text-sm">
+              <thead>
+                <tr className="text-xs uppercase tracking-wide text-slate-400">
+                  <th className="px-3 py-2 font-semibold">Domain</th>
+                  <th className="px-3 py-2 font-semibold">Pattern</th>
+                  <th className="px-3 py-2 font-semibold">Status</th>
+                  <th className="px-3 py-2 font-semibold">Evidence</th>
+                  <th className="px-3 py-2 font-semibold">Last seen</th>
+                  <th className="px-3 py-2 font-semibold">Expires</th>
+                  <th className="px-3 py-2 font-semibold" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-800/70">
+                {visible.length === 0 ? (
+                  <tr>
+                    <td colSpan={7} className="px-3 py-8 text-center text-sm text-slate-500">
+                      {patterns ? "No patterns recorded yet." : "Loading knowledge base…"}
+                    </td>
+                  </tr>
+                ) : (
+                  visible.map((entry) => {
+                    const status = patternStatus(entry);
+                    return (
+                      <tr key={entry.domain} className="text-slate-200">
+                        <td className="px-3 py-2 font-medium">
+                          {entry.domain}
+                          {entry.mailDomain && entry.mailDomain !== entry.domain ? (
+                            <span className="block text-xs text-slate-500">
+                              mail at {entry.mailDomain}
+                            </span>
+                          ) : null}
+                        </td>
+                        <td className="px-3 py-2">
+                          <select
+                            value={entry.pattern}
+                            onChange={(event) =>
+                              updateEntry(entry.domain, { pattern: event.target.value })
+                            }
+                            className={inputClass}
+                          >
+                            {PATTERN_IDS.map((id) => (
+                              <option key={id} value={id}>
+                                {id}
+                              </option>
+                            ))}
+                          </select>
+                        </td>
+                        <td className="px-3 py-2">
+                          <span
+                            className={`rounded-full px-2 py-0.5 text-xs font-semibold ${STATUS_STYLES[status]}`}
+                          >
+                            {status}
+                          </span>
+                          <span className="ml-2 text-xs text-slate-500">{entry.origin}</span>
+                        </td>
+                        <td className="px-3 py-2 text-xs text-slate-400">
+                          {entry.origin === "manual" ? (
+                            "Set by hand"
+                          ) : (
+                            <>
+                              {entry.evidence.evidenceCount} address
+                              {entry.evidence.evidenceCount === 1 ? "" : "es"}
+                              {entry.evidence.namedCount
+                                ? `, ${entry.evidence.namedCount} named`
+                                : ""}
+                              {entry.source?.startsWith("http") ? (
+                                <a
+                                  href={entry.source}
+                                  target="_blank"
+                                  rel="noreferrer"
+                                  className="ml-1 text-cyan-300 hover:text-cyan-200"
+                                >
+                                  source
+                                </a>
+                              ) : null}
+                            </>
+                          )}
+                        </td>
+                        <td className="px-3 py-2 text-xs text-slate-400">
+                          {new Date(entry.lastSeenAt).toLocaleDateString()}
+                        </td>
+                        <td className="px-3 py-2 text-xs text-slate-400">
+                          {entry.locked ? "Never" : new Date(entry.expiresAt).toLocaleDateString()}
+                        </td>
+                        <td className="px-3 py-2 text-right text-xs font-semibold">
+                          <div className="flex justify-end gap-3">
+                            <button
+                              onClick={() => updateEntry(entry.domain, { locked: !entry.locked })}
+                              className="text-cyan-300 hover:text-cyan-200"
+                            >
+                              {entry.locked ? "Unlock" : "Lock"}
+                            </button>
+                            {status !== "expired" ? (
+                              <button
+                                onClick={() => updateEntry(entry.domain, { expire: true })}
+                                className="text-amber-300 hover:text-amber-200"
+                              >
+                                Expire
+                              </button>
+                            ) : null}
+                            <button
+                              onClick={() => removeEntry(entry.domain)}
+                              className="text-rose-300 hover:text-rose-200"
+                            >
+                              Delete
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    );
+                  })
+                )}
+              </tbody>
+            </table>
+          </div>
+        </section>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,447 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import Link from "next/link";
+
+// Shared with /admin, so unlocking either page unlocks both for the session.
+const TOKEN_KEY = "admin-token";
+
+const TYPE_LABELS = { email: "Email", domain: "Domain", linkedin: "LinkedIn" };
+
+const ACTION_LABELS = {
+  process: "Processed list",
+  resume: "Resumed job",
+  "process-finished": "Job finished",
+  export: "Exported results",
+  "suppression-add": "Added suppressions",
+  "suppression-remove": "Removed suppression",
+  forget: "Forgot a person",
+  "retention-purge": "Purged expired jobs",
+  webhook: "Sent webhook",
+  "snapshot-export": "Downloaded crawl snapshot",
+  "sign-in": "Signed in to the app",
+};
+
+async function fetchJson(path, options = {}, token = "") {
+  const response = await fetch(path, {
+    ...options,
+    headers: token ? { ...options.headers, Authorization: `Bearer ${token}` } : options.headers,
+  });
+  const payload = await response.json();
+  if (!response.ok) {
+    throw new Error(payload.error || "Request failed.");
+  }
+  return payload;
+}
+
+function describeActor(actor) {
+  if (!actor) return "System";
+  if (actor.type === "api-key") return `API key “${actor.name}”`;
+  if (actor.type === "cli") return "Command line";
+  return `App (${actor.address})`;
+}
+
+function describeEvent(event) {
+  switch (event.action) {
+    case "process":
+    case "resume":
+      return `${event.entries} entries · job ${event.jobId.slice(0, 8)}${
+        event.list ? ` · list ${event.list}` : ""
+      }`;
+    case "process-finished":
+      return event.error
+        ? `${event.status} · ${event.error} · job ${event.jobId.slice(0, 8)}`
+        : `${event.status} · ${event.contacts} contacts · ${
+            event.suppressed?.contacts || 0
+          } suppressed · job ${event.jobId.slice(0, 8)}`;
+    case "export":
+      return `${event.rows} rows · ${event.fileName}`;
+    case "suppression-add":
+      return `${event.added} ${event.types.join(", ")} entr${event.added === 1 ? "y" : "ies"}`;
+    case "suppression-remove":
+      return `${event.type} entry`;
+    case "forget":
+      return `${event.results} rows and ${event.profiles} profiles removed from ${event.jobs} job(s)${
+        event.snapshots ? ` · ${event.snapshots} snapshot(s) deleted` : ""
+      } · subject ${event.subject}`;
+    case "retention-purge":
+      return `${event.jobs.length} job(s) older than ${event.retentionDays} days`;
+    case "webhook":
+      return `${event.event} to ${event.host} · ${
+        event.delivered ? "delivered" : "failed"
+      } after ${event.attempts} attempt(s) · job ${event.jobId.slice(0, 8)}`;
+    case "snapshot-export":
+      return `job ${event.jobId.slice(0, 8)}`;
+    case "sign-in":
+      return event.ok ? "accepted" : "wrong token";
+    default:
+      return "";
+  }
+}
+
+export default function Privacy() {
+  const [suppressions, setSuppressions] = useState(null);
+  const [events, setEvents] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(undefined);
+  const [token, setToken] = useState("");
+  const [tokenInput, setTokenInput] = useState("");
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+  const [bulkText, setBulkText] = useState("");
+  const [bulkReason, setBulkReason] = useState("");
+  const [filter, setFilter] = useState("");
+  const [forget, setForget] = useState({ email: "", linkedin: "", suppress: true });
+
+  const inputClass =
+    "rounded-md border border-slate-800 bg-slate-950/40 px-2 py-1 text-sm text-slate-100 outline-none focus:border-cyan-400";
+
+  const reload = async (authToken = token) => {
+    try {
+      const list = await fetchJson("/api/suppressions");
+      setSuppressions(list.suppressions);
+      // The audit log, removals and forget requests need the admin token.
+      if (authToken) {
+        const audit = await fetchJson("/api/audit", {}, authToken);
+        setEvents(audit.events);
+        setRetentionDays(audit.retentionDays);
+      }
+    } catch (err) {
+      setError(err?.message || "Could not load privacy settings.");
+    }
+  };
+
+  useEffect(() => {
+    const load = async () => {
+      const stored = sessionStorage.getItem(TOKEN_KEY) || "";
+      setToken(stored);
+      setTokenInput(stored);
+      try {
+        const list = await fetchJson("/api/suppressions");
+        setSuppressions(list.suppressions);
+        if (stored) {
+          const audit = await fetchJson("/api/audit", {}, stored);
+          setEvents(audit.events);
+          setRetentionDays(audit.retentionDays);
+        }
+      } catch (err) {
+        setError(err?.message || "Could not load privacy settings.");
+      }
+    };
+    load();
+  }, []);
+
+  const handleUnlock = async (event) => {
+    event.preventDefault();
+    const authToken = tokenInput.trim();
+    sessionStorage.setItem(TOKEN_KEY, authToken);
+    setToken(authToken);
+    setError("");
+    await reload(authToken);
+  };
+
+  const handleAdd = async (event) => {
+    event.preventDefault();
+    // The server works out whether each line is an email, a domain or a profile.
+    const entries = bulkText
+      .split(/[\n,;]+/)
+      .map((value) => value.trim())
+      .filter(Boolean)
+      .map((value) => ({ value, reason: bulkReason }));
+    if (!entries.length) return;
+
+    try {
+      setError("");
+      const payload = await fetchJson("/api/suppressions", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ entries }),
+      });
+      setNotice(
+        `Added ${payload.added.length} entr${payload.added.length === 1 ? "y" : "ies"}${
+          payload.rejected.length ? `; could not read ${payload.rejected.join(", ")}` : ""
+        }.`
+      );
+      setBulkText("");
+      await reload();
+    } catch (err) {
+      setError(err?.message || "Could not update the suppression list.");
+    }
+  };
+
+  const handleRemove = async (id) => {
+    try {
+      setError("");
+      await fetchJson(`/api/suppressions/${id}`, { method: "DELETE" }, token);
+      await reload();
+    } catch (err) {
+      setError(err?.message || "Could not remove the entry.");
+    }
+  };
+
+  const handleForget = async (event) => {
+    event.preventDefault();
+    if (
+      !window.confirm(
+        "Remove this person from every stored job? This cannot be undone."
+      )
+    ) {
+      return;
+    }
+
+    try {
+      setError("");
+      const payload = await fetchJson(
+        "/api/forget",
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(forget),
+        },
+        token
+      );
+      setNotice(
+        `Removed ${payload.results} result row(s) and ${payload.profiles} LinkedIn profile(s) from ${payload.jobs} job(s)${
+          payload.snapshots ? ` and deleted ${payload.snapshots} crawl snapshot(s)` : ""
+        }.`
+      );
+      setForget({ email: "", linkedin: "", suppress: true });
+      await reload();
+    } catch (err) {
+      setError(err?.message || "Could not forget this person.");
+    }
+  };
+
+  const visible = (suppressions || []).filter((entry) =>
+    entry.value.includes(filter.trim().toLowerCase())
+  );
+
+  return (
+    <div className="min-h-screen bg-slate-950 bg-[radial-gradient(circle_at_top,_rgba(56,189,248,0.12),transparent_60%)] text-slate-100">
+      <div className="mx-auto flex max-w-6xl flex-col gap-8 px-6 py-12 lg:px-10 lg:py-16">
+        <header className="flex items-baseline justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-semibold tracking-tight sm:text-4xl">
+              Privacy controls
+            </h1>
+            <p className="mt-2 max-w-2xl text-sm text-slate-300">
+              Addresses, domains and LinkedIn profiles on the suppression list
+              are never returned, exported or stored.
+              {retentionDays === undefined
+                ? ""
+                : ` Stored results are kept ${
+                    retentionDays
+                      ? `for ${retentionDays} days after a job finishes`
+                      : "until they are deleted (set RESULT_RETENTION_DAYS to expire them)"
+                  }.`}
+            </p>
+          </div>
+          <Link
+            href="/"
+            className="text-sm font-semibold text-cyan-300 hover:text-cyan-200"
+          >
+            Back to app
+          </Link>
+        </header>
+
+        <form
+          onSubmit={handleUnlock}
+          className="flex flex-wrap items-center gap-3 text-sm text-slate-300"
+        >
+          <label htmlFor="admin-token">Admin token</label>
+          <input
+            id="admin-token"
+            type="password"
+            value={tokenInput}
+            onChange={(event) => setTokenInput(event.target.value)}
+            className={inputClass}
+          />
+          <button
+            type="submit"
+            className="rounded-md bg-cyan-500 px-3 py-1 font-semibold text-slate-950 hover:bg-cyan-400"
+          >
+            Unlock
+          </button>
+          <span className="text-xs text-slate-500">
+            Needed to remove entries, forget a person and read the audit log.
+          </span>
+        </form>
+
+        {error ? (
+          <div className="rounded-xl border border-red-400/30 bg-red-500/10 px-4 py-3 text-sm text-red-200">
+            {error}
+          </div>
+        ) : null}
+        {notice ? (
+          <div className="rounded-xl border border-emerald-400/30 bg-emerald-500/10 px-4 py-3 text-sm text-emerald-100">
+            {notice}
+          </div>
+        ) : null}
+
+        <section className="space-y-4 rounded-2xl border border-slate-800 bg-slate-950/60 p-6">
+          <h2 className="text-lg font-semibold text-white">Suppression list</h2>
+          <form onSubmit={handleAdd} className="grid gap-3 text-xs text-slate-400 sm:grid-cols-[2fr_1fr_auto] sm:items-end">
+            <label className="flex flex-col gap-1">
+              Emails, domains or LinkedIn URLs, one per line
+              <textarea
+                value={bulkText}
+                onChange={(event) => setBulkText(event.target.value)}
+                rows={3}
+                placeholder={"jane@acme.com\nexample.org\nhttps://www.linkedin.com/in/john-doe"}
+                className={inputClass}
+              />
+            </label>
+            <label className="flex flex-col gap-1">
+              Reason
+              <input
+                type="text"
+                value={bulkReason}
+                onChange={(event) => setBulkReason(event.target.value)}
+                placeholder="e.g. Opt-out email 2026-05-02"
+                className={inputClass}
+              />
+            </label>
+            <button
+              type="submit"
+              className="rounded-md bg-cyan-500 px-3 py-1.5 text-sm font-semibold text-slate-950 hover:bg-cyan-400"
+            >
+              Add
+            </button>
+          </form>
+
+          <input
+            type="search"
+            value={filter}
+            onChange={(event) => setFilter(event.target.value)}
+            placeholder="Filter entries"
+            className={inputClass}
+          />
+          <div className="max-h-96 overflow-auto">
+            <table className="min-w-full divide-y divide-slate-800 text-left text-sm">
+              <thead>
+                <tr className="text-xs uppercase tracking-wide text-slate-400">
+                  <th className="px-3 py-2 font-semibold">Type</th>
+                  <th className="px-3 py-2 font-semibold">Value</th>
+                  <th className="px-3 py-2 font-semibold">Reason</th>
+                  <th className="px-3 py-2 font-semibold">Added</th>
+                  <th className="px-3 py-2 font-semibold" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-800/70">
+                {visible.length === 0 ? (
+                  <tr>
+                    <td colSpan={5} className="px-3 py-6 text-center text-sm text-slate-500">
+                      {suppressions ? "Nothing is suppressed." : "Loading…"}
+                    </td>
+                  </tr>
+                ) : (
+                  visible.map((entry) => (
+                    <tr key={entry.id} className="text-slate-200">
+                      <td className="px-3 py-2 text-xs">{TYPE_LABELS[entry.type]}</td>
+                      <td className="px-3 py-2 font-mono text-xs">{entry.value}</td>
+                      <td className="px-3 py-2 text-xs text-slate-400">{entry.reason || "—"}</td>
+                      <td className="px-3 py-2 text-xs text-slate-400">
+                        {new Date(entry.createdAt).toLocaleDateString()}
+                      </td>
+                      <td className="px-3 py-2 text-right text-xs font-semibold">
+                        <button
+                          onClick={() => handleRemove(entry.id)}
+                          className="text-rose-300 hover:text-rose-200"
+                        >
+                          Remove
+                        </button>
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </section>
+
+        <section className="space-y-4 rounded-2xl border border-slate-800 bg-slate-950/60 p-6">
+          <h2 className="text-lg font-semibold text-white">Forget this person</h2>
+          <p className="text-sm text-slate-400">
+            Deletes every stored result for the person, including rows found
+            under another guessed address, and their LinkedIn URL from stored
+            job inputs.
+          </p>
+          <form onSubmit={handleForget} className="flex flex-wrap items-end gap-3 text-xs text-slate-400">
+            <label className="flex flex-col gap-1">
+              Email
+              <input
+                type="email"
+                value={forget.email}
+                onChange={(event) => setForget({ ...forget, email: event.target.value })}
+                placeholder="jane.doe@acme.com"
+                className={inputClass}
+              />
+            </label>
+            <label className="flex flex-col gap-1">
+              LinkedIn URL
+              <input
+                type="text"
+                value={forget.linkedin}
+                onChange={(event) => setForget({ ...forget, linkedin: event.target.value })}
+                placeholder="https://www.linkedin.com/in/jane-doe"
+                className={inputClass}
+              />
+            </label>
+            <label className="flex items-center gap-2 pb-1.5">
+              <input
+                type="checkbox"
+                checked={forget.suppress}
+                onChange={(event) => setForget({ ...forget, suppress: event.target.checked })}
+              />
+              Also suppress in future runs
+            </label>
+            <button
+              type="submit"
+              disabled={!forget.email.trim() && !forget.linkedin.trim()}
+              className="rounded-md bg-rose-500 px-3 py-1.5 text-sm font-semibold text-slate-950 hover:bg-rose-400 disabled:opacity-50"
+            >
+              Forget
+            </button>
+          </form>
+        </section>
+
+        <section className="space-y-4 rounded-2xl border border-slate-800 bg-slate-950/60 p-6">
+          <h2 className="text-lg font-semibold text-white">Audit log</h2>
+          <div className="max-h-96 overflow-auto">
+            <table className="min-w-full divide-y divide-slate-800 text-left text-sm">
+              <thead>
+                <tr className="text-xs uppercase tracking-wide text-slate-400">
+                  <th className="px-3 py-2 font-semibold">When</th>
+                  <th className="px-3 py-2 font-semibold">Who</th>
+                  <th className="px-3 py-2 font-semibold">Action</th>
+                  <th className="px-3 py-2 font-semibold">Details</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-800/70">
+                {events.length === 0 ? (
+                  <tr>
+                    <td colSpan={4} className="px-3 py-6 text-center text-sm text-slate-500">
+                      {token ? "No activity recorded yet." : "Unlock with the admin token to read the log."}
+                    </td>
+                  </tr>
+                ) : (
+                  events.map((event) => (
+                    <tr key={event.id} className="text-slate-200">
+                      <td className="whitespace-nowrap px-3 py-2 text-xs text-slate-400">
+                        {new Date(event.at).toLocaleString()}
+                      </td>
+                      <td className="px-3 py-2 text-xs">{describeActor(event.actor)}</td>
+                      <td className="px-3 py-2 text-xs">
+                        {ACTION_LABELS[event.action] || event.action}
+                      </td>
+                      <td className="px-3 py-2 text-xs text-slate-400">{describeEvent(event)}</td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </section>
+      </div>
+    </div>
+  );
+}
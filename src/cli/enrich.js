@@ -0,0 +1,375 @@
+import { createWriteStream, promises as fs } from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { fingerprint, recordAudit } from "@/lib/auditLog";
+import { EXPORT_PRESETS, buildExport } from "@/lib/exporters";
+import { processEntries, validateRoleFilter } from "@/lib/pipeline";
+import { createSnapshotRecorder, createSnapshotReplay } from "@/lib/snapshots";
+import {
+  detectHeader,
+  guessColumnMapping,
+  parseDelimited,
+  rowsToEntries,
+  validateEntry,
+} from "@/lib/tabular";
+
+export const EXIT_CODES = { ok: 0, failed: 1, usage: 2 };
+
+const OUTPUT_FORMATS = ["csv", "json", "ndjson"];
+const INPUT_FORMATS = ["csv", "jsonl"];
+const CSV_PRESETS = Object.keys(EXPORT_PRESETS).filter(
+  (id) => EXPORT_PRESETS[id].format === "csv"
+);
+
+const USAGE = `Usage: npm run enrich -- <input.csv|input.jsonl> [options]
+
+Finds decision makers and their email addresses for every company in the input.
+
+Input
+  --input-format <csv|jsonl>    Defaults to the file extension
+                                CSV columns are recognised by header or content
+                                JSONL: {"company", "website", "linkedinProfiles"} per line
+
+Output
+  -o, --output <file>           Write here instead of stdout
+  -f, --format <csv|json|ndjson>
+                                Defaults to the --output extension, else csv
+      --preset <${CSV_PRESETS.join("|")}>
+                                Column layout for CSV output (default csv)
+
+Crawling
+  -c, --concurrency <n>         Pages fetched at once across all sites
+      --per-host-concurrency <n>
+      --page-budget <n>         Pages crawled per site
+      --max-depth <n>           Link depth followed from the landing page
+      --document-budget <n>     Linked PDFs, vCards and text files read per site
+      --document-max-bytes <n>  Skip linked documents larger than this
+      --alternates <n>          Alternate addresses kept per contact
+      --timeout <ms>            Time allowed for each page
+      --max-time <s>            Stop the whole run after this long (exit 1)
+      --verify                  Check mailboxes over SMTP
+      --record <file>           Save every fetched page to a snapshot archive
+      --replay <file>           Crawl a recorded snapshot instead of the network
+
+Roles
+      --roles <list>            Comma-separated role labels or departments to keep
+      --min-seniority <level>
+
+  -q, --quiet                   Only print errors
+  -h, --help
+
+Exit codes: 0 done, 1 the run failed or was stopped, 2 bad arguments or input.`;
+
+const OPTIONS = {
+  output: { type: "string", short: "o" },
+  format: { type: "string", short: "f" },
+  "input-format": { type: "string" },
+  preset: { type: "string" },
+  concurrency: { type: "string", short: "c" },
+  "per-host-concurrency": { type: "string" },
+  "page-budget": { type: "string" },
+  "max-depth": { type: "string" },
+  "document-budget": { type: "string" },
+  "document-max-bytes": { type: "string" },
+  alternates: { type: "string" },
+  timeout: { type: "string" },
+  "max-time": { type: "string" },
+  verify: { type: "boolean" },
+  record: { type: "string" },
+  replay: { type: "string" },
+  roles: { type: "string" },
+  "min-seniority": { type: "string" },
+  quiet: { type: "boolean", short: "q" },
+  help: { type: "boolean", short: "h" },
+};
+
+export async function main(argv, { stdout = process.stdout, stderr = process.stderr } = {}) {
+  const log = (message) => stderr.write(`${message}\n`);
+
+  let settings;
+  try {
+    settings = parseSettings(argv);
+  } catch (error) {
+    log(`${error.message}\n\n${USAGE}`);
+    return EXIT_CODES.usage;
+  }
+  if (settings.help) {
+    stdout.write(`${USAGE}\n`);
+    return EXIT_CODES.ok;
+  }
+  const info = settings.quiet ? () => {} : log;
+
+  let entries;
+  try {
+    entries = await readEntries(settings.input, settings.inputFormat, info);
+  } catch (error) {
+    log(error.message);
+    return EXIT_CODES.usage;
+  }
+  if (entries.length === 0) {
+    log("No usable rows in the input.");
+    return EXIT_CODES.usage;
+  }
+
+  let snapshot = null;
+  try {
+    snapshot = settings.replay
+      ? await createSnapshotReplay(settings.replay)
+      : settings.record
+      ? await createSnapshotRecorder(settings.record)
+      : null;
+  } catch (error) {
+    log(error.message);
+    return EXIT_CODES.usage;
+  }
+  if (settings.replay && !snapshot) {
+    log(`Cannot read ${settings.replay}: no such snapshot.`);
+    return EXIT_CODES.usage;
+  }
+
+  const controller = new AbortController();
+  const stop = () => controller.abort();
+  const deadline = settings.maxTimeMs ? setTimeout(stop, settings.maxTimeMs) : null;
+  process.once("SIGINT", stop);
+
+  const out = settings.output ? createWriteStream(settings.output) : stdout;
+  let writeError = null;
+  out.once("error", (error) => {
+    writeError = error;
+    stop();
+  });
+  let done = 0;
+  try {
+    await recordAudit({
+      action: "process",
+      actor: { type: "cli" },
+      entries: entries.length,
+      list: fingerprint(entries),
+    });
+
+    const outcome = await processEntries(entries, {
+      ...settings.options,
+      snapshot,
+      signal: controller.signal,
+      onEvent: (event) => {
+        if (event.type === "contact" && settings.format === "ndjson") {
+          out.write(`${JSON.stringify(event.result)}\n`);
+        }
+        if (event.type === "diagnostic") {
+          info(`  row ${entries[event.index].row}: ${event.diagnostic.message}`);
+        }
+        if (event.type === "company-done" || event.type === "company-skipped") {
+          done += 1;
+          const entry = entries[event.index];
+          info(
+            `[${done}/${entries.length}] ${entry.company || entry.website}: ${
+              event.type === "company-done" ? plural(event.contacts, "contact") : "skipped"
+            }`
+          );
+        }
+      },
+    });
+
+    const { results, merges } = outcome;
+    await recordAudit({
+      action: "process-finished",
+      actor: { type: "cli" },
+      status: controller.signal.aborted ? "cancelled" : "completed",
+      contacts: results.length,
+      suppressed: outcome.suppressed,
+    });
+
+    if (settings.format === "json") {
+      out.write(
+        `${JSON.stringify(
+          {
+            results,
+            merges,
+            companies: outcome.companies,
+            diagnostics: outcome.diagnostics,
+            suppressed: outcome.suppressed,
+          },
+          null,
+          2
+        )}\n`
+      );
+    } else if (settings.format === "csv") {
+      out.write(`${buildExport(results, { preset: settings.preset }).content}\n`);
+    }
+    await finish(out, stdout);
+
+    if (writeError) {
+      log(`Cannot write ${settings.output || "the output"}: ${writeError.message}`);
+      return EXIT_CODES.failed;
+    }
+    if (controller.signal.aborted) {
+      log(`Stopped early; the output holds the ${plural(results.length, "contact")} found so far.`);
+      return EXIT_CODES.failed;
+    }
+    if (snapshot?.mode === "record") {
+      info(`Recorded ${plural(snapshot.stats.pages, "page")} to ${settings.record}.`);
+    }
+    if (snapshot?.mode === "replay") {
+      info(
+        `Replayed ${plural(snapshot.stats.pages, "page")} from ${settings.replay}${
+          snapshot.stats.misses ? `; ${snapshot.stats.misses} not in the snapshot` : ""
+        }.`
+      );
+    }
+    for (const merge of merges) {
+      info(
+        `Merged ${merge.name} (${merge.company}) from rows ${merge.rows
+          .map((index) => entries[index].row)
+          .join(", ")}.`
+      );
+    }
+    info(`${plural(results.length, "contact")} from ${plural(entries.length, "company")}.`);
+    return EXIT_CODES.ok;
+  } catch (error) {
+    log(`Run failed: ${error?.message || error}`);
+    await finish(out, stdout);
+    return EXIT_CODES.failed;
+  } finally {
+    clearTimeout(deadline);
+    process.removeListener("SIGINT", stop);
+  }
+}
+
+function parseSettings(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    options: OPTIONS,
+    allowPositionals: true,
+  });
+  if (values.help) return { help: true };
+  if (positionals.length !== 1) {
+    throw new Error("Give exactly one input file.");
+  }
+
+  const input = positionals[0];
+  const inputFormat =
+    values["input-format"] || (/\.jsonl?$|\.ndjson$/i.test(input) ? "jsonl" : "csv");
+  if (!INPUT_FORMATS.includes(inputFormat)) {
+    throw new Error(`--input-format must be one of: ${INPUT_FORMATS.join(", ")}.`);
+  }
+
+  const extension = values.output ? path.extname(values.output).slice(1).toLowerCase() : "";
+  const format = values.format || (OUTPUT_FORMATS.includes(extension) ? extension : "csv");
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`--format must be one of: ${OUTPUT_FORMATS.join(", ")}.`);
+  }
+  const preset = values.preset || "csv";
+  if (!CSV_PRESETS.includes(preset)) {
+    throw new Error(`--preset must be one of: ${CSV_PRESETS.join(", ")}.`);
+  }
+
+  const options = {
+    concurrency: number(values, "concurrency"),
+    perHostConcurrency: number(values, "per-host-concurrency"),
+    pageBudget: number(values, "page-budget"),
+    maxDepth: number(values, "max-depth"),
+    documentBudget: number(values, "document-budget"),
+    documentMaxBytes: number(values, "document-max-bytes"),
+    alternates: number(values, "alternates"),
+    fetchTimeoutMs: number(values, "timeout"),
+    verify: Boolean(values.verify),
+    targetRoles: values.roles
+      ? values.roles.split(",").map((role) => role.trim()).filter(Boolean)
+      : undefined,
+    minSeniority: values["min-seniority"] || undefined,
+  };
+  const filterError = validateRoleFilter(options);
+  if (filterError) {
+    throw new Error(filterError);
+  }
+  if (values.record && values.replay) {
+    throw new Error("Give --record or --replay, not both.");
+  }
+  if (values.replay && options.verify) {
+    throw new Error("--verify needs the network, so it cannot be used with --replay.");
+  }
+
+  const maxTime = number(values, "max-time");
+  return {
+    input,
+    inputFormat,
+    output: values.output,
+    format,
+    preset,
+    options,
+    record: values.record,
+    replay: values.replay,
+    maxTimeMs: maxTime ? maxTime * 1000 : null,
+    quiet: Boolean(values.quiet),
+  };
+}
+
+function plural(count, word) {
+  return `${count} ${count === 1 ? word : word.replace(/y$/, "ie")}${count === 1 ? "" : "s"}`;
+}
+
+function number(values, name) {
+  if (values[name] === undefined) return undefined;
+  const value = Number(values[name]);
+  if (!Number.isFinite(value) || value < 0) {
+    throw new Error(`--${name} must be a non-negative number.`);
+  }
+  return value;
+}
+
+async function readEntries(file, format, info) {
+  let text;
+  try {
+    text = await fs.readFile(file, "utf8");
+  } catch (error) {
+    throw new Error(`Cannot read ${file}: ${error.message}`);
+  }
+
+  let parsed;
+  if (format === "jsonl") {
+    parsed = text.split(/\r?\n/).flatMap((line, index) => {
+      if (!line.trim()) return [];
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        return [{ row: index + 1, issues: ["Not valid JSON."] }];
+      }
+      const entry = {
+        company: String(record?.company || "").trim(),
+        website: String(record?.website || "").trim(),
+        linkedinProfiles: Array.isArray(record?.linkedinProfiles)
+          ? record.linkedinProfiles.map(String)
+          : [],
+      };
+      return [{ ...entry, row: index + 1, issues: validateEntry(entry) }];
+    });
+  } else {
+    const { rows, errors } = parseDelimited(text);
+    const hasHeader = detectHeader(rows);
+    parsed = rowsToEntries(rows, guessColumnMapping(rows, hasHeader), {
+      hasHeader,
+      parseErrors: errors,
+    });
+  }
+
+  for (const entry of parsed.filter((item) => item.issues.length)) {
+    info(`Skipping row ${entry.row}: ${entry.issues.join(" ")}`);
+  }
+  return parsed
+    .filter((entry) => entry.issues.length === 0)
+    .map(({ company, website, linkedinProfiles, row }) => ({
+      company,
+      website,
+      linkedinProfiles,
+      row,
+    }));
+}
+
+function finish(out, stdout) {
+  if (out === stdout || out.destroyed) return Promise.resolve();
+  return new Promise((resolve) => {
+    out.once("error", resolve);
+    out.end(resolve);
+  });
+}
@@ -0,0 +1,95 @@
+"use client";
+
+export default function ColumnMapper({
+  fileName,
+  columns,
+  mapping,
+  hasHeader,
+  onMappingChange,
+  onHeaderChange,
+  onDiscard,
+}) {
+  const selectClass =
+    "w-full rounded-lg border border-slate-800 bg-slate-950/40 px-3 py-2 text-sm text-slate-100 outline-none focus:border-cyan-400";
+
+  const toggleLinkedin = (index) => {
+    const linkedin = mapping.linkedin.includes(index)
+      ? mapping.linkedin.filter((item) => item !== index)
+      : [...mapping.linkedin, index].sort((a, b) => a - b);
+    onMappingChange({ ...mapping, linkedin });
+  };
+
+  return (
+    <div className="rounded-xl border border-slate-800 bg-slate-950/40 p-4 text-sm">
+      <div className="flex items-center justify-between gap-3">
+        <p className="truncate font-medium text-slate-100">{fileName}</p>
+        <button
+          onClick={onDiscard}
+          className="text-xs font-semibold text-slate-400 hover:text-slate-200"
+        >
+          Use pasted text instead
+        </button>
+      </div>
+
+      <label className="mt-3 flex items-center gap-2 text-xs text-slate-300">
+        <input
+          type="checkbox"
+          checked={hasHeader}
+          onChange={(event) => onHeaderChange(event.target.checked)}
+          className="h-4 w-4 rounded border-slate-700 bg-slate-950 accent-cyan-400"
+        />
+        First row is a header
+      </label>
+
+      <div className="mt-4 grid gap-3 sm:grid-cols-2">
+        {[
+          { key: "company", label: "Company column" },
+          { key: "website", label: "Website column" },
+        ].map(({ key, label }) => (
+          <label key={key} className="flex flex-col gap-1 text-xs text-slate-400">
+            {label}
+            <select
+              value={mapping[key] ?? ""}
+              onChange={(event) =>
+                onMappingChange({
+                  ...mapping,
+                  [key]: event.target.value === "" ? null : Number(event.target.value),
+                })
+              }
+              className={selectClass}
+            >
+              <option value="">Not mapped</option>
+              {columns.map((column, index) => (
+                <option key={`${key}-${index}`} value={index}>
+                  {column}
+                </option>
+              ))}
+            </select>
+          </label>
+        ))}
+      </div>
+
+      <p className="mt-4 text-xs text-slate-400">LinkedIn columns</p>
+      <div className="mt-2 flex flex-wrap gap-2">
+        {columns.map((column, index) => (
+          <label
+            key={`linkedin-${index}`}
+            className={`flex cursor-pointer items-center gap-1 rounded-full border px-3 py-1 text-xs ${
+              mapping.linkedin.includes(index)
+                ? "border-cyan-400/60 text-cyan-200"
+                : "border-slate-800 text-slate-400"
+            }`}
+          >
+            <input
+              type="checkbox"
+              checked={mapping.linkedin.includes(index)}
+              onChange={() => toggleLinkedin(index)}
+              className="sr-only"
+            />
+            {column}
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+}
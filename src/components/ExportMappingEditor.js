@@ -0,0 +1,165 @@
+"use client";
+
+import { EXPORT_FIELDS, EXPORT_PRESETS } from "@/lib/exporters";
+
+const CONSTANT = "__constant";
+
+const TABULAR_FORMATS = [
+  { id: "csv", label: "CSV" },
+  { id: "xlsx", label: "XLSX" },
+  { id: "json", label: "JSON" },
+];
+
+export default function ExportMappingEditor({ mapping, onChange, onClose }) {
+  const inputClass =
+    "w-full rounded-md border border-slate-800 bg-slate-950/40 px-2 py-1 text-xs text-slate-100 outline-none focus:border-cyan-400";
+
+  const updateColumn = (index, patch) => {
+    onChange({
+      ...mapping,
+      columns: mapping.columns.map((column, position) =>
+        position === index ? { ...column, ...patch } : column
+      ),
+    });
+  };
+
+  const moveColumn = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= mapping.columns.length) return;
+    const columns = [...mapping.columns];
+    [columns[index], columns[target]] = [columns[target], columns[index]];
+    onChange({ ...mapping, columns });
+  };
+
+  const changeSource = (index, source) => {
+    if (source === CONSTANT) {
+      updateColumn(index, { field: undefined, value: "" });
+    } else {
+      updateColumn(index, { field: source, value: undefined });
+    }
+  };
+
+  return (
+    <div className="rounded-xl border border-slate-800 bg-slate-950/40 p-4 text-xs text-slate-300">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <p className="font-medium text-slate-100">Custom export mapping</p>
+        <div className="flex flex-wrap items-center gap-3">
+          <label className="flex items-center gap-1">
+            Format
+            <select
+              value={mapping.format}
+              onChange={(event) => onChange({ ...mapping, format: event.target.value })}
+              className={inputClass}
+            >
+              {TABULAR_FORMATS.map((format) => (
+                <option key={format.id} value={format.id}>
+                  {format.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center gap-1">
+            Start from
+            <select
+              value=""
+              onChange={(event) => {
+                const preset = EXPORT_PRESETS[event.target.value];
+                if (preset) {
+                  onChange({ ...mapping, columns: preset.columns.map((column) => ({ ...column })) });
+                }
+              }}
+              className={inputClass}
+            >
+              <option value="">Preset…</option>
+              {Object.entries(EXPORT_PRESETS)
+                .filter(([, preset]) => preset.columns.length)
+                .map(([id, preset]) => (
+                  <option key={id} value={id}>
+                    {preset.label}
+                  </option>
+                ))}
+            </select>
+          </label>
+          <button
+            onClick={onClose}
+            className="font-semibold text-slate-400 hover:text-slate-200"
+          >
+            Done
+          </button>
+        </div>
+      </div>
+
+      <div className="mt-3 space-y-2">
+        {mapping.columns.map((column, index) => (
+          <div
+            key={index}
+            className="grid grid-cols-[1fr_1fr_1fr_auto] items-center gap-2"
+          >
+            <input
+              type="text"
+              value={column.header}
+              onChange={(event) => updateColumn(index, { header: event.target.value })}
+              placeholder="Column header"
+              className={inputClass}
+            />
+            <select
+              value={column.field || CONSTANT}
+              onChange={(event) => changeSource(index, event.target.value)}
+              className={inputClass}
+            >
+              {EXPORT_FIELDS.map((field) => (
+                <option key={field.id} value={field.id}>
+                  {field.label}
+                </option>
+              ))}
+              <option value={CONSTANT}>Constant value</option>
+            </select>
+            {column.field ? (
+              <span />
+            ) : (
+              <input
+                type="text"
+                value={column.value ?? ""}
+                onChange={(event) => updateColumn(index, { value: event.target.value })}
+                placeholder="e.g. Web Research"
+                className={inputClass}
+              />
+            )}
+            <div className="flex gap-2 text-slate-400">
+              <button onClick={() => moveColumn(index, -1)} className="hover:text-slate-200" aria-label="Move up">
+                ↑
+              </button>
+              <button onClick={() => moveColumn(index, 1)} className="hover:text-slate-200" aria-label="Move down">
+                ↓
+              </button>
+              <button
+                onClick={() =>
+                  onChange({
+                    ...mapping,
+                    columns: mapping.columns.filter((_, position) => position !== index),
+                  })
+                }
+                className="hover:text-rose-300"
+                aria-label="Remove column"
+              >
+                ✕
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <button
+        onClick={() =>
+          onChange({
+            ...mapping,
+            columns: [...mapping.columns, { header: "New column", field: "email" }],
+          })
+        }
+        className="mt-3 font-semibold text-cyan-300 hover:text-cyan-200"
+      >
+        Add column
+      </button>
+    </div>
+  );
+}
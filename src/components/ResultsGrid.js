@@ -0,0 +1,502 @@
+"use client";
+
+import { useMemo, useState } from "react";
+import { resultKey } from "@/lib/results";
+import { changeResultEmail, changeResultRole, renameResult } from "@/lib/resultsGrid";
+import { compileTaxonomy } from "@/lib/roles";
+
+// Rows have a fixed height so only the ones in view need rendering.
+const ROW_HEIGHT = 56;
+const VIEWPORT_HEIGHT = 560;
+const OVERSCAN = 10;
+
+const COLUMNS = [
+  { id: "name", label: "Name", editable: true },
+  { id: "role", label: "Role", editable: true },
+  { id: "company", label: "Company" },
+  { id: "email", label: "Email", editable: true },
+  { id: "confidence", label: "Confidence" },
+  { id: "verification", label: "Verification" },
+];
+
+const EDITORS = {
+  name: renameResult,
+  role: changeResultRole,
+  email: changeResultEmail,
+};
+
+const CONFIDENCE_STYLES = {
+  high: "bg-emerald-500/20 text-emerald-200",
+  medium: "bg-amber-500/20 text-amber-200",
+  low: "bg-rose-500/20 text-rose-200",
+};
+
+export default function ResultsGrid({
+  results,
+  rows,
+  filters,
+  onFiltersChange,
+  sort,
+  onSortChange,
+  selected,
+  onSelectedChange,
+  onResultsChange,
+  processing,
+  sourceRows,
+  taxonomy,
+}) {
+  const [scrollTop, setScrollTop] = useState(0);
+  const [editing, setEditing] = useState(null);
+  const [activeKey, setActiveKey] = useState(null);
+  // The server's active taxonomy, so edited roles classify the way its results do.
+  const compiledTaxonomy = useMemo(
+    () => (taxonomy ? compileTaxonomy(taxonomy) : null),
+    [taxonomy]
+  );
+
+  const selectClass =
+    "rounded-md border border-slate-800 bg-slate-950/40 px-2 py-1 text-xs text-slate-200 outline-none focus:border-cyan-400";
+
+  const options = useMemo(() => {
+    const distinct = (field) =>
+      Array.from(new Set(results.map((row) => row[field]).filter(Boolean))).sort((a, b) =>
+        a.localeCompare(b)
+      );
+    return { roles: distinct("role"), companies: distinct("company") };
+  }, [results]);
+
+  const keys = useMemo(() => rows.map(resultKey), [rows]);
+  const first = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const last = Math.min(
+    rows.length,
+    Math.ceil((scrollTop + VIEWPORT_HEIGHT) / ROW_HEIGHT) + OVERSCAN
+  );
+  const allSelected = rows.length > 0 && keys.every((key) => selected.has(key));
+  const activeRow = activeKey
+    ? results.find((row) => resultKey(row) === activeKey)
+    : null;
+
+  const updateFilter = (field, value) => {
+    onFiltersChange({ ...filters, [field]: value });
+  };
+
+  const toggleSort = (column) => {
+    onSortChange(
+      sort.column === column
+        ? { column, direction: sort.direction === "asc" ? "desc" : "asc" }
+        : { column, direction: "asc" }
+    );
+  };
+
+  const toggleRow = (key) => {
+    const next = new Set(selected);
+    if (next.has(key)) next.delete(key);
+    else next.add(key);
+    onSelectedChange(next);
+  };
+
+  const toggleAll = () => {
+    const next = new Set(selected);
+    for (const key of keys) {
+      if (allSelected) next.delete(key);
+      else next.add(key);
+    }
+    onSelectedChange(next);
+  };
+
+  const deleteSelected = () => {
+    onResultsChange(results.filter((row) => !selected.has(resultKey(row))));
+    onSelectedChange(new Set());
+  };
+
+  const commitEdit = () => {
+    if (!editing) return;
+    const current = results.find((row) => resultKey(row) === editing.key);
+    if (!current || String(current[editing.field] ?? "") === editing.value) {
+      setEditing(null);
+      return;
+    }
+
+    const edit =
+      editing.field === "role" && !compiledTaxonomy
+        ? { error: "The role taxonomy is still loading." }
+        : EDITORS[editing.field](current, editing.value, compiledTaxonomy);
+    const nextKey = edit.row ? resultKey(edit.row) : null;
+    const error =
+      edit.error ||
+      (nextKey !== editing.key && results.some((row) => resultKey(row) === nextKey)
+        ? "Another row already has that address."
+        : null);
+    if (error) {
+      setEditing({ ...editing, error });
+      return;
+    }
+
+    onResultsChange(results.map((row) => (row === current ? edit.row : row)));
+    if (nextKey !== editing.key) {
+      if (selected.has(editing.key)) {
+        const next = new Set(selected);
+        next.delete(editing.key);
+        next.add(nextKey);
+        onSelectedChange(next);
+      }
+      if (activeKey === editing.key) setActiveKey(nextKey);
+    }
+    setEditing(null);
+  };
+
+  const renderCell = (row, key, column) => {
+    if (editing?.key === key && editing.field === column.id) {
+      return (
+        <input
+          autoFocus
+          value={editing.value}
+          onChange={(event) =>
+            setEditing({ ...editing, value: event.target.value, error: null })
+          }
+          onBlur={commitEdit}
+          onKeyDown={(event) => {
+            if (event.key === "Enter") commitEdit();
+            if (event.key === "Escape") setEditing(null);
+          }}
+          title={editing.error || undefined}
+          className={`w-full rounded border bg-slate-950 px-1.5 py-0.5 text-sm text-slate-100 outline-none ${
+            editing.error ? "border-rose-400" : "border-cyan-400"
+          }`}
+        />
+      );
+    }
+
+    switch (column.id) {
+      case "name":
+        return <span className="font-medium text-slate-100">{row.name}</span>;
+      case "role":
+        return (
+          <>
+            <span className="text-slate-300">{row.role}</span>
+            {row.department || row.seniority ? (
+              <span className="block truncate text-[11px] text-slate-500">
+                {[row.department, row.seniority].filter(Boolean).join(" · ")}
+              </span>
+            ) : null}
+          </>
+        );
+      case "email":
+        return <span className="text-cyan-300">{row.email}</span>;
+      case "confidence":
+        return (
+          <span
+            className={`inline-flex rounded-full px-3 py-1 text-xs font-semibold ${
+              CONFIDENCE_STYLES[row.confidence] || CONFIDENCE_STYLES.low
+            }`}
+          >
+            {row.confidence}
+            {row.confidenceScore !== undefined ? ` · ${row.confidenceScore}` : ""}
+          </span>
+        );
+      case "verification":
+        return (
+          <span className="text-xs text-slate-400" title={row.verificationDetail || undefined}>
+            {row.verification || "—"}
+          </span>
+        );
+      default:
+        return <span className="text-slate-300">{row[column.id]}</span>;
+    }
+  };
+
+  return (
+    <div className="mt-6">
+      <div className="flex flex-wrap items-center gap-3">
+        <input
+          type="search"
+          value={filters.query}
+          onChange={(event) => updateFilter("query", event.target.value)}
+          placeholder="Search name, role, company or email"
+          className={`${selectClass} min-w-[14rem] flex-1`}
+        />
+        <select
+          value={filters.confidence}
+          onChange={(event) => updateFilter("confidence", event.target.value)}
+          className={selectClass}
+        >
+          <option value="">All confidence</option>
+          <option value="high">High</option>
+          <option value="medium">Medium</option>
+          <option value="low">Low</option>
+        </select>
+        <select
+          value={filters.role}
+          onChange={(event) => updateFilter("role", event.target.value)}
+          className={selectClass}
+        >
+          <option value="">All roles</option>
+          {options.roles.map((role) => (
+            <option key={role} value={role}>
+              {role}
+            </option>
+          ))}
+        </select>
+        <select
+          value={filters.company}
+          onChange={(event) => updateFilter("company", event.target.value)}
+          className={selectClass}
+        >
+          <option value="">All companies</option>
+          {options.companies.map((company) => (
+            <option key={company} value={company}>
+              {company}
+            </option>
+          ))}
+        </select>
+        <select
+          value={filters.department}
+          onChange={(event) => updateFilter("department", event.target.value)}
+          className={selectClass}
+        >
+          <option value="">All departments</option>
+          {(taxonomy?.departments || []).map((department) => (
+            <option key={department.id} value={department.id}>
+              {department.label}
+            </option>
+          ))}
+        </select>
+        <select
+          value={filters.seniority}
+          onChange={(event) => updateFilter("seniority", event.target.value)}
+          className={selectClass}
+        >
+          <option value="">All seniorities</option>
+          {(taxonomy?.seniorityLevels || []).map((level) => (
+            <option key={level.id} value={level.id}>
+              {level.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {selected.size ? (
+        <div className="mt-3 flex flex-wrap items-center gap-4 rounded-xl border border-cyan-400/30 bg-cyan-500/10 px-4 py-2 text-xs text-cyan-100">
+          <span>
+            {selected.size} selected · downloads export only these rows
+          </span>
+          <button
+            onClick={deleteSelected}
+            disabled={processing}
+            className="font-semibold text-rose-300 hover:text-rose-200 disabled:cursor-not-allowed disabled:text-slate-500"
+          >
+            Delete selected
+          </button>
+          <button
+            onClick={() => onSelectedChange(new Set())}
+            className="font-semibold text-cyan-300 hover:text-cyan-200"
+          >
+            Clear selection
+          </button>
+        </div>
+      ) : null}
+
+      <div
+        className="mt-4 overflow-auto"
+        style={{ maxHeight: VIEWPORT_HEIGHT }}
+        onScroll={(event) => setScrollTop(event.currentTarget.scrollTop)}
+      >
+        <table className="min-w-full table-fixed divide-y divide-slate-800 text-left text-sm">
+          <thead className="sticky top-0 z-10 bg-slate-950">
+            <tr className="text-xs uppercase tracking-wide text-slate-400">
+              <th className="w-10 px-3 py-2">
+                <input
+                  type="checkbox"
+                  checked={allSelected}
+                  onChange={toggleAll}
+                  disabled={!rows.length}
+                  aria-label="Select all shown rows"
+                  className="h-4 w-4 accent-cyan-400"
+                />
+              </th>
+              {COLUMNS.map((column) => (
+                <th key={column.id} className="px-3 py-2 font-semibold">
+                  <button
+                    onClick={() => toggleSort(column.id)}
+                    className="uppercase tracking-wide hover:text-slate-200"
+                  >
+                    {column.label}
+                    {sort.column === column.id
+                      ? sort.direction === "asc"
+                        ? " ▲"
+                        : " ▼"
+                      : ""}
+                  </button>
+                </th>
+              ))}
+              <th className="w-20 px-3 py-2" />
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-800/70">
+            {rows.length === 0 ? (
+              <tr>
+                <td colSpan={COLUMNS.length + 2} className="px-3 py-8 text-center text-sm text-slate-500">
+                  {processing
+                    ? "Analyzing inputs and discovering email patterns…"
+                    : results.length
+                    ? "No contacts match the current filters."
+                    : "Run the generator to view decision-maker contacts."}
+                </td>
+              </tr>
+            ) : (
+              <>
+                {first > 0 ? <tr style={{ height: first * ROW_HEIGHT }} /> : null}
+                {rows.slice(first, last).map((row, offset) => {
+                  const key = keys[first + offset];
+                  return (
+                    <tr
+                      key={key}
+                      style={{ height: ROW_HEIGHT }}
+                      className={
+                        activeKey === key
+                          ? "bg-slate-900/60"
+                          : selected.has(key)
+                          ? "bg-cyan-500/5"
+                          : undefined
+                      }
+                    >
+                      <td className="px-3">
+                        <input
+                          type="checkbox"
+                          checked={selected.has(key)}
+                          onChange={() => toggleRow(key)}
+                          aria-label={`Select ${row.name}`}
+                          className="h-4 w-4 accent-cyan-400"
+                        />
+                      </td>
+                      {COLUMNS.map((column) => (
+                        <td
+                          key={column.id}
+                          className="max-w-[16rem] truncate px-3"
+                          title={column.editable && !processing ? "Double-click to edit" : undefined}
+                          onDoubleClick={() => {
+                            if (!column.editable || processing) return;
+                            setEditing({
+                              key,
+                              field: column.id,
+                              value: String(row[column.id] ?? ""),
+                              error: null,
+                            });
+                          }}
+                        >
+                          {renderCell(row, key, column)}
+                        </td>
+                      ))}
+                      <td className="px-3 text-right">
+                        <button
+                          onClick={() => setActiveKey(activeKey === key ? null : key)}
+                          className="text-xs font-semibold text-slate-400 hover:text-cyan-200"
+                        >
+                          {activeKey === key ? "Hide" : "Details"}
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })}
+                {last < rows.length ? (
+                  <tr style={{ height: (rows.length - last) * ROW_HEIGHT }} />
+                ) : null}
+              </>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {editing?.error ? (
+        <p className="mt-2 text-xs text-rose-300">{editing.error}</p>
+      ) : null}
+
+      {activeRow ? <ResultDetails row={activeRow} sourceRows={sourceRows} /> : null}
+    </div>
+  );
+}
+
+function ResultDetails({ row, sourceRows }) {
+  return (
+    <div className="mt-4 grid gap-4 rounded-xl border border-slate-800 bg-slate-900/40 p-4 text-xs text-slate-400 md:grid-cols-3">
+      <div>
+        <p className="mb-1 font-semibold text-slate-200">
+          {row.name}
+          {row.title ? <span className="font-normal text-slate-500"> · {row.title}</span> : null}
+        </p>
+        <ol className="space-y-1">
+          {(row.candidates || []).map((candidate, index) => (
+            <li key={candidate.email} className="flex flex-wrap items-baseline gap-x-3">
+              <span className={index === 0 ? "text-cyan-300" : "text-slate-200"}>
+                {candidate.email}
+              </span>
+              <span>{candidate.pattern}</span>
+              {candidate.probability !== undefined ? (
+                <span>{Math.round(candidate.probability * 100)}%</span>
+              ) : null}
+              <span className="text-slate-500">{candidate.evidence}</span>
+            </li>
+          ))}
+        </ol>
+      </div>
+      <div>
+        <p className="mb-1 font-semibold text-slate-200">Confidence</p>
+        <ul className="space-y-0.5">
+          {(row.confidenceBreakdown || []).map((item) => (
+            <li key={item.signal} title={item.detail}>
+              {item.label}:{" "}
+              {item.points === null ? "n/a" : `${item.points}/${item.weight}`}
+            </li>
+          ))}
+        </ul>
+      </div>
+      <div>
+        <p className="mb-1 font-semibold text-slate-200">Sources</p>
+        <div className="flex flex-col gap-1">
+          {parseSources(row.source).map((item, index) => (
+            <a
+              key={`${item.url}-${index}`}
+              href={item.url}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="break-all hover:text-cyan-200"
+            >
+              {item.label}
+            </a>
+          ))}
+        </div>
+        {row.mergedFrom ? (
+          <>
+            <p className="mb-1 mt-3 font-semibold text-slate-200">Merged from</p>
+            <ul className="space-y-0.5">
+              {row.mergedFrom.map((item, index) => (
+                <li key={`${item.index}-${item.email}-${index}`}>
+                  Row {sourceRows?.[item.index] ?? item.index + 1} · {item.name} · {item.company}
+                  {item.email ? <span className="text-slate-500"> · {item.email}</span> : null}
+                </li>
+              ))}
+            </ul>
+          </>
+        ) : null}
+      </div>
+    </div>
+  );
+}
+
+function parseSources(source) {
+  return String(source || "")
+    .split(" | ")
+    .filter(Boolean)
+    .map((part) => {
+      const match = part.match(/^(\S+)(?: \((.+)\))?$/);
+      const url = match ? match[1] : part;
+      let label = url;
+      try {
+        const parsed = new URL(url);
+        label = `${parsed.hostname.replace(/^www\./, "")}${parsed.pathname.replace(/\/$/, "")}`;
+      } catch {
+        // Keep the raw value when it is not a URL.
+      }
+      return { url, label: match?.[2] ? `${label} · ${match[2]}` : label };
+    });
+}
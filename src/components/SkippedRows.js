@@ -0,0 +1,155 @@
+"use client";
+
+import { useState } from "react";
+import { validateEntry } from "@/lib/tabular";
+
+const STAGE_LABELS = {
+  input: "Input",
+  suppression: "Suppression",
+  contacts: "Contacts",
+  filter: "Role filter",
+  email: "Email",
+};
+
+function draftFromEntry(entry = {}) {
+  return {
+    company: entry.company || "",
+    website: entry.website || "",
+    linkedin: (entry.linkedinProfiles || []).join("\n"),
+  };
+}
+
+function entryFromDraft(draft) {
+  return {
+    company: draft.company.trim(),
+    website: draft.website.trim(),
+    linkedinProfiles: draft.linkedin
+      .split(/[\n,]+/)
+      .map((profile) => profile.trim())
+      .filter(Boolean),
+  };
+}
+
+export default function SkippedRows({ diagnostics, entries, sourceRows, disabled, onResubmit }) {
+  const [drafts, setDrafts] = useState({});
+
+  const inputClass =
+    "w-full rounded-md border border-slate-800 bg-slate-950/40 px-2 py-1 text-xs text-slate-100 outline-none focus:border-cyan-400";
+
+  const grouped = new Map();
+  for (const diagnostic of diagnostics) {
+    if (!grouped.has(diagnostic.index)) grouped.set(diagnostic.index, []);
+    grouped.get(diagnostic.index).push(diagnostic);
+  }
+  const rows = Array.from(grouped.entries()).sort(([a], [b]) => a - b);
+
+  const edited = Object.entries(drafts).map(([index, draft]) => ({
+    index: Number(index),
+    ...entryFromDraft(draft),
+  }));
+  const invalid = edited.filter((entry) => validateEntry(entry).length > 0);
+
+  const updateDraft = (index, patch) => {
+    setDrafts((current) => ({
+      ...current,
+      [index]: { ...(current[index] || draftFromEntry(entries[index])), ...patch },
+    }));
+  };
+
+  const handleResubmit = () => {
+    if (!edited.length || invalid.length) return;
+    onResubmit(edited);
+    setDrafts({});
+  };
+
+  if (rows.length === 0) {
+    return (
+      <p className="mt-6 rounded-xl border border-slate-800/80 bg-slate-950/40 px-4 py-8 text-center text-sm text-slate-500">
+        Every row produced results, or nothing has run yet.
+      </p>
+    );
+  }
+
+  return (
+    <div className="mt-6 space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-3 text-xs text-slate-400">
+        <p>
+          Edit a row to fix it, then resubmit. Only edited rows are crawled again;
+          the rest of the job keeps its results.
+        </p>
+        <button
+          onClick={handleResubmit}
+          disabled={disabled || !edited.length || invalid.length > 0}
+          className="rounded-md bg-cyan-500 px-3 py-1.5 text-sm font-semibold text-slate-950 hover:bg-cyan-400 disabled:cursor-not-allowed disabled:opacity-50"
+        >
+          Resubmit {edited.length || ""} fixed row{edited.length === 1 ? "" : "s"}
+        </button>
+      </div>
+
+      {rows.map(([index, items]) => {
+        const draft = drafts[index] || draftFromEntry(entries[index]);
+        const issues = drafts[index] ? validateEntry(entryFromDraft(draft)) : [];
+        const fixable = items.some((item) => item.fixable);
+        return (
+          <div
+            key={index}
+            className={`rounded-xl border px-4 py-3 ${
+              drafts[index] ? "border-cyan-400/40" : "border-slate-800/80"
+            } bg-slate-950/40`}
+          >
+            <div className="flex flex-wrap items-baseline justify-between gap-2 text-xs">
+              <span className="font-medium text-slate-200">
+                Row {sourceRows?.[index] ?? index + 1}
+                {items[0].company ? ` · ${items[0].company}` : ""}
+              </span>
+              {!fixable ? (
+                <span className="text-slate-500">Not caused by the row itself</span>
+              ) : null}
+            </div>
+            <ul className="mt-2 space-y-1 text-xs">
+              {items.map((item, position) => (
+                <li key={`${item.code}-${position}`} className="flex gap-2">
+                  <span className="shrink-0 rounded-full bg-slate-800 px-2 py-0.5 text-[10px] uppercase tracking-wide text-slate-300">
+                    {STAGE_LABELS[item.stage] || item.stage}
+                  </span>
+                  <span className={item.fixable ? "text-amber-200" : "text-slate-400"}>
+                    {item.message}
+                  </span>
+                </li>
+              ))}
+            </ul>
+            <div className="mt-3 grid gap-2 sm:grid-cols-3">
+              <input
+                type="text"
+                value={draft.company}
+                onChange={(event) => updateDraft(index, { company: event.target.value })}
+                placeholder="Company"
+                disabled={!entries[index]}
+                className={inputClass}
+              />
+              <input
+                type="text"
+                value={draft.website}
+                onChange={(event) => updateDraft(index, { website: event.target.value })}
+                placeholder="Website"
+                disabled={!entries[index]}
+                className={inputClass}
+              />
+              <textarea
+                value={draft.linkedin}
+                onChange={(event) => updateDraft(index, { linkedin: event.target.value })}
+                placeholder="LinkedIn profiles, one per line"
+                rows={Math.max(1, draft.linkedin.split("\n").length)}
+                disabled={!entries[index]}
+                className={inputClass}
+              />
+            </div>
+            {issues.length ? (
+              <p className="mt-2 text-[11px] text-rose-300">{issues.join(" ")}</p>
+            ) : null}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
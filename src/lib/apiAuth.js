@@ -0,0 +1,130 @@
+import { timingSafeEqual } from "node:crypto";
+import { NextResponse } from "next/server";
+import { checkRateLimit, consumeQuota, findApiKey, refundQuota } from "@/lib/apiKeys";
+import { requestLimits } from "@/lib/settings";
+
+export async function readJsonBody(request, { maxBytes } = requestLimits()) {
+  const declared = Number(request.headers.get("content-length"));
+  if (declared > maxBytes) {
+    return { error: `Request body exceeds ${maxBytes} bytes.`, status: 413 };
+  }
+
+  const text = await request.text();
+  if (Buffer.byteLength(text) > maxBytes) {
+    return { error: `Request body exceeds ${maxBytes} bytes.`, status: 413 };
+  }
+
+  try {
+    return { body: JSON.parse(text || "{}"), text };
+  } catch {
+    return { error: "Request body must be valid JSON.", status: 400 };
+  }
+}
+
+export function checkEntryLimit(entries, { maxEntries } = requestLimits()) {
+  if (Array.isArray(entries) && entries.length > maxEntries) {
+    return `Too many entries: ${entries.length} supplied, the limit is ${maxEntries} per request.`;
+  }
+  return null;
+}
+
+export function apiKeyFromRequest(request) {
+  const authorization = request.headers.get("authorization") || "";
+  const bearer = authorization.match(/^Bearer\s+(.+)$/i)?.[1];
+  return (bearer || request.headers.get("x-api-key") || "").trim() || null;
+}
+
+export function withApiKey(handler, { chargeEntries = false } = {}) {
+  return async function authenticated(request, context = {}) {
+    const record = await findApiKey(apiKeyFromRequest(request));
+    if (!record) {
+      return NextResponse.json(
+        { error: "A valid API key is required." },
+        { status: 401, headers: { "WWW-Authenticate": "Bearer" } }
+      );
+    }
+
+    const rate = checkRateLimit(record);
+    const rateHeaders = {
+      "X-RateLimit-Limit": String(rate.limit),
+      "X-RateLimit-Remaining": String(rate.remaining),
+    };
+    if (!rate.allowed) {
+      return NextResponse.json(
+        { error: `Rate limit of ${rate.limit} requests per minute exceeded.` },
+        {
+          status: 429,
+          headers: { ...rateHeaders, "Retry-After": String(rate.retryAfter) },
+        }
+      );
+    }
+
+    let forwarded = request;
+    let charge = null;
+    if (chargeEntries) {
+      const { body, text, error, status } = await readJsonBody(request);
+      if (error) {
+        return NextResponse.json({ error }, { status, headers: rateHeaders });
+      }
+      const entryError = checkEntryLimit(body.entries);
+      if (entryError) {
+        return NextResponse.json({ error: entryError }, { status: 413, headers: rateHeaders });
+      }
+
+      // Resumed jobs were charged when they were first submitted; corrected rows are
+      // crawled again, so they count. A replay of a stored snapshot fetches nothing.
+      const charged = body.replayJobId ? null : body.entries ?? body.corrections;
+      const entries = Array.isArray(charged) ? charged.length : 0;
+      const chargedAt = new Date();
+      const quota = await consumeQuota(record.id, entries, chargedAt);
+      rateHeaders["X-Quota-Remaining"] = String(Math.max(0, quota.remaining));
+      if (!quota.allowed) {
+        return NextResponse.json(
+          {
+            error: `Daily quota of ${quota.limit} entries exceeded; ${quota.remaining} left until ${quota.resetAt}.`,
+          },
+          { status: 429, headers: rateHeaders }
+        );
+      }
+
+      charge = { entries, chargedAt, remaining: quota.remaining };
+
+      forwarded = new Request(request.url, {
+        method: request.method,
+        headers: request.headers,
+        body: text,
+        signal: request.signal,
+      });
+    }
+
+    const response = await handler(forwarded, { ...context, apiKey: record });
+    // The route validates the body itself; a request it refuses costs no quota.
+    if (charge?.entries && response.status >= 400) {
+      await refundQuota(record.id, charge.entries, charge.chargedAt);
+      rateHeaders["X-Quota-Remaining"] = String(Math.max(0, charge.remaining + charge.entries));
+    }
+    for (const [name, value] of Object.entries(rateHeaders)) {
+      response.headers.set(name, value);
+    }
+    return response;
+  };
+}
+
+export function withAdminToken(handler) {
+  return async function authorized(request, context) {
+    const expected = process.env.ADMIN_TOKEN;
+    if (!expected) {
+      return NextResponse.json(
+        { error: "Set ADMIN_TOKEN to enable key management and privacy controls." },
+        { status: 503 }
+      );
+    }
+
+    const supplied = Buffer.from(apiKeyFromRequest(request) || "");
+    const target = Buffer.from(expected);
+    if (supplied.length !== target.length || !timingSafeEqual(supplied, target)) {
+      return NextResponse.json({ error: "Invalid admin token." }, { status: 401 });
+    }
+    return handler(request, context);
+  };
+}
@@ -0,0 +1,185 @@
+import { createHash, randomBytes, randomUUID, timingSafeEqual } from "node:crypto";
+import { dataPath, readJsonFile, updateJsonFile } from "@/lib/fileStore";
+
+export const API_KEY_DEFAULTS = { rateLimit: 60, dailyQuota: 5000 };
+
+const KEY_PREFIX = "dmk_";
+
+const RATE_WINDOW_MS = 60_000;
+
+const requestWindows = new Map();
+
+function keysFile() {
+  return dataPath("api-keys.json");
+}
+
+export function hashApiKey(key) {
+  return createHash("sha256").update(String(key)).digest("hex");
+}
+
+export async function listApiKeys() {
+  const keys = await readJsonFile(keysFile(), []);
+  return keys.map(publicKey);
+}
+
+export async function createApiKey({ name, rateLimit, dailyQuota } = {}) {
+  const key = `${KEY_PREFIX}${randomBytes(24).toString("base64url")}`;
+  const record = {
+    id: randomUUID(),
+    name: String(name || "").trim() || "Unnamed key",
+    prefix: key.slice(0, KEY_PREFIX.length + 6),
+    hash: hashApiKey(key),
+    rateLimit: positiveInteger(rateLimit, API_KEY_DEFAULTS.rateLimit),
+    dailyQuota: positiveInteger(dailyQuota, API_KEY_DEFAULTS.dailyQuota),
+    createdAt: new Date().toISOString(),
+    revokedAt: null,
+    lastUsedAt: null,
+    usage: { day: null, requests: 0, entries: 0 },
+  };
+
+  await updateJsonFile(keysFile(), (keys) => [...keys, record], []);
+  // The plain key is only ever returned here; the store keeps its hash.
+  return { key, record: publicKey(record) };
+}
+
+export async function updateApiKey(id, patch = {}) {
+  let found = null;
+  await updateJsonFile(
+    keysFile(),
+    (keys) =>
+      keys.map((record) => {
+        if (record.id !== id) return record;
+        found = {
+          ...record,
+          name: patch.name !== undefined ? String(patch.name).trim() || record.name : record.name,
+          rateLimit: positiveInteger(patch.rateLimit, record.rateLimit),
+          dailyQuota: positiveInteger(patch.dailyQuota, record.dailyQuota),
+        };
+        return found;
+      }),
+    []
+  );
+  return found && publicKey(found);
+}
+
+export async function revokeApiKey(id) {
+  let found = null;
+  await updateJsonFile(
+    keysFile(),
+    (keys) =>
+      keys.map((record) => {
+        if (record.id !== id) return record;
+        found = { ...record, revokedAt: record.revokedAt || new Date().toISOString() };
+        return found;
+      }),
+    []
+  );
+  requestWindows.delete(id);
+  return found && publicKey(found);
+}
+
+export async function findApiKey(key) {
+  if (!key || !key.startsWith(KEY_PREFIX)) return null;
+  const hash = Buffer.from(hashApiKey(key), "hex");
+  const keys = await readJsonFile(keysFile(), []);
+
+  const record = keys.find((item) =>
+    timingSafeEqual(Buffer.from(item.hash, "hex"), hash)
+  );
+  return record && !record.revokedAt ? record : null;
+}
+
+export function checkRateLimit(record, now = Date.now()) {
+  const recent = (requestWindows.get(record.id) || []).filter(
+    (time) => now - time < RATE_WINDOW_MS
+  );
+
+  if (recent.length >= record.rateLimit) {
+    requestWindows.set(record.id, recent);
+    return {
+      allowed: false,
+      limit: record.rateLimit,
+      remaining: 0,
+      retryAfter: Math.ceil((recent[0] + RATE_WINDOW_MS - now) / 1000),
+    };
+  }
+
+  recent.push(now);
+  requestWindows.set(record.id, recent);
+  return {
+    allowed: true,
+    limit: record.rateLimit,
+    remaining: record.rateLimit - recent.length,
+    retryAfter: 0,
+  };
+}
+
+export async function consumeQuota(id, entries, now = new Date()) {
+  const day = now.toISOString().slice(0, 10);
+  const resetAt = `${day}T23:59:59.999Z`;
+  let outcome = null;
+
+  await updateJsonFile(
+    keysFile(),
+    (keys) =>
+      keys.map((record) => {
+        if (record.id !== id) return record;
+        const usage =
+          record.usage?.day === day ? record.usage : { day, requests: 0, entries: 0 };
+        const remaining = record.dailyQuota - usage.entries;
+
+        if (entries > remaining) {
+          outcome = { allowed: false, limit: record.dailyQuota, remaining, resetAt };
+          return record;
+        }
+
+        outcome = {
+          allowed: true,
+          limit: record.dailyQuota,
+          remaining: remaining - entries,
+          resetAt,
+        };
+        return {
+          ...record,
+          lastUsedAt: now.toISOString(),
+          usage: { day, requests: usage.requests + 1, entries: usage.entries + entries },
+        };
+      }),
+    []
+  );
+
+  return outcome || { allowed: false, limit: 0, remaining: 0, resetAt };
+}
+
+// Gives back entries charged on the given day for a request that was then refused.
+export async function refundQuota(id, entries, chargedAt) {
+  const day = chargedAt.toISOString().slice(0, 10);
+  await updateJsonFile(
+    keysFile(),
+    (keys) =>
+      keys.map((record) =>
+        record.id === id && record.usage?.day === day
+          ? {
+              ...record,
+              usage: { ...record.usage, entries: Math.max(0, record.usage.entries - entries) },
+            }
+          : record
+      ),
+    []
+  );
+}
+
+function publicKey(record) {
+  const rest = { ...record };
+  delete rest.hash;
+  const today = new Date().toISOString().slice(0, 10);
+  return {
+    ...rest,
+    usage: rest.usage?.day === today ? rest.usage : { day: today, requests: 0, entries: 0 },
+  };
+}
+
+function positiveInteger(value, fallback) {
+  const number = Math.floor(Number(value));
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+}
@@ -0,0 +1,25 @@
+import { createHash, timingSafeEqual } from "node:crypto";
+
+export const APP_SESSION_COOKIE = "app-session";
+
+// The cookie carries a digest, so the token itself is never stored in the browser.
+export function appSessionValue(token) {
+  return createHash("sha256").update(`app-session:${token}`).digest("hex");
+}
+
+export function appTokenMatches(supplied, expected = process.env.APP_TOKEN) {
+  return Boolean(expected) && safeEqual(String(supplied || ""), expected);
+}
+
+// Without APP_TOKEN nobody has a session: the app's routes stay closed until one is set.
+export function hasAppSession(request, expected = process.env.APP_TOKEN) {
+  if (!expected) return false;
+  const cookie = request.cookies.get(APP_SESSION_COOKIE)?.value || "";
+  return safeEqual(cookie, appSessionValue(expected));
+}
+
+function safeEqual(a, b) {
+  const supplied = Buffer.from(a);
+  const target = Buffer.from(b);
+  return supplied.length === target.length && timingSafeEqual(supplied, target);
+}
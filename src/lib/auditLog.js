@@ -0,0 +1,63 @@
+import { createHash, randomUUID } from "node:crypto";
+import { promises as fs } from "node:fs";
+import { appendJsonLine, dataPath } from "@/lib/fileStore";
+
+export const AUDIT_ACTIONS = [
+  "process",
+  "resume",
+  "process-finished",
+  "export",
+  "suppression-add",
+  "suppression-remove",
+  "forget",
+  "retention-purge",
+  "webhook",
+  "snapshot-export",
+  "sign-in",
+];
+
+function auditFile() {
+  return dataPath("audit.ndjson");
+}
+
+export function fingerprint(value) {
+  return createHash("sha256").update(JSON.stringify(value)).digest("hex").slice(0, 16);
+}
+
+export function auditActor(request, apiKey) {
+  if (apiKey) {
+    return { type: "api-key", id: apiKey.id, name: apiKey.name };
+  }
+  const forwarded = request?.headers.get("x-forwarded-for")?.split(",")[0].trim();
+  return {
+    type: "app",
+    address: forwarded || request?.headers.get("x-real-ip") || "local",
+  };
+}
+
+export async function recordAudit({ action, actor = null, ...details }, now = new Date()) {
+  const event = { id: randomUUID(), at: now.toISOString(), action, actor, ...details };
+  await appendJsonLine(auditFile(), event);
+  return event;
+}
+
+export async function readAuditLog({ limit = 200, action } = {}) {
+  let text = "";
+  try {
+    text = await fs.readFile(auditFile(), "utf8");
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+
+  const events = [];
+  for (const line of text.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      const event = JSON.parse(line);
+      if (!action || event.action === action) events.push(event);
+    } catch {
+      // Skip a line cut short by a crash.
+    }
+  }
+  return events.reverse().slice(0, limit);
+}
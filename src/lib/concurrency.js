@@ -0,0 +1,56 @@
+export function createLimiter(limit) {
+  const max = Math.max(1, Math.floor(limit) || 1);
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= max || queue.length === 0) return;
+    active += 1;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active -= 1;
+        next();
+      });
+  };
+
+  return function run(task) {
+    return new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      next();
+    });
+  };
+}
+
+export function createKeyedLimiter(limit) {
+  const limiters = new Map();
+
+  return function run(key, task) {
+    if (!limiters.has(key)) {
+      limiters.set(key, createLimiter(limit));
+    }
+    return limiters.get(key)(task);
+  };
+}
+
+export async function mapWithConcurrency(items, limit, worker, { signal } = {}) {
+  const results = new Array(items.length);
+  const max = Math.max(1, Math.floor(limit) || 1);
+  let cursor = 0;
+
+  const runWorker = async () => {
+    while (cursor < items.length && !signal?.aborted) {
+      const index = cursor;
+      cursor += 1;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(max, items.length) }, runWorker)
+  );
+
+  return results;
+}
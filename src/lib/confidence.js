@@ -0,0 +1,202 @@
+export const CONFIDENCE_WEIGHTS = {
+  evidence: 30,
+  agreement: 20,
+  name: 15,
+  role: 10,
+  domain: 10,
+  verification: 15,
+};
+
+export const CONFIDENCE_THRESHOLDS = { high: 70, medium: 40 };
+
+const SIGNAL_LABELS = {
+  evidence: "Pattern evidence",
+  agreement: "Candidate agreement",
+  name: "Name completeness",
+  role: "Role match",
+  domain: "Domain heuristics",
+  verification: "Mailbox verification",
+};
+
+// Free site builders and app hosts rarely share a mail domain with the company.
+const HOSTED_PLATFORM_SUFFIXES = [
+  "wixsite.com",
+  "squarespace.com",
+  "myshopify.com",
+  "webflow.io",
+  "github.io",
+  "netlify.app",
+  "vercel.app",
+  "herokuapp.com",
+  "wordpress.com",
+  "blogspot.com",
+  "carrd.co",
+];
+
+const VERIFICATION_VALUES = {
+  deliverable: 1,
+  "catch-all": 0.5,
+  undeliverable: 0,
+  "no-mx": 0,
+};
+
+export function resolveThresholds(overrides = {}) {
+  const high = Number(overrides?.high);
+  const medium = Number(overrides?.medium);
+  const thresholds = {
+    high: Number.isFinite(high) ? high : CONFIDENCE_THRESHOLDS.high,
+    medium: Number.isFinite(medium) ? medium : CONFIDENCE_THRESHOLDS.medium,
+  };
+  if (thresholds.medium > thresholds.high) {
+    thresholds.medium = thresholds.high;
+  }
+  return thresholds;
+}
+
+export function scoreConfidence(
+  { discovery, pattern, contact, domain, mx, verification },
+  { thresholds = CONFIDENCE_THRESHOLDS, weights = CONFIDENCE_WEIGHTS } = {}
+) {
+  const signals = {
+    evidence: evidenceSignal(discovery),
+    agreement: agreementSignal(discovery),
+    name: nameSignal(contact, pattern),
+    role: roleSignal(contact),
+    domain: domainSignal(domain, mx),
+    verification: verificationSignal(verification),
+  };
+
+  const breakdown = [];
+  let earned = 0;
+  let possible = 0;
+
+  for (const [signal, { value, detail }] of Object.entries(signals)) {
+    const weight = weights[signal] || 0;
+    // Signals that could not be measured are left out rather than counted as zero.
+    if (value === null || weight === 0) {
+      breakdown.push({ signal, label: SIGNAL_LABELS[signal], value: null, weight, points: null, detail });
+      continue;
+    }
+
+    const points = Math.round(value * weight * 10) / 10;
+    earned += points;
+    possible += weight;
+    breakdown.push({ signal, label: SIGNAL_LABELS[signal], value, weight, points, detail });
+  }
+
+  let score = possible ? Math.round((earned / possible) * 100) : 0;
+  // A guess from the default pattern stays low however well the other signals do.
+  if (!hasPatternEvidence(discovery)) {
+    score = Math.min(score, Math.max(0, Math.ceil(thresholds.medium) - 1));
+  }
+  return { score, level: levelForScore(score, thresholds), breakdown };
+}
+
+function hasPatternEvidence(discovery) {
+  return ["override", "knowledge-base", "scraped", "heuristic"].includes(discovery?.method);
+}
+
+export function levelForScore(score, thresholds = CONFIDENCE_THRESHOLDS) {
+  if (score >= thresholds.high) return "high";
+  if (score >= thresholds.medium) return "medium";
+  return "low";
+}
+
+function evidenceSignal(discovery) {
+  if (discovery?.method === "override") {
+    return discovery.stale
+      ? { value: 0.6, detail: "Pattern set by hand for this domain; the record has expired." }
+      : { value: 1, detail: "Pattern set by hand for this domain." };
+  }
+  if (discovery?.method === "knowledge-base" && !discovery.evidenceCount) {
+    return {
+      value: discovery.stale ? 0.3 : 0.5,
+      detail: `Pattern imported into the knowledge base without address evidence${
+        discovery.stale ? "; the record has expired" : ""
+      }.`,
+    };
+  }
+  if (discovery?.method === "scraped" || discovery?.method === "knowledge-base") {
+    const count = discovery.evidenceCount || 1;
+    const named = discovery.namedCount || 0;
+    const where =
+      discovery.method === "scraped"
+        ? "found on the site"
+        : `found on the site when last crawled (${discovery.lastSeenAt?.slice(0, 10) || "earlier"})`;
+    // Expired knowledge is a fallback, so it counts for less.
+    const decay = discovery.stale ? 0.6 : 1;
+    return {
+      value: Math.min(1, 0.5 + 0.15 * count + 0.2 * named) * decay,
+      detail: `${count} address${count === 1 ? "" : "es"} ${where}${
+        named ? `, ${named} matched to a name` : ""
+      }${discovery.stale ? "; the record has expired" : ""}.`,
+    };
+  }
+  if (discovery?.method === "heuristic") {
+    return { value: 0.25, detail: "Pattern guessed from domain keywords." };
+  }
+  return {
+    value: 0,
+    detail: "No pattern evidence; using the default pattern, so confidence stays low.",
+  };
+}
+
+function agreementSignal(discovery) {
+  if (discovery?.method === "override") {
+    return { value: 1, detail: "Pattern confirmed by hand." };
+  }
+  if (discovery?.method !== "scraped" && discovery?.method !== "knowledge-base") {
+    return { value: discovery?.method === "heuristic" ? 0.3 : 0, detail: "No competing candidates were scored." };
+  }
+  const agreement = discovery.agreement ?? 1;
+  return {
+    value: agreement,
+    detail: `${Math.round(agreement * 100)}% of pattern weight went to the chosen pattern.`,
+  };
+}
+
+function nameSignal(contact, pattern) {
+  if (contact?.firstName && contact?.lastName && pattern !== "first") {
+    return { value: 1, detail: "First and last name available." };
+  }
+  if (contact?.firstName && contact?.lastName) {
+    return { value: 0.5, detail: "Pattern only uses the first name." };
+  }
+  return { value: 0.3, detail: "Only a first name is known." };
+}
+
+function roleSignal(contact) {
+  if (contact?.role && contact.role !== "Decision Maker") {
+    return { value: 1, detail: `Matched role: ${contact.role}.` };
+  }
+  return { value: 0.4, detail: "No specific role found." };
+}
+
+function domainSignal(domain, mx) {
+  const host = (domain || "").toLowerCase();
+  if (!host) {
+    return { value: 0, detail: "No domain." };
+  }
+  // An empty answer means the lookup succeeded and found nothing (or no such domain).
+  if (Array.isArray(mx) && mx.length === 0) {
+    return { value: 0, detail: "The domain publishes no MX records, so it cannot receive mail." };
+  }
+  if (HOSTED_PLATFORM_SUFFIXES.some((suffix) => host.endsWith(suffix))) {
+    return { value: 0.1, detail: "Hosted on a shared platform domain." };
+  }
+  if (host.split(".").length > 3) {
+    return { value: 0.6, detail: "Deep subdomain; mail may use the parent domain." };
+  }
+  return { value: 1, detail: "Looks like a company-owned domain." };
+}
+
+function verificationSignal(verification) {
+  if (!verification) {
+    return { value: null, detail: "Verification not run." };
+  }
+  const value = VERIFICATION_VALUES[verification.status];
+  return {
+    value: value ?? null,
+    detail: value === undefined ? "Verification was inconclusive." : `Mailbox check: ${verification.status}.`,
+  };
+}
@@ -0,0 +1,371 @@
+import { registrableDomain } from "@/lib/domains";
+
+export const CRAWL_PAGE_DEFAULTS = { pageBudget: 12, maxDepth: 2, documentBudget: 3 };
+
+const SEED_SCORE = 100;
+
+const MAX_SITEMAP_FETCHES = 3;
+
+const MAX_SITEMAP_SEEDS = 8;
+
+const FALLBACK_PATHS = ["/contact", "/team", "/about"];
+
+// Path fragments and anchor words that tend to lead to people or contact details.
+const PAGE_KEYWORDS = [
+  { words: ["leadership", "management", "founders", "executives"], score: 6 },
+  { words: ["team", "people", "staff", "our-team", "equipe", "equipo"], score: 5 },
+  { words: ["impressum", "imprint", "mentions-legales", "legal-notice"], score: 5 },
+  { words: ["contact", "kontakt", "contacto", "contatti"], score: 4 },
+  { words: ["board", "directors", "partners", "executive"], score: 4 },
+  { words: ["about", "ueber-uns", "uber-uns", "chi-siamo", "quienes-somos", "a-propos"], score: 3 },
+  { words: ["press-kit", "presskit", "media-kit", "fact-sheet", "vcard"], score: 4 },
+  { words: ["press", "media", "newsroom"], score: 3 },
+  { words: ["company", "unternehmen", "entreprise", "empresa"], score: 2 },
+];
+
+// Linked files worth reading for addresses; they are fetched after pages, never followed.
+const DOCUMENT_EXTENSIONS = /\.(?:pdf|vcf|vcard|txt)$/i;
+
+// A vCard is one person's card, so it beats a brochure with the same keywords.
+const VCARD_BONUS = 2;
+
+const SKIPPED_EXTENSIONS =
+  /\.(?:jpe?g|png|gif|svg|webp|ico|css|js|json|xml|zip|gz|mp4|mp3|woff2?|ttf|pdf|vcf|txt|docx?)$/i;
+
+export async function crawlSite(domain, options) {
+  const {
+    fetchText,
+    onPage,
+    fetchDocument,
+    onDocument,
+    pageBudget = CRAWL_PAGE_DEFAULTS.pageBudget,
+    maxDepth = CRAWL_PAGE_DEFAULTS.maxDepth,
+    documentBudget = CRAWL_PAGE_DEFAULTS.documentBudget,
+    batchSize = 2,
+    signal,
+    isComplete = (found) => Boolean(found),
+  } = options;
+
+  const visited = [];
+  const queued = new Set();
+  const queue = [];
+  const documents = [];
+  let pagesFetched = 0;
+  let documentsFetched = 0;
+  let sequence = 0;
+  let hit = null;
+
+  const enqueue = (url, depth, score) => {
+    const key = normalizeUrl(url);
+    if (!key || queued.has(key) || depth > maxDepth) return;
+    queued.add(key);
+    queue.push({ url: key, depth, score, order: sequence++ });
+  };
+
+  const enqueueDocument = (url, depth, score) => {
+    const key = normalizeUrl(url);
+    if (!key || queued.has(key)) return;
+    queued.add(key);
+    documents.push({ url: key, depth, score, order: sequence++ });
+  };
+  const canFetchPages = () => queue.length > 0 && pagesFetched < pageBudget;
+  const canFetchDocuments = () =>
+    Boolean(fetchDocument) && documents.length > 0 && documentsFetched < documentBudget;
+
+  const robotsUrl = `https://${domain}/robots.txt`;
+  const robotsText = await fetchText(robotsUrl);
+  visited.push({ url: robotsUrl, kind: "robots", ok: Boolean(robotsText) });
+  let robots = parseRobots(robotsText || "");
+  let landed = false;
+  const failedSeeds = [];
+
+  // Some small sites still only answer on plain http, so when no https landing page
+  // loads they are retried there, under that site's own robots.txt.
+  const fallBackToHttp = async () => {
+    const seeds = failedSeeds.splice(0);
+    seeds.forEach((item) => enqueue(item.url.replace(/^https:/, "http:"), 0, item.score - 2));
+    if (robotsText) return;
+    const httpRobotsUrl = `http://${domain}/robots.txt`;
+    const httpRobotsText = await fetchText(httpRobotsUrl);
+    visited.push({ url: httpRobotsUrl, kind: "robots", ok: Boolean(httpRobotsText) });
+    robots = parseRobots(httpRobotsText || "");
+  };
+
+  enqueue(`https://${domain}/`, 0, SEED_SCORE);
+  if (!domain.startsWith("www.")) enqueue(`https://www.${domain}/`, 0, SEED_SCORE - 1);
+  for (const path of FALLBACK_PATHS) {
+    enqueue(`https://${domain}${path}`, 1, scoreLink(path, ""));
+  }
+
+  const sitemapUrls = await readSitemaps(domain, robots.sitemaps, fetchText, visited);
+  sitemapUrls
+    .map((url) => ({ url, score: scoreLink(safePathname(url), "") }))
+    .filter((item) => item.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_SITEMAP_SEEDS)
+    .forEach((item) => enqueue(item.url, 1, item.score));
+
+  while ((canFetchPages() || canFetchDocuments()) && !isComplete(hit) && !signal?.aborted) {
+    // Documents wait until the pages run out: they are larger and mostly repeat the site.
+    if (!canFetchPages()) {
+      documents.sort((a, b) => b.score - a.score || a.order - b.order);
+      const batch = [];
+      while (documents.length && batch.length < batchSize && documentsFetched < documentBudget) {
+        const next = documents.shift();
+        if (!robots.isAllowed(safePathname(next.url))) {
+          visited.push({
+            url: next.url,
+            kind: "document",
+            depth: next.depth,
+            ok: false,
+            blocked: true,
+          });
+          continue;
+        }
+        batch.push(next);
+        documentsFetched += 1;
+      }
+
+      const fetched = await Promise.all(batch.map((item) => fetchDocument(item.url)));
+      for (const [position, item] of batch.entries()) {
+        const file = fetched[position];
+        visited.push({ url: item.url, kind: "document", depth: item.depth, ok: Boolean(file) });
+        if (!file) continue;
+        const result = await onDocument(item.url, file);
+        if (result && !hit) {
+          hit = { url: item.url, result };
+        }
+      }
+      continue;
+    }
+
+    queue.sort((a, b) => b.score - a.score || a.order - b.order);
+    const batch = [];
+
+    while (queue.length && batch.length < batchSize && pagesFetched < pageBudget) {
+      const next = queue.shift();
+      if (!isSameSite(next.url, domain)) continue;
+      if (!robots.isAllowed(safePathname(next.url))) {
+        visited.push({ url: next.url, kind: "page", depth: next.depth, ok: false, blocked: true });
+        continue;
+      }
+      batch.push(next);
+      pagesFetched += 1;
+    }
+
+    const pages = await Promise.all(batch.map((item) => fetchText(item.url)));
+
+    for (const [position, item] of batch.entries()) {
+      const html = pages[position];
+      visited.push({ url: item.url, kind: "page", depth: item.depth, ok: Boolean(html) });
+      if (item.depth === 0) {
+        landed = landed || Boolean(html);
+        if (!html && item.url.startsWith("https:")) failedSeeds.push(item);
+      }
+      if (!html) continue;
+
+      const result = await onPage(item.url, html);
+      if (result && !hit) {
+        hit = { url: item.url, result };
+      }
+
+      for (const link of extractLinks(html, item.url)) {
+        if (!isSameSite(link.url, domain)) continue;
+        const path = safePathname(link.url);
+        if (DOCUMENT_EXTENSIONS.test(path)) {
+          const bonus = /\.vcf$|\.vcard$/i.test(path) ? VCARD_BONUS : 0;
+          const score = keywordScore(path, link.text) + bonus - item.depth;
+          enqueueDocument(link.url, item.depth + 1, score);
+          continue;
+        }
+        const score = scoreLink(path, link.text);
+        if (score > 0) {
+          enqueue(link.url, item.depth + 1, score - item.depth);
+        }
+      }
+    }
+
+    if (!landed && failedSeeds.length && !queue.some((item) => item.depth === 0)) {
+      await fallBackToHttp();
+    }
+  }
+
+  return { hit, visited };
+}
+
+export function parseRobots(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let collectingAgents = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, "").trim();
+    const separator = line.indexOf(":");
+    if (separator < 0) continue;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === "sitemap") {
+      if (value) sitemaps.push(value);
+      continue;
+    }
+
+    if (field === "user-agent") {
+      if (!collectingAgents) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      collectingAgents = true;
+      continue;
+    }
+
+    collectingAgents = false;
+    if (current && (field === "allow" || field === "disallow")) {
+      current.rules.push({ allow: field === "allow", path: value });
+    }
+  }
+
+  const rules = groups
+    .filter((group) => group.agents.includes("*"))
+    .flatMap((group) => group.rules)
+    .filter((rule) => rule.path);
+
+  return {
+    sitemaps,
+    isAllowed(path) {
+      let best = null;
+      for (const rule of rules) {
+        if (!robotsRuleMatches(rule.path, path)) continue;
+        // The most specific (longest) rule wins; Allow wins a tie.
+        if (
+          !best ||
+          rule.path.length > best.path.length ||
+          (rule.path.length === best.path.length && rule.allow)
+        ) {
+          best = rule;
+        }
+      }
+      return best ? best.allow : true;
+    },
+  };
+}
+
+function robotsRuleMatches(rulePath, path) {
+  const anchored = rulePath.endsWith("$");
+  const source = (anchored ? rulePath.slice(0, -1) : rulePath)
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${source}${anchored ? "$" : ""}`).test(path);
+}
+
+async function readSitemaps(domain, declared, fetchText, visited) {
+  const pending = declared.length ? [...declared] : [`https://${domain}/sitemap.xml`];
+  const pageUrls = [];
+  let fetched = 0;
+
+  while (pending.length && fetched < MAX_SITEMAP_FETCHES) {
+    const sitemapUrl = pending.shift();
+    if (!isSameSite(sitemapUrl, domain)) continue;
+    fetched += 1;
+
+    const xml = await fetchText(sitemapUrl);
+    visited.push({ url: sitemapUrl, kind: "sitemap", ok: Boolean(xml) });
+    if (!xml) continue;
+
+    const locations = Array.from(xml.matchAll(/<loc>\s*([^<\s]+)\s*<\/loc>/gi), (match) =>
+      match[1].replace(/&amp;/g, "&")
+    );
+
+    if (/<sitemapindex\b/i.test(xml)) {
+      // Page-level sitemaps are the likeliest to list team and contact pages.
+      locations.sort((a, b) => Number(/page/i.test(b)) - Number(/page/i.test(a)));
+      pending.push(...locations);
+    } else {
+      pageUrls.push(...locations);
+    }
+  }
+
+  return pageUrls;
+}
+
+function extractLinks(html, baseUrl) {
+  const links = [];
+  const anchors = html.matchAll(/<a\b[^>]*?href\s*=\s*["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi);
+
+  for (const [, href, inner] of anchors) {
+    if (/^(?:mailto|tel|javascript):/i.test(href)) continue;
+    try {
+      const url = new URL(href, baseUrl);
+      if (!/^https?:$/.test(url.protocol)) continue;
+      url.hash = "";
+      links.push({
+        url: url.toString(),
+        text: inner.replace(/<[^>]*>/g, " ").replace(/\s+/g, " ").trim(),
+      });
+    } catch {
+      // Ignore hrefs that are not valid URLs.
+    }
+  }
+
+  return links;
+}
+
+function scoreLink(path, text) {
+  if (SKIPPED_EXTENSIONS.test(path)) return 0;
+  return keywordScore(path, text);
+}
+
+function keywordScore(path, text) {
+  const haystack = `${safeDecode(path)} ${text}`.toLowerCase().replace(/[\s_]+/g, "-");
+  let score = 0;
+
+  for (const group of PAGE_KEYWORDS) {
+    if (group.words.some((word) => haystack.includes(word))) {
+      score = Math.max(score, group.score);
+    }
+  }
+
+  return score;
+}
+
+// A crawl seeded from www.acme.com or a redirect target still follows links to the
+// apex and its other subdomains, so hosts are compared by registrable domain.
+function isSameSite(url, domain) {
+  try {
+    const host = new URL(url).hostname.toLowerCase();
+    const site = registrableDomain(domain) || domain;
+    return host === site || host.endsWith(`.${site}`);
+  } catch {
+    return false;
+  }
+}
+
+function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = "";
+    return parsed.toString();
+  } catch {
+    return null;
+  }
+}
+
+function safePathname(url) {
+  try {
+    return new URL(url).pathname;
+  } catch {
+    return "";
+  }
+}
+
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
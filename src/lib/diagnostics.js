@@ -0,0 +1,74 @@
+export const DIAGNOSTIC_STAGES = ["input", "suppression", "contacts", "filter", "email"];
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? "" : "s"}`;
+
+// Fixable codes are the ones a corrected row can get past; the rest depend on
+// settings or the suppression list, not on what was pasted.
+const DIAGNOSTICS = {
+  "invalid-website": {
+    stage: "input",
+    fixable: true,
+    message: ({ subject }) =>
+      subject ? `"${subject}" is not a usable website.` : "No website was given.",
+  },
+  "free-email-provider": {
+    stage: "input",
+    fixable: true,
+    message: ({ subject }) =>
+      `${subject} is a free email provider, not a company website.`,
+  },
+  "suppressed-company": {
+    stage: "suppression",
+    fixable: false,
+    message: ({ subject }) => `${subject} is on the suppression list.`,
+  },
+  "linkedin-no-name": {
+    stage: "contacts",
+    fixable: true,
+    message: ({ subject }) => `No name could be read from the LinkedIn profile ${subject}.`,
+  },
+  "no-contacts": {
+    stage: "contacts",
+    fixable: true,
+    message: ({ subject, unreachable }) =>
+      unreachable
+        ? `${subject} could not be reached and no LinkedIn profiles were given.`
+        : `No decision makers were found on ${subject}; add LinkedIn profiles for people you know.`,
+  },
+  "role-filtered": {
+    stage: "filter",
+    fixable: false,
+    message: ({ count }) => `${plural(count, "contact")} did not match the role filter.`,
+  },
+  "pattern-not-applicable": {
+    stage: "email",
+    fixable: true,
+    message: ({ subject, pattern }) =>
+      `No address could be built for ${subject} with the ${pattern || "fallback"} pattern.`,
+  },
+  "suppressed-contact": {
+    stage: "suppression",
+    fixable: false,
+    message: ({ count }) =>
+      `${plural(count, "contact")} withheld by the suppression list.`,
+  },
+};
+
+export const DIAGNOSTIC_CODES = Object.keys(DIAGNOSTICS);
+
+export function createDiagnostic(code, { index, company, ...detail }) {
+  const definition = DIAGNOSTICS[code];
+  return {
+    index,
+    company: company || null,
+    stage: definition.stage,
+    code,
+    message: definition.message(detail),
+    fixable: definition.fixable,
+    subject: detail.subject ?? null,
+  };
+}
+
+export function collectDiagnostics(companies) {
+  return companies.flatMap((report) => report?.diagnostics || []);
+}
@@ -0,0 +1,295 @@
+import { inflateSync } from "node:zlib";
+import { extractEmails } from "@/lib/extraction";
+import { parsePersonName } from "@/lib/names";
+
+const CONTENT_TYPES = {
+  "application/pdf": "pdf",
+  "application/x-pdf": "pdf",
+  "text/vcard": "vcard",
+  "text/x-vcard": "vcard",
+  "text/directory": "vcard",
+  "text/plain": "text",
+};
+
+const EXTENSIONS = { pdf: "pdf", vcf: "vcard", vcard: "vcard", txt: "text" };
+
+// One runaway content stream should not take the whole process's memory with it.
+const MAX_INFLATED_BYTES = 8_000_000;
+
+// TJ offsets are in thousandths of an em; anything wider than this is a word gap.
+const WORD_GAP = -200;
+
+const LINE_OPERATORS = new Set(["Td", "TD", "T*", "Tm", "'", '"', "ET"]);
+
+const PDF_TOKEN = /[^\s()<>[\]{}/%]+/y;
+
+const LITERAL_ESCAPES = { n: "\n", r: "\n", t: " ", b: "", f: "" };
+
+export function documentKind(url, contentType) {
+  const type = String(contentType || "").split(";")[0].trim().toLowerCase();
+  // A link that ends in .pdf but answers with a page is usually a login or error page.
+  if (type === "text/html" || type === "application/xhtml+xml") return null;
+
+  const byType = CONTENT_TYPES[type];
+  let byExtension = null;
+  try {
+    const extension = new URL(url).pathname.split(".").pop().toLowerCase();
+    byExtension = EXTENSIONS[extension] || null;
+  } catch {
+    // Not a URL; the content type alone decides.
+  }
+  // Servers often send vCards and PDFs as text/plain or a generic binary type.
+  if (byType && byType !== "text") return byType;
+  return byExtension || byType || null;
+}
+
+export function readDocument(kind, bytes) {
+  if (kind === "vcard") {
+    const cards = parseVCards(bytes.toString("utf8"));
+    const text = cards
+      .map((card) => [card.name, card.title, ...card.emails].filter(Boolean).join("\n"))
+      .join("\n\n");
+    return {
+      kind,
+      text,
+      emails: cards.flatMap((card) =>
+        card.emails.map((email) => ({
+          email,
+          technique: kind,
+          techniques: [kind],
+          name: card.person,
+        }))
+      ),
+      people: cards
+        .filter((card) => card.name && card.title)
+        .map((card) => ({ name: card.name, title: card.title, technique: kind })),
+    };
+  }
+
+  const text = kind === "pdf" ? extractPdfText(bytes) : bytes.toString("utf8");
+  return {
+    kind,
+    text,
+    emails: extractEmails(text).map((item) => ({
+      ...item,
+      technique: kind,
+      techniques: [kind],
+    })),
+    people: null,
+  };
+}
+
+export function parseVCards(text) {
+  // Folded lines continue on the next line after a single space or tab.
+  const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  const cards = [];
+  let card = null;
+
+  for (let index = 0; index < lines.length; index += 1) {
+    const line = lines[index];
+    const separator = line.indexOf(":");
+    if (separator < 0) continue;
+    const [property, ...parameters] = line.slice(0, separator).split(";");
+    const key = property.replace(/^[^.]*\./, "").trim().toUpperCase();
+    let value = line.slice(separator + 1);
+    // vCard 2.1 exports (Outlook, older phones) quote non-ASCII values; a trailing
+    // "=" continues the value on the next line.
+    const quoted = parameters.some((parameter) =>
+      /^(?:encoding=)?quoted-printable$/i.test(parameter.trim())
+    );
+    if (quoted) {
+      while (value.endsWith("=") && index + 1 < lines.length) {
+        index += 1;
+        value = value.slice(0, -1) + lines[index];
+      }
+      const charset = parameters
+        .map((parameter) => parameter.match(/^charset=(.+)$/i)?.[1])
+        .find(Boolean);
+      value = decodeQuotedPrintable(value, charset);
+    }
+    value = value.trim();
+
+    if (key === "BEGIN" && /^vcard$/i.test(value)) {
+      card = { name: null, title: null, person: null, emails: [] };
+    } else if (key === "END" && card) {
+      if (!card.person && card.name) {
+        const { firstName, lastName } = parsePersonName(card.name);
+        card.person = firstName ? { firstName, lastName } : null;
+      }
+      cards.push(card);
+      card = null;
+    } else if (!card || !value) {
+      continue;
+    } else if (key === "FN") {
+      card.name = unescapeVCard(value);
+    } else if (key === "N") {
+      const [lastName, firstName] = value.split(";").map(unescapeVCard);
+      if (firstName) card.person = { firstName, lastName: lastName || "" };
+      if (!card.name && firstName) card.name = [firstName, lastName].filter(Boolean).join(" ");
+    } else if (key === "TITLE" || (key === "ROLE" && !card.title)) {
+      card.title = unescapeVCard(value);
+    } else if (key === "EMAIL") {
+      const email = value.replace(/^mailto:/i, "").toLowerCase();
+      if (email.includes("@") && !card.emails.includes(email)) card.emails.push(email);
+    }
+  }
+
+  return cards;
+}
+
+function decodeQuotedPrintable(value, charset = "utf-8") {
+  const bytes = [];
+  for (let index = 0; index < value.length; index += 1) {
+    const hex = value.slice(index + 1, index + 3);
+    if (value[index] === "=" && /^[0-9a-f]{2}$/i.test(hex)) {
+      bytes.push(parseInt(hex, 16));
+      index += 2;
+    } else {
+      bytes.push(...Buffer.from(value[index]));
+    }
+  }
+  try {
+    return new TextDecoder(charset.trim()).decode(Uint8Array.from(bytes));
+  } catch {
+    return Buffer.from(bytes).toString("utf8");
+  }
+}
+
+function unescapeVCard(value) {
+  return value
+    .replace(/\\([nN,;\\])/g, (match, char) => (char.toLowerCase() === "n" ? " " : char))
+    .trim();
+}
+
+// Reads the text a PDF draws, plus strings in its dictionaries (link targets, metadata).
+// Fonts with their own glyph numbering come out as noise, which is left for the
+// address and name matching to ignore.
+export function extractPdfText(bytes) {
+  const raw = bytes.toString("latin1");
+  const parts = [];
+  const outside = [];
+  let position = 0;
+
+  for (const match of raw.matchAll(/(?<!end)stream\r?\n/g)) {
+    if (match.index < position) continue;
+    const start = match.index + match[0].length;
+    const end = raw.indexOf("endstream", start);
+    if (end < 0) break;
+    outside.push(raw.slice(position, match.index));
+    position = end + "endstream".length;
+
+    const header = raw.slice(Math.max(0, match.index - 600), match.index);
+    const dictionary = header.slice(header.lastIndexOf("obj"));
+    if (/\/Subtype\s*\/Image\b/.test(dictionary)) continue;
+
+    const filters = Array.from(dictionary.matchAll(/\/(\w+Decode)\b/g), (filter) => filter[1]);
+    if (filters.some((filter) => filter !== "FlateDecode")) continue;
+
+    const data = bytes.subarray(start, end);
+    let content;
+    try {
+      content = filters.length
+        ? inflateSync(data, { maxOutputLength: MAX_INFLATED_BYTES }).toString("latin1")
+        : data.toString("latin1");
+    } catch {
+      continue;
+    }
+    parts.push(readPdfStrings(content));
+  }
+  outside.push(raw.slice(position));
+  parts.push(readPdfStrings(outside.join("\n")));
+
+  return parts.filter(Boolean).join("\n");
+}
+
+function readPdfStrings(content) {
+  let text = "";
+  let index = 0;
+
+  while (index < content.length) {
+    const char = content[index];
+    if (char === "(") {
+      const { value, end } = readLiteralString(content, index + 1);
+      text += value;
+      index = end;
+    } else if (char === "/" || char === ">" || (char === "<" && content[index + 1] === "<")) {
+      // Dictionary keys keep the strings of neighbouring entries from running together.
+      text += " ";
+      index += char === "<" ? 2 : 1;
+    } else if (char === "<") {
+      const end = content.indexOf(">", index);
+      if (end < 0) break;
+      text += decodeHexString(content.slice(index + 1, end));
+      index = end + 1;
+    } else {
+      PDF_TOKEN.lastIndex = index;
+      const token = PDF_TOKEN.exec(content)?.[0];
+      if (!token) {
+        index += 1;
+        continue;
+      }
+      if (LINE_OPERATORS.has(token)) {
+        text += "\n";
+      } else if (Number(token) < WORD_GAP) {
+        text += " ";
+      }
+      index += token.length;
+    }
+  }
+
+  return text.replace(/[^\S\n]+/g, " ").replace(/\n\s*\n+/g, "\n").trim();
+}
+
+function readLiteralString(content, start) {
+  let value = "";
+  let depth = 1;
+  let index = start;
+
+  while (index < content.length) {
+    const char = content[index];
+    if (char === "\\") {
+      const next = content[index + 1];
+      const octal = content.slice(index + 1, index + 4).match(/^[0-7]{1,3}/);
+      if (octal) {
+        value += String.fromCharCode(parseInt(octal[0], 8) & 0xff);
+        index += 1 + octal[0].length;
+        continue;
+      }
+      // A backslash before a line break continues the string on the next line.
+      if (next === "\r" || next === "\n") {
+        index += content[index + 2] === "\n" && next === "\r" ? 3 : 2;
+        continue;
+      }
+      value += next in LITERAL_ESCAPES ? LITERAL_ESCAPES[next] : next ?? "";
+      index += 2;
+      continue;
+    }
+    if (char === "(") depth += 1;
+    if (char === ")") {
+      depth -= 1;
+      if (depth === 0) return { value, end: index + 1 };
+    }
+    value += char;
+    index += 1;
+  }
+
+  return { value, end: index };
+}
+
+function decodeHexString(hex) {
+  const digits = hex.replace(/[^0-9a-f]/gi, "");
+  const bytes = Buffer.from(digits.length % 2 ? `${digits}0` : digits, "hex");
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+    return decodeUtf16(bytes.subarray(2));
+  }
+  return bytes.toString("latin1");
+}
+
+function decodeUtf16(bytes) {
+  const swapped = Buffer.alloc(bytes.length - (bytes.length % 2));
+  for (let index = 0; index < swapped.length; index += 2) {
+    swapped[index] = bytes[index + 1];
+    swapped[index + 1] = bytes[index];
+  }
+  return swapped.toString("utf16le");
+}
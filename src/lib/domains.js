@@ -0,0 +1,152 @@
+import publicSuffixes from "@/config/public-suffixes.json";
+
+export const DOMAIN_REASONS = ["scraped", "known", "mx", "redirect", "website"];
+
+const RULES = compileRules([...publicSuffixes.icann, ...publicSuffixes.private]);
+
+function compileRules(list) {
+  const rules = { exact: new Set(), wildcard: new Set(), exception: new Set() };
+  for (const rule of list) {
+    const value = rule.trim().toLowerCase();
+    if (value.startsWith("!")) rules.exception.add(value.slice(1));
+    else if (value.startsWith("*.")) rules.wildcard.add(value.slice(2));
+    else if (value) rules.exact.add(value);
+  }
+  return rules;
+}
+
+export function hostFromUrl(input) {
+  if (!input) return null;
+  let value = String(input).trim();
+  if (!value) return null;
+
+  if (!/^https?:\/\//i.test(value)) {
+    value = `https://${value}`;
+  }
+
+  try {
+    const host = new URL(value).hostname.toLowerCase().replace(/\.$/, "");
+    if (!host.includes(".")) return null;
+    return host.startsWith("www.") ? host.slice(4) : host;
+  } catch {
+    return null;
+  }
+}
+
+export function publicSuffix(host) {
+  const labels = String(host || "").toLowerCase().split(".").filter(Boolean);
+
+  // Walk from the longest candidate down; the first rule that matches is the longest one.
+  for (let start = 0; start < labels.length; start += 1) {
+    const candidate = labels.slice(start).join(".");
+    if (RULES.exception.has(candidate)) {
+      return labels.slice(start + 1).join(".");
+    }
+    if (RULES.exact.has(candidate)) {
+      return candidate;
+    }
+    const parent = labels.slice(start + 1).join(".");
+    if (start + 1 < labels.length && RULES.wildcard.has(parent)) {
+      return candidate;
+    }
+  }
+
+  return labels[labels.length - 1] || null;
+}
+
+export function registrableDomain(host) {
+  const normalized = String(host || "").toLowerCase().replace(/\.$/, "");
+  const suffix = publicSuffix(normalized);
+  if (!suffix || normalized === suffix) return null;
+
+  const labels = normalized.slice(0, -suffix.length - 1).split(".");
+  return `${labels[labels.length - 1]}.${suffix}`;
+}
+
+export function brandLabel(host) {
+  const domain = registrableDomain(host);
+  return domain ? domain.split(".")[0] : null;
+}
+
+export function isRelatedDomain(domain, siteDomains) {
+  const registrable = registrableDomain(domain);
+  if (!registrable) return false;
+  return siteDomains.some(
+    (site) => registrable === site || brandLabel(registrable) === brandLabel(site)
+  );
+}
+
+export async function resolveEmailDomain({ siteHost, finalHost, scraped, known, lookupMx }) {
+  const siteDomain = registrableDomain(siteHost) || siteHost;
+  const finalDomain = registrableDomain(finalHost) || siteDomain;
+  const redirected = finalDomain !== siteDomain;
+
+  const scrapedDomains = Object.entries(scraped || {})
+    .sort((a, b) => b[1] - a[1])
+    .map(([domain]) => domain);
+
+  if (scrapedDomains.length) {
+    const [top] = scrapedDomains;
+    const tied = scrapedDomains.filter((domain) => scraped[domain] === scraped[top]);
+    const domain = tied.length > 1 ? (await firstWithMx(tied, lookupMx)) || top : top;
+    return {
+      domain,
+      reason: "scraped",
+      detail: `${scraped[domain]} address${scraped[domain] === 1 ? "" : "es"} at ${domain} found on the site.`,
+      candidates: scrapedDomains,
+    };
+  }
+
+  if (known) {
+    return {
+      domain: known,
+      reason: "known",
+      detail: `${known} is the mail domain recorded in the pattern knowledge base.`,
+      candidates: Array.from(new Set([known, finalDomain, siteDomain])),
+    };
+  }
+
+  const candidates = Array.from(new Set([finalDomain, siteDomain]));
+  const withMx = await firstWithMx(candidates, lookupMx);
+  if (withMx) {
+    return {
+      domain: withMx,
+      reason: "mx",
+      detail:
+        withMx === finalDomain && redirected
+          ? `${siteHost} redirects to ${finalHost}; ${withMx} accepts mail.`
+          : siteHost !== withMx
+          ? `${siteHost} reduced to ${withMx}, which accepts mail.`
+          : `${withMx} publishes MX records.`,
+      candidates,
+    };
+  }
+
+  if (redirected) {
+    return {
+      domain: finalDomain,
+      reason: "redirect",
+      detail: `${siteHost} redirects to ${finalHost}.`,
+      candidates,
+    };
+  }
+
+  return {
+    domain: siteDomain,
+    reason: "website",
+    detail:
+      siteHost !== siteDomain
+        ? `${siteHost} reduced to its registrable domain.`
+        : "Website domain.",
+    candidates,
+  };
+}
+
+async function firstWithMx(domains, lookupMx) {
+  if (!lookupMx) return null;
+  const lookups = await Promise.all(
+    domains.map((domain) => lookupMx(domain).catch(() => null))
+  );
+  const index = lookups.findIndex((records) => records?.length);
+  return index === -1 ? null : domains[index];
+}
@@ -0,0 +1,264 @@
+import { registrableDomain } from "@/lib/domains";
+import { sanitizePart } from "@/lib/patterns";
+import { resultKey } from "@/lib/results";
+import { linkedinKey } from "@/lib/suppression";
+
+const LEGAL_SUFFIXES =
+  /\b(inc|incorporated|llc|llp|ltd|limited|corp|corporation|co|company|gmbh|ag|sa|sas|bv|nv|plc|pty|oy|ab)\b/g;
+
+const NICKNAMES = [
+  ["alexander", "alex", "sasha"],
+  ["andrew", "andy", "drew"],
+  ["anthony", "tony"],
+  ["benjamin", "ben"],
+  ["christopher", "chris"],
+  ["daniel", "dan", "danny"],
+  ["david", "dave"],
+  ["elizabeth", "liz", "beth", "eliza"],
+  ["james", "jim", "jimmy", "jamie"],
+  ["jennifer", "jen", "jenny"],
+  ["john", "jack", "johnny"],
+  ["joseph", "joe"],
+  ["katherine", "catherine", "kate", "katie", "kathy", "cathy"],
+  ["margaret", "maggie", "meg", "peggy"],
+  ["matthew", "matt"],
+  ["michael", "mike", "mick"],
+  ["nicholas", "nick"],
+  ["patricia", "pat", "patty", "trish"],
+  ["richard", "rick", "rich", "dick"],
+  ["robert", "rob", "bob", "bobby"],
+  ["samuel", "sam"],
+  ["stephen", "steven", "steve"],
+  ["thomas", "tom", "tommy"],
+  ["william", "will", "bill", "billy", "liam"],
+];
+
+const NICKNAME_GROUPS = new Map(
+  NICKNAMES.flatMap((group, id) => group.map((name) => [name, id]))
+);
+
+// Below this length a one-letter difference is more likely a different name than a typo.
+const TYPO_MIN_LENGTH = 5;
+
+export function linkedinProfileUrl(value) {
+  const key = linkedinKey(value);
+  return key ? `https://www.linkedin.com/in/${key}` : null;
+}
+
+export function companyKey({ domain, company }) {
+  const registrable = domain ? registrableDomain(domain) || domain.toLowerCase() : null;
+  if (registrable) return `domain:${registrable}`;
+  const name = String(company || "")
+    .toLowerCase()
+    .replace(LEGAL_SUFFIXES, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+  return name ? `name:${name}` : null;
+}
+
+export function namesMatch(a, b) {
+  const firstA = sanitizePart(a.firstName);
+  const firstB = sanitizePart(b.firstName);
+  const lastA = sanitizePart(a.lastName);
+  const lastB = sanitizePart(b.lastName);
+  if (!firstA || !firstB) return false;
+  // Someone known only by a first name cannot be told apart from colleagues.
+  if (!lastA || !lastB) return !lastA && !lastB && firstA === firstB;
+
+  const exactLast = lastA === lastB;
+  const exactFirst = firstA === firstB;
+  if (!exactLast && !(exactFirst && isTypo(lastA, lastB))) return false;
+  return (
+    exactFirst ||
+    isInitialOf(firstA, firstB) ||
+    isInitialOf(firstB, firstA) ||
+    (NICKNAME_GROUPS.has(firstA) && NICKNAME_GROUPS.get(firstA) === NICKNAME_GROUPS.get(firstB)) ||
+    (exactLast && isTypo(firstA, firstB))
+  );
+}
+
+export function resolvePeople(batches) {
+  const people = batches.flatMap((batch) =>
+    batch.results.map((result) => ({
+      index: batch.index,
+      result,
+      company: companyKey(result),
+      profiles: profilesOf(result),
+    }))
+  );
+  // Initials go last so "J. Lee" is only merged once every full name is known, and is
+  // left alone when it could be either Jordan Lee or Jamie Lee.
+  const isInitial = (person) => sanitizePart(person.result.firstName).length === 1;
+  const ordered = [
+    ...people.filter((person) => !isInitial(person)),
+    ...people.filter(isInitial),
+  ];
+
+  const clusters = [];
+  const byCompany = new Map();
+  const byProfile = new Map();
+  for (const person of ordered) {
+    const candidates = new Set([
+      ...(byCompany.get(person.company) || []),
+      ...person.profiles.flatMap((profile) => Array.from(byProfile.get(profile) || [])),
+    ]);
+    const matching = Array.from(candidates).filter((cluster) => joins(person, cluster));
+    const linked = matching.filter((cluster) =>
+      cluster.members.some((member) => sharesProfile(person, member))
+    );
+    let cluster = linked.length === 1 ? linked[0] : matching.length === 1 ? matching[0] : null;
+    if (!cluster) {
+      cluster = { members: [] };
+      clusters.push(cluster);
+    }
+    cluster.members.push(person);
+
+    if (person.company) addToIndex(byCompany, person.company, cluster);
+    for (const profile of person.profiles) addToIndex(byProfile, profile, cluster);
+  }
+
+  const position = new Map(people.map((person, index) => [person, index]));
+  const first = (cluster) => Math.min(...cluster.members.map((member) => position.get(member)));
+  // Two people can still be given one address (two Alexes under a "first" pattern).
+  // As in the live stream, the first keeps it, so each row has its own company and email.
+  const seen = new Set();
+  const results = clusters
+    .map((cluster) => ({ order: first(cluster), members: cluster.members }))
+    .sort((a, b) => a.order - b.order)
+    .map((cluster) =>
+      mergeCluster([...cluster.members].sort((a, b) => position.get(a) - position.get(b)))
+    )
+    .filter((result) => {
+      const key = resultKey(result);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  const merges = results
+    .filter((result) => result.mergedFrom)
+    .map((result) => ({
+      name: result.name,
+      company: result.company,
+      email: result.email,
+      rows: Array.from(new Set(result.mergedFrom.map((item) => item.index))).sort(
+        (a, b) => a - b
+      ),
+      contacts: result.mergedFrom.length,
+    }));
+  return { results, merges };
+}
+
+function addToIndex(index, key, cluster) {
+  if (!index.has(key)) index.set(key, new Set());
+  index.get(key).add(cluster);
+}
+
+// A person joins a cluster when one member vouches for them and none contradicts them.
+// Another company without a shared profile is no evidence either way.
+function joins(person, cluster) {
+  let vouched = false;
+  for (const member of cluster.members) {
+    if (sharesProfile(person, member)) {
+      vouched = true;
+      continue;
+    }
+    // Two different profiles are two different people, whatever their names.
+    if (person.profiles.length && member.profiles.length) return false;
+    if (!person.company || person.company !== member.company) continue;
+    if (!namesMatch(person.result, member.result)) return false;
+    vouched = true;
+  }
+  return vouched;
+}
+
+function sharesProfile(a, b) {
+  return a.profiles.some((profile) => b.profiles.includes(profile));
+}
+
+function profilesOf(result) {
+  const values = result.linkedin
+    ? [result.linkedin]
+    : String(result.source || "")
+        .split(" | ")
+        .filter((part) => part.includes("linkedin.com/"));
+  return Array.from(new Set(values.map(linkedinProfileUrl).filter(Boolean)));
+}
+
+function mergeCluster(members) {
+  if (members.length === 1) return members[0].result;
+
+  // The best-supported row speaks for the person; the others add what it lacks.
+  const primary = members.reduce((best, member) =>
+    (member.result.confidenceScore ?? 0) > (best.result.confidenceScore ?? 0) ? member : best
+  );
+  const rows = [primary, ...members.filter((member) => member !== primary)];
+  const results = rows.map((member) => member.result);
+  const unique = (values) => Array.from(new Set(values.filter(Boolean)));
+
+  const candidates = [...(primary.result.candidates || [])];
+  for (const result of results.slice(1)) {
+    if (!result.email || candidates.some((candidate) => candidate.email === result.email)) continue;
+    candidates.push({
+      ...(result.candidates?.[0] || {}),
+      email: result.email,
+      evidence: `Found for ${result.company}`,
+    });
+  }
+
+  // An initial gives way to the spelled-out name it was matched with.
+  const named =
+    sanitizePart(primary.result.firstName).length > 1
+      ? primary.result
+      : results.reduce((best, result) =>
+          String(result.name || "").length > String(best.name || "").length ? result : best
+        );
+  const sources = unique(results.flatMap((result) => String(result.source || "").split(" | ")));
+  return {
+    ...primary.result,
+    name: named.name,
+    firstName: named.firstName,
+    middleName: named.middleName,
+    lastName: named.lastName,
+    role: unique(results.flatMap((result) => String(result.role || "").split(" & "))).join(" & "),
+    title: primary.result.title || results.find((result) => result.title)?.title || null,
+    candidates,
+    source: sources.join(" | "),
+    sources,
+    linkedin: unique(rows.flatMap((member) => member.profiles))[0] || null,
+    companyAliases: unique(results.map((result) => result.company)).filter(
+      (company) => company !== primary.result.company
+    ),
+    mergedFrom: rows.map((member) => ({
+      index: member.index,
+      name: member.result.name,
+      company: member.result.company,
+      email: member.result.email,
+    })),
+  };
+}
+
+function isInitialOf(initial, name) {
+  return initial.length === 1 && name.length > 1 && name.startsWith(initial);
+}
+
+function isTypo(a, b) {
+  if (Math.min(a.length, b.length) < TYPO_MIN_LENGTH) return false;
+  return editDistance(a, b) <= 1;
+}
+
+function editDistance(a, b) {
+  if (Math.abs(a.length - b.length) > 1) return 2;
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
@@ -0,0 +1,210 @@
+import { formatDelimited, writeXlsx } from "@/lib/tabular";
+
+export const EXPORT_ALTERNATE_COLUMNS = 3;
+
+export const EXPORT_FIELDS = [
+  { id: "name", label: "Full name", get: (row) => row.name },
+  { id: "firstName", label: "First name", get: (row) => row.firstName },
+  { id: "middleName", label: "Middle name", get: (row) => row.middleName },
+  { id: "lastName", label: "Last name", get: (row) => row.lastName },
+  { id: "title", label: "Job title", get: (row) => row.title || row.role },
+  { id: "role", label: "Role", get: (row) => row.role },
+  { id: "department", label: "Department", get: (row) => row.department },
+  { id: "seniority", label: "Seniority", get: (row) => row.seniority },
+  { id: "company", label: "Company", get: (row) => row.company },
+  { id: "domain", label: "Email domain", get: (row) => row.domain || row.email?.split("@")[1] },
+  { id: "website", label: "Website", get: (row) => websiteFor(row) },
+  { id: "email", label: "Email", get: (row) => row.email },
+  { id: "confidence", label: "Confidence", get: (row) => row.confidence },
+  { id: "confidenceScore", label: "Confidence score", get: (row) => row.confidenceScore },
+  { id: "verification", label: "Verification", get: (row) => row.verification },
+  { id: "source", label: "Source", get: (row) => row.source },
+  ...Array.from({ length: EXPORT_ALTERNATE_COLUMNS }, (_, index) => [
+    {
+      id: `alternate${index + 1}`,
+      label: `Alternate ${index + 1}`,
+      get: (row) => row.candidates?.[index + 1]?.email,
+    },
+    {
+      id: `alternate${index + 1}Probability`,
+      label: `Alternate ${index + 1} probability`,
+      get: (row) => row.candidates?.[index + 1]?.probability,
+    },
+  ]).flat(),
+];
+
+const FIELDS_BY_ID = new Map(EXPORT_FIELDS.map((field) => [field.id, field]));
+
+const STANDARD_COLUMNS = [
+  { header: "Name", field: "name" },
+  { header: "Role", field: "role" },
+  { header: "Department", field: "department" },
+  { header: "Seniority", field: "seniority" },
+  { header: "Company", field: "company" },
+  { header: "Email", field: "email" },
+  { header: "Confidence", field: "confidence" },
+  { header: "Confidence Score", field: "confidenceScore" },
+  { header: "Verification", field: "verification" },
+  { header: "Source", field: "source" },
+];
+
+export const EXPORT_PRESETS = {
+  csv: { label: "CSV", format: "csv", columns: STANDARD_COLUMNS },
+  hubspot: {
+    label: "HubSpot contacts (CSV)",
+    format: "csv",
+    columns: [
+      { header: "First Name", field: "firstName" },
+      { header: "Last Name", field: "lastName" },
+      { header: "Email", field: "email" },
+      { header: "Job Title", field: "title" },
+      { header: "Company Name", field: "company" },
+      { header: "Website URL", field: "website" },
+      { header: "Lifecycle Stage", value: "lead" },
+    ],
+  },
+  salesforce: {
+    label: "Salesforce leads (CSV)",
+    format: "csv",
+    columns: [
+      { header: "First Name", field: "firstName" },
+      { header: "Last Name", field: "lastName" },
+      { header: "Email", field: "email" },
+      { header: "Title", field: "title" },
+      { header: "Company", field: "company" },
+      { header: "Website", field: "website" },
+      { header: "Lead Source", value: "Web Research" },
+      { header: "Description", field: "source" },
+    ],
+  },
+  xlsx: { label: "Excel (XLSX)", format: "xlsx", columns: STANDARD_COLUMNS },
+  json: { label: "JSON", format: "json", columns: STANDARD_COLUMNS },
+  vcard: { label: "vCard (.vcf)", format: "vcf", columns: [] },
+};
+
+export const EXPORT_FORMATS = {
+  csv: { extension: "csv", mimeType: "text/csv;charset=utf-8" },
+  xlsx: {
+    extension: "xlsx",
+    mimeType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  },
+  json: { extension: "json", mimeType: "application/json;charset=utf-8" },
+  vcf: { extension: "vcf", mimeType: "text/vcard;charset=utf-8" },
+};
+
+const SEARCH_FIELDS = ["name", "role", "title", "company", "email", "domain"];
+
+export function filterRows(
+  rows,
+  { department, seniority, confidence, role, company, query } = {}
+) {
+  const needle = String(query || "").trim().toLowerCase();
+  return rows.filter(
+    (row) =>
+      (!department || row.department === department) &&
+      (!seniority || row.seniority === seniority) &&
+      (!confidence || row.confidence === confidence) &&
+      (!role || row.role === role) &&
+      (!company || row.company === company) &&
+      (!needle ||
+        SEARCH_FIELDS.some((field) =>
+          String(row[field] || "").toLowerCase().includes(needle)
+        ))
+  );
+}
+
+export function resolveExportSpec({ preset, format, columns, alternates = false } = {}) {
+  const base = EXPORT_PRESETS[preset] || EXPORT_PRESETS.csv;
+  const spec = {
+    format: format || base.format,
+    columns: Array.isArray(columns) && columns.length ? columns : base.columns,
+  };
+  if (!EXPORT_FORMATS[spec.format]) {
+    throw new Error(`Unknown export format "${spec.format}".`);
+  }
+
+  for (const column of spec.columns) {
+    if (!column?.header || (column.field && !FIELDS_BY_ID.has(column.field))) {
+      throw new Error(`Invalid export column: ${JSON.stringify(column)}.`);
+    }
+  }
+
+  if (alternates && spec.format !== "vcf") {
+    spec.columns = [
+      ...spec.columns,
+      ...EXPORT_FIELDS.filter((field) => field.id.startsWith("alternate")).map(
+        (field) => ({ header: field.label, field: field.id })
+      ),
+    ];
+  }
+  return spec;
+}
+
+export function buildExport(rows, options = {}) {
+  const spec = resolveExportSpec(options);
+  const { extension, mimeType } = EXPORT_FORMATS[spec.format];
+  const fileName = `${options.fileName || "decision-makers"}.${extension}`;
+
+  if (spec.format === "vcf") {
+    return { content: rows.map(toVCard).join(""), mimeType, fileName };
+  }
+
+  const values = rows.map((row) => spec.columns.map((column) => columnValue(column, row)));
+  const headers = spec.columns.map((column) => column.header);
+
+  if (spec.format === "json") {
+    const records = values.map((cells) =>
+      Object.fromEntries(headers.map((header, index) => [header, cells[index] ?? null]))
+    );
+    return { content: JSON.stringify(records, null, 2), mimeType, fileName };
+  }
+
+  const table = [headers, ...values];
+  if (spec.format === "xlsx") {
+    return { content: writeXlsx(table, { sheetName: "Contacts" }), mimeType, fileName };
+  }
+  return { content: formatDelimited(table), mimeType, fileName };
+}
+
+function columnValue(column, row) {
+  if (!column.field) return column.value ?? "";
+  const value = FIELDS_BY_ID.get(column.field).get(row);
+  return value === undefined || value === null ? "" : value;
+}
+
+function toVCard(row) {
+  const note = [
+    row.confidence && `Confidence ${row.confidence} (${row.confidenceScore ?? "n/a"})`,
+    row.verification && `Verification ${row.verification}`,
+    row.source && `Source ${row.source}`,
+  ]
+    .filter(Boolean)
+    .join("; ");
+
+  const lines = [
+    "BEGIN:VCARD",
+    "VERSION:3.0",
+    `N:${escapeVCard(row.lastName)};${escapeVCard(row.firstName)};${escapeVCard(row.middleName)};;`,
+    `FN:${escapeVCard(row.name)}`,
+    `ORG:${escapeVCard(row.company)}`,
+    row.title || row.role ? `TITLE:${escapeVCard(row.title || row.role)}` : null,
+    row.email ? `EMAIL;TYPE=INTERNET,WORK:${escapeVCard(row.email)}` : null,
+    websiteFor(row) ? `URL:${escapeVCard(websiteFor(row))}` : null,
+    note ? `NOTE:${escapeVCard(note)}` : null,
+    "END:VCARD",
+  ];
+  return `${lines.filter((line) => line !== null).join("\r\n")}\r\n`;
+}
+
+function escapeVCard(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/\r?\n/g, "\\n")
+    .replace(/([,;])/g, "\\$1");
+}
+
+// The mail domain can differ from the company's site, so only the site the row
+// was crawled from is exported.
+function websiteFor(row) {
+  return row.website || "";
+}
@@ -0,0 +1,220 @@
+export const EMAIL_REGEX = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+
+export const EXTRACTION_TECHNIQUES = {
+  plain: "plain text",
+  mailto: "mailto link",
+  entities: "HTML entities",
+  obfuscated: "obfuscated text",
+  cloudflare: "Cloudflare email protection",
+  "split-markup": "split across markup",
+  "json-ld": "JSON-LD",
+  "next-data": "__NEXT_DATA__",
+  pdf: "PDF document",
+  vcard: "vCard",
+  text: "text file",
+};
+
+const NAMED_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+  commat: "@",
+  period: ".",
+  colon: ":",
+};
+
+const INLINE_TAGS =
+  "a|abbr|b|bdi|bdo|cite|code|em|font|i|kbd|mark|q|s|samp|small|span|strong|sub|sup|u|var|wbr";
+
+const AT_TOKEN = String.raw`(\s*[\[\(\{<]\s*(?:at|@)\s*[\]\)\}>]\s*|\s+at\s+)`;
+
+const DOT_TOKEN = String.raw`(?:\s*[\[\(\{<]\s*(?:dot|\.)\s*[\]\)\}>]\s*|\s+dot\s+|\.)`;
+
+const OBFUSCATED_REGEX = new RegExp(
+  String.raw`([a-z0-9._%+-]+)${AT_TOKEN}([a-z0-9-]+(?:${DOT_TOKEN}[a-z0-9-]+)*${DOT_TOKEN}[a-z]{2,})\b`,
+  "gi"
+);
+
+const DOT_TOKEN_REGEX = new RegExp(DOT_TOKEN, "gi");
+
+const OBFUSCATED_DOT_REGEX = /[\[\(\{<]\s*(?:dot|\.)\s*[\]\)\}>]|\sdot\s/i;
+
+export function extractEmails(html) {
+  if (!html) return [];
+  const found = new Map();
+
+  const record = (rawEmail, technique, name = null) => {
+    const email = normalizeEmail(rawEmail);
+    if (!email) return;
+
+    const existing = found.get(email);
+    if (existing) {
+      if (!existing.techniques.includes(technique)) {
+        existing.techniques.push(technique);
+      }
+      existing.name = existing.name || name;
+      return;
+    }
+
+    found.set(email, { email, technique, techniques: [technique], name });
+  };
+
+  // Order matters: the first technique to find an address becomes its primary one.
+  for (const [, target] of html.matchAll(/href\s*=\s*["']?\s*(mailto:[^"'\s>]+)/gi)) {
+    const decoded = safeDecodeUri(decodeEntities(target)).replace(/^mailto:/i, "");
+    record(decoded.split("?")[0], target.includes("&") ? "entities" : "mailto");
+  }
+
+  const markup = stripScripts(html);
+  for (const email of markup.match(EMAIL_REGEX) || []) {
+    record(email, "plain");
+  }
+
+  for (const email of decodeEntities(markup).match(EMAIL_REGEX) || []) {
+    record(email, "entities");
+  }
+
+  for (const [, encoded] of html.matchAll(/data-cfemail\s*=\s*["']?([0-9a-f]+)/gi)) {
+    record(decodeCloudflareEmail(encoded), "cloudflare");
+  }
+  for (const [, encoded] of html.matchAll(/\/cdn-cgi\/l\/email-protection#([0-9a-f]+)/gi)) {
+    record(decodeCloudflareEmail(encoded), "cloudflare");
+  }
+
+  for (const { value, technique } of extractScriptData(html)) {
+    walkJson(value, (email, name) => record(email, technique, name));
+  }
+
+  const visibleText = decodeEntities(
+    markup
+      .replace(new RegExp(`</?(?:${INLINE_TAGS})\\b[^>]*>`, "gi"), "")
+      .replace(/<[^>]*>/g, " ")
+  );
+
+  for (const email of visibleText.match(EMAIL_REGEX) || []) {
+    record(email, "split-markup");
+  }
+
+  for (const [, local, atToken, domain] of visibleText.matchAll(OBFUSCATED_REGEX)) {
+    // A bare " at " reads like prose ("find us at acme.com") unless the dots are disguised too.
+    if (!/[\[\(\{<]/.test(atToken) && !OBFUSCATED_DOT_REGEX.test(domain)) continue;
+    record(`${local}@${domain.replace(DOT_TOKEN_REGEX, ".")}`, "obfuscated");
+  }
+
+  return Array.from(found.values());
+}
+
+export function describeTechnique(technique) {
+  return EXTRACTION_TECHNIQUES[technique] || technique;
+}
+
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === "#") {
+      const code =
+        entity[1].toLowerCase() === "x"
+          ? parseInt(entity.slice(2), 16)
+          : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) && code > 0 && code <= 0x10ffff
+        ? String.fromCodePoint(code)
+        : match;
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+export function decodeCloudflareEmail(encoded) {
+  if (!encoded || encoded.length < 4 || encoded.length % 2 !== 0) return "";
+  const key = parseInt(encoded.slice(0, 2), 16);
+  let email = "";
+  for (let index = 2; index < encoded.length; index += 2) {
+    email += String.fromCharCode(parseInt(encoded.slice(index, index + 2), 16) ^ key);
+  }
+  return email;
+}
+
+function normalizeEmail(value) {
+  if (!value) return null;
+  const match = value.trim().match(/^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i);
+  if (!match) return null;
+  return match[0].toLowerCase().replace(/\.+$/, "");
+}
+
+function safeDecodeUri(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+function stripScripts(html) {
+  return html
+    .replace(/<script\b[\s\S]*?<\/script>/gi, " ")
+    .replace(/<style\b[\s\S]*?<\/style>/gi, " ");
+}
+
+export function extractScriptData(html) {
+  const blobs = [];
+  const scripts = html.matchAll(/<script\b([^>]*)>([\s\S]*?)<\/script>/gi);
+
+  for (const [, attributes, body] of scripts) {
+    let technique = null;
+    if (/type\s*=\s*["']?application\/ld\+json/i.test(attributes)) {
+      technique = "json-ld";
+    } else if (/id\s*=\s*["']?__NEXT_DATA__/i.test(attributes)) {
+      technique = "next-data";
+    }
+    if (!technique) continue;
+
+    try {
+      blobs.push({ value: JSON.parse(body.trim()), technique });
+    } catch {
+      // Malformed blobs are common; the visible page may still carry addresses.
+    }
+  }
+
+  return blobs;
+}
+
+function walkJson(value, onEmail, depth = 0) {
+  if (depth > 40 || value === null || value === undefined) return;
+
+  if (typeof value === "string") {
+    for (const email of value.match(EMAIL_REGEX) || []) {
+      onEmail(email, null);
+    }
+    return;
+  }
+
+  if (Array.isArray(value)) {
+    value.forEach((item) => walkJson(item, onEmail, depth + 1));
+    return;
+  }
+
+  if (typeof value === "object") {
+    const name = personName(value);
+    if (name && typeof value.email === "string") {
+      const email = value.email.replace(/^mailto:/i, "");
+      onEmail(email, name);
+    }
+    Object.values(value).forEach((item) => walkJson(item, onEmail, depth + 1));
+  }
+}
+
+function personName(value) {
+  const type = [].concat(value["@type"] || []);
+  if (value.givenName && value.familyName) {
+    return { firstName: String(value.givenName), lastName: String(value.familyName) };
+  }
+  if (type.includes("Person") && typeof value.name === "string") {
+    const parts = value.name.trim().split(/\s+/);
+    if (parts.length >= 2) {
+      return { firstName: parts[0], lastName: parts[parts.length - 1] };
+    }
+  }
+  return null;
+}
@@ -0,0 +1,59 @@
+import { randomUUID } from "node:crypto";
+import { promises as fs } from "node:fs";
+import path from "node:path";
+
+const pendingWrites = new Map();
+
+export function dataDirectory() {
+  return path.resolve(process.env.DATA_DIR || ".data");
+}
+
+export function dataPath(...segments) {
+  return path.join(dataDirectory(), ...segments);
+}
+
+export async function readJsonFile(file, fallback = null) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return fallback;
+    throw error;
+  }
+}
+
+export async function writeTextFile(file, text) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  // Two writes to the same file can start in the same millisecond, so each gets
+  // its own temporary file.
+  const temporary = `${file}.${randomUUID()}.tmp`;
+  await fs.writeFile(temporary, text);
+  await fs.rename(temporary, file);
+}
+
+export async function writeJsonFile(file, value) {
+  await writeTextFile(file, JSON.stringify(value));
+}
+
+export async function appendJsonLine(file, value) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.appendFile(file, `${JSON.stringify(value)}\n`);
+}
+
+export async function updateJsonFile(file, update, fallback = null) {
+  // Writes to one file are chained so concurrent callers never interleave.
+  const previous = pendingWrites.get(file) || Promise.resolve();
+  const next = previous
+    .catch(() => {})
+    .then(async () => {
+      const updated = await update(await readJsonFile(file, fallback));
+      await writeJsonFile(file, updated);
+      return updated;
+    });
+
+  pendingWrites.set(file, next);
+  try {
+    return await next;
+  } finally {
+    if (pendingWrites.get(file) === next) pendingWrites.delete(file);
+  }
+}
@@ -0,0 +1,257 @@
+import { randomUUID } from "node:crypto";
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { recordAudit } from "@/lib/auditLog";
+import { collectDiagnostics } from "@/lib/diagnostics";
+import { resolvePeople } from "@/lib/entities";
+import {
+  appendJsonLine,
+  dataPath,
+  readJsonFile,
+  updateJsonFile,
+  writeJsonFile,
+  writeTextFile,
+} from "@/lib/fileStore";
+import { resultRetentionDays } from "@/lib/settings";
+import { loadSuppressions } from "@/lib/suppression";
+
+export const JOB_STATUSES = ["running", "completed", "cancelled", "failed"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Progress is saved after every company, so a running job this quiet has lost its process.
+export const STALE_JOB_MS = 15 * 60 * 1000;
+
+export function isJobId(id) {
+  return typeof id === "string" && /^[a-z0-9-]+$/i.test(id);
+}
+
+function jobDirectory(id) {
+  if (!isJobId(id)) {
+    throw new Error("Invalid job id.");
+  }
+  return dataPath("jobs", id);
+}
+
+export async function createJob({
+  entries,
+  options = {},
+  apiKeyId = null,
+  callback = null,
+  snapshot = null,
+}) {
+  const id = randomUUID();
+  const directory = jobDirectory(id);
+  await fs.mkdir(directory, { recursive: true });
+
+  const job = {
+    id,
+    status: "running",
+    createdAt: new Date().toISOString(),
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    updatedAt: new Date().toISOString(),
+    runs: 1,
+    apiKeyId,
+    options,
+    callback,
+    snapshot,
+    progress: { total: entries.length, completed: 0, contacts: 0 },
+    error: null,
+  };
+
+  await writeJsonFile(path.join(directory, "entries.json"), entries);
+  await writeJsonFile(path.join(directory, "job.json"), job);
+  return job;
+}
+
+export async function readJob(id) {
+  if (!isJobId(id)) return null;
+  return readJsonFile(path.join(jobDirectory(id), "job.json"));
+}
+
+export async function readJobEntries(id) {
+  return readJsonFile(path.join(jobDirectory(id), "entries.json"), []);
+}
+
+async function readJsonLines(file) {
+  let text = "";
+  try {
+    text = await fs.readFile(file, "utf8");
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+
+  const records = [];
+  for (const line of text.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      // A crash mid-write can leave a partial last line; that record is simply lost.
+    }
+  }
+  return records;
+}
+
+export async function readCompletedCompanies(id) {
+  // A company whose line was cut short by a crash is missing here, so it reruns.
+  const records = await readJsonLines(path.join(jobDirectory(id), "companies.ndjson"));
+  return new Map(records.map((record) => [record.index, record]));
+}
+
+export async function recordDelivery(id, attempt) {
+  await appendJsonLine(path.join(jobDirectory(id), "deliveries.ndjson"), attempt);
+}
+
+export async function readDeliveries(id) {
+  return readJsonLines(path.join(jobDirectory(id), "deliveries.ndjson"));
+}
+
+export function jobSnapshotPath(id) {
+  return path.join(jobDirectory(id), "snapshot.ndjson");
+}
+
+export async function hasSnapshot(id) {
+  if (!isJobId(id)) return false;
+  const stat = await fs.stat(jobSnapshotPath(id)).catch(() => null);
+  return Boolean(stat?.size);
+}
+
+export async function deleteSnapshot(id) {
+  await fs.rm(jobSnapshotPath(id), { force: true });
+}
+
+export async function recordCompany(id, record) {
+  await appendJsonLine(path.join(jobDirectory(id), "companies.ndjson"), record);
+  return updateJob(id, (job) => ({
+    ...job,
+    progress: {
+      ...job.progress,
+      completed: job.progress.completed + 1,
+      contacts: job.progress.contacts + record.results.length,
+    },
+  }));
+}
+
+export async function rewriteCompanies(id, records) {
+  const text = records.map((record) => `${JSON.stringify(record)}\n`).join("");
+  await writeTextFile(path.join(jobDirectory(id), "companies.ndjson"), text);
+  return updateJob(id, (job) => ({
+    ...job,
+    progress: {
+      ...job.progress,
+      contacts: records.reduce((sum, record) => sum + record.results.length, 0),
+    },
+  }));
+}
+
+export async function writeJobEntries(id, entries) {
+  await writeJsonFile(path.join(jobDirectory(id), "entries.json"), entries);
+}
+
+export async function updateJob(id, update) {
+  return updateJsonFile(path.join(jobDirectory(id), "job.json"), (job) => ({
+    ...update(job),
+    updatedAt: new Date().toISOString(),
+  }));
+}
+
+export function isJobStale(job, now = Date.now()) {
+  const lastUpdate = Date.parse(job.updatedAt || job.startedAt || job.createdAt);
+  return job.status === "running" && now - lastUpdate > STALE_JOB_MS;
+}
+
+export async function listJobs() {
+  const root = dataPath("jobs");
+  let ids = [];
+  try {
+    ids = await fs.readdir(root);
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+
+  const jobs = await Promise.all(ids.map((id) => readJob(id).catch(() => null)));
+  return jobs
+    .filter(Boolean)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+export async function loadJobResults(id) {
+  const [companies, suppressions] = await Promise.all([
+    readCompletedCompanies(id),
+    loadSuppressions(),
+  ]);
+  const ordered = Array.from(companies.values()).sort((a, b) => a.index - b.index);
+  // Suppressions added after the run still apply to what it stored.
+  const visible = ordered.map((record) => ({
+    index: record.index,
+    results: record.results.filter((result) => !suppressions.matchResult(result)),
+  }));
+  const stored = ordered.reduce((sum, record) => sum + record.results.length, 0);
+  const { results, merges } = resolvePeople(visible);
+  return {
+    results,
+    merges,
+    companies: ordered.map((record) => record.report),
+    diagnostics: collectDiagnostics(ordered.map((record) => record.report)),
+    // Same shape as a run's outcome: rows withheld during the run plus those hidden since.
+    suppressed: {
+      contacts:
+        stored -
+        visible.reduce((sum, record) => sum + record.results.length, 0) +
+        ordered.reduce((sum, record) => sum + (record.report.suppressed || 0), 0),
+      companies: ordered.filter((record) => record.report.suppressedCompany).length,
+    },
+  };
+}
+
+export async function purgeExpiredJobs({
+  retentionDays = resultRetentionDays(),
+  now = Date.now(),
+} = {}) {
+  if (!retentionDays) return [];
+  const cutoff = now - retentionDays * DAY_MS;
+
+  // Live jobs are left alone; one a crash left "running" ages from its last update.
+  const expired = (await listJobs()).filter(
+    (job) =>
+      (job.status !== "running" || isJobStale(job, now)) &&
+      Date.parse(job.finishedAt || job.updatedAt || job.createdAt) < cutoff
+  );
+  await Promise.all(
+    expired.map((job) => fs.rm(jobDirectory(job.id), { recursive: true, force: true }))
+  );
+
+  if (expired.length) {
+    await recordAudit({
+      action: "retention-purge",
+      jobs: expired.map((job) => job.id),
+      retentionDays,
+    });
+  }
+  return expired.map((job) => job.id);
+}
+
+export function jobBelongsTo(job, apiKey) {
+  // A key sees only the jobs it started, and the app only the jobs started from it.
+  return apiKey ? job.apiKeyId === apiKey.id : !job.apiKeyId;
+}
+
+export function summarizeJob(job) {
+  const end = job.finishedAt ? Date.parse(job.finishedAt) : Date.now();
+  return {
+    id: job.id,
+    status: job.status,
+    createdAt: job.createdAt,
+    finishedAt: job.finishedAt,
+    durationMs: Math.max(0, end - Date.parse(job.startedAt || job.createdAt)),
+    runs: job.runs,
+    companies: job.progress.total,
+    completed: job.progress.completed,
+    contacts: job.progress.contacts,
+    callbackUrl: job.callback?.url || null,
+    snapshot: job.snapshot || null,
+    error: job.error,
+  };
+}
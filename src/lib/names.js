@@ -0,0 +1,197 @@
+const HONORIFICS = new Set([
+  "dr",
+  "mr",
+  "mrs",
+  "ms",
+  "miss",
+  "mx",
+  "prof",
+  "professor",
+  "sir",
+  "dame",
+  "rev",
+  "ing",
+  "eng",
+]);
+
+const SUFFIXES = new Map([
+  ["jr", "Jr."],
+  ["sr", "Sr."],
+  ["ii", "II"],
+  ["iii", "III"],
+  ["iv", "IV"],
+  ["phd", "PhD"],
+  ["mba", "MBA"],
+  ["md", "MD"],
+  ["cpa", "CPA"],
+  ["cfa", "CFA"],
+  ["esq", "Esq."],
+  ["pmp", "PMP"],
+  ["msc", "MSc"],
+  ["bsc", "BSc"],
+  ["jd", "JD"],
+  ["llm", "LLM"],
+  ["dds", "DDS"],
+  ["ceng", "CEng"],
+]);
+
+// Lower-case particles that belong to the surname that follows them.
+const SURNAME_PARTICLES = new Set([
+  "al",
+  "bin",
+  "da",
+  "das",
+  "de",
+  "del",
+  "della",
+  "den",
+  "der",
+  "di",
+  "do",
+  "dos",
+  "du",
+  "el",
+  "ibn",
+  "la",
+  "le",
+  "st",
+  "ten",
+  "ter",
+  "van",
+  "von",
+  "zu",
+]);
+
+// Slugs split O'Brien into "o-brien"; other single letters are usually initials.
+const APOSTROPHE_PREFIXES = new Set(["o"]);
+
+export function parseNameTokens(rawTokens) {
+  const tokens = rawTokens
+    .map((token) => token.replace(/[.,]/g, "").trim())
+    .filter(Boolean);
+
+  let honorific = null;
+  const suffixes = [];
+
+  while (tokens.length && HONORIFICS.has(tokens[0].toLowerCase())) {
+    honorific = honorific || capitalize(tokens.shift().toLowerCase());
+  }
+  while (tokens.length > 1 && SUFFIXES.has(tokens[tokens.length - 1].toLowerCase())) {
+    suffixes.unshift(SUFFIXES.get(tokens.pop().toLowerCase()));
+  }
+
+  const words = joinApostrophePrefixes(tokens.filter((token) => /\p{L}/u.test(token)));
+  if (!words.length) {
+    return emptyName();
+  }
+
+  const firstName = formatWord(words[0]);
+  if (words.length === 1) {
+    return { ...emptyName(), firstName, fullName: firstName, honorific, suffixes };
+  }
+
+  // The surname starts at the earliest particle run that leads into the last word.
+  let surnameStart = words.length - 1;
+  while (surnameStart > 1 && SURNAME_PARTICLES.has(words[surnameStart - 1].toLowerCase())) {
+    surnameStart -= 1;
+  }
+
+  const lastName = words
+    .slice(surnameStart)
+    .map((word, index, surname) =>
+      index < surname.length - 1 && SURNAME_PARTICLES.has(word.toLowerCase())
+        ? word.toLowerCase()
+        : formatWord(word)
+    )
+    .join(" ");
+  const middleNames = words.slice(1, surnameStart).map(formatWord);
+  const fullName = [firstName, ...middleNames, lastName].join(" ");
+
+  return { firstName, middleNames, lastName, fullName, honorific, suffixes };
+}
+
+export function parsePersonName(value) {
+  if (!value || typeof value !== "string") return emptyName();
+  const cleaned = value.replace(/\([^)]*\)/g, " ").replace(/,\s*/g, " ");
+  return parseNameTokens(cleaned.split(/\s+/));
+}
+
+export function slugToTokens(slug) {
+  let decoded = slug;
+  try {
+    decoded = decodeURIComponent(slug);
+  } catch {
+    // Keep the raw slug when it is not valid percent-encoding.
+  }
+
+  const tokens = decoded
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}'’\-_\s]/gu, " ")
+    .split(/[-_\s]+/)
+    .filter(Boolean);
+
+  // LinkedIn appends ids such as "4a7b2c91" or "123456" after the name.
+  while (tokens.length > 1 && isSlugHash(tokens[tokens.length - 1])) tokens.pop();
+  // Vanity slugs like "jsmith2" keep the name and lose the number.
+  return tokens.map((token) => token.replace(/\d+/g, "")).filter(Boolean);
+}
+
+function isSlugHash(token) {
+  return /\d/.test(token) && (/^[\da-f]+$/.test(token) || /\d\p{L}/u.test(token));
+}
+
+function joinApostrophePrefixes(tokens) {
+  const words = [];
+  for (let index = 0; index < tokens.length; index += 1) {
+    const token = tokens[index];
+    const next = tokens[index + 1];
+    if (
+      APOSTROPHE_PREFIXES.has(token.toLowerCase()) &&
+      next &&
+      index > 0 &&
+      next.length > 1
+    ) {
+      words.push(`${token}'${next}`);
+      index += 1;
+    } else {
+      words.push(token);
+    }
+  }
+  return words;
+}
+
+function formatWord(word) {
+  return word
+    .split("-")
+    .map((part) =>
+      part
+        .split(/(['’])/)
+        .map((piece) => (piece === "'" || piece === "’" ? piece : formatPiece(piece)))
+        .join("")
+    )
+    .join("-");
+}
+
+function formatPiece(piece) {
+  const lower = piece.toLowerCase();
+  if (/^mc\p{L}{2,}/u.test(lower)) {
+    return `Mc${capitalize(lower.slice(2))}`;
+  }
+  return capitalize(lower);
+}
+
+function capitalize(input) {
+  if (!input) return "";
+  return input.charAt(0).toUpperCase() + input.slice(1);
+}
+
+function emptyName() {
+  return {
+    firstName: null,
+    middleNames: [],
+    lastName: null,
+    fullName: "",
+    honorific: null,
+    suffixes: [],
+  };
+}
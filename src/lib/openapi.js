@@ -0,0 +1,589 @@
+import { CONFIDENCE_THRESHOLDS } from "@/lib/confidence";
+import { DIAGNOSTIC_CODES, DIAGNOSTIC_STAGES } from "@/lib/diagnostics";
+import { DOMAIN_REASONS } from "@/lib/domains";
+import { EXPORT_FORMATS, EXPORT_PRESETS } from "@/lib/exporters";
+import { JOB_STATUSES } from "@/lib/jobStore";
+import { loadRoleTaxonomy } from "@/lib/roleTaxonomy";
+import { CRAWL_DEFAULTS, CRAWL_LIMITS, requestLimits, settingFloor } from "@/lib/settings";
+import { SNAPSHOT_MODES } from "@/lib/snapshots";
+import { VERIFICATION_STATUSES } from "@/lib/verification";
+import { WEBHOOK_EVENTS, WEBHOOK_HEADERS } from "@/lib/webhooks";
+
+export const API_VERSION = "1.0.0";
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const nullable = (schema) => ({ ...schema, nullable: true });
+
+function errorResponse(description) {
+  return {
+    description,
+    content: { "application/json": { schema: ref("Error") } },
+  };
+}
+
+function crawlSetting(key, description) {
+  return {
+    type: "integer",
+    description,
+    default: CRAWL_DEFAULTS[key],
+    minimum: settingFloor(key),
+    maximum: CRAWL_LIMITS[key],
+  };
+}
+
+export function buildOpenApiDocument({ serverUrl = "/" } = {}) {
+  const { maxBytes, maxEntries } = requestLimits();
+  const taxonomy = loadRoleTaxonomy();
+
+  const schemas = {
+    Entry: {
+      type: "object",
+      description: "One company to research.",
+      properties: {
+        company: { type: "string", example: "Acme Inc" },
+        website: { type: "string", example: "https://acme.com" },
+        linkedinProfiles: {
+          type: "array",
+          items: { type: "string" },
+          description: "LinkedIn profile URLs or slugs for known contacts.",
+        },
+      },
+      required: ["website"],
+    },
+    ProcessRequest: {
+      type: "object",
+      properties: {
+        entries: {
+          type: "array",
+          items: ref("Entry"),
+          maxItems: maxEntries,
+        },
+        resumeJobId: {
+          type: "string",
+          format: "uuid",
+          description: "Resume an unfinished job instead of starting a new one. Resumes do not use quota.",
+        },
+        corrections: {
+          type: "array",
+          description:
+            "With resumeJobId, replace these rows of the job and crawl them again, even if the job completed. Each corrected row uses quota.",
+          items: {
+            allOf: [
+              ref("Entry"),
+              {
+                type: "object",
+                properties: { index: { type: "integer", minimum: 0 } },
+                required: ["index"],
+              },
+            ],
+          },
+        },
+        callbackUrl: {
+          type: "string",
+          format: "uri",
+          description:
+            "Run the job in the background and POST its outcome here. The request returns 202 at once.",
+        },
+        callbackCompanies: {
+          type: "boolean",
+          default: false,
+          description: "Also POST each company's results to callbackUrl as it finishes.",
+        },
+        recordSnapshot: {
+          type: "boolean",
+          default: false,
+          description:
+            "Keep every fetched page, DNS answer and knowledge-base lookup so the job can be audited or replayed.",
+        },
+        replayJobId: {
+          type: "string",
+          format: "uuid",
+          description:
+            "Run against the snapshot recorded by this job instead of the network. Entries and settings default to that job's; replays do not use quota and cannot verify mailboxes.",
+        },
+        concurrency: crawlSetting("concurrency", "Pages fetched at once across all sites."),
+        perHostConcurrency: crawlSetting("perHostConcurrency", "Pages fetched at once per host."),
+        pageBudget: crawlSetting("pageBudget", "Pages crawled per site."),
+        maxDepth: crawlSetting("maxDepth", "Link depth followed from the landing page."),
+        alternates: crawlSetting("alternates", "Alternate addresses returned per contact."),
+        fetchTimeoutMs: crawlSetting("fetchTimeoutMs", "Milliseconds to wait for each page."),
+        documentBudget: crawlSetting(
+          "documentBudget",
+          "Linked PDFs, vCards and text files read per site once its pages run out."
+        ),
+        documentMaxBytes: crawlSetting("documentMaxBytes", "Largest linked document read, in bytes."),
+        verify: { type: "boolean", default: false, description: "Check mailboxes over SMTP." },
+        targetRoles: {
+          type: "array",
+          items: { type: "string" },
+          description: "Role labels or department ids to keep.",
+        },
+        minSeniority: {
+          type: "string",
+          enum: taxonomy.seniorityLevels.map((level) => level.id),
+        },
+        confidenceThresholds: {
+          type: "object",
+          properties: {
+            high: { type: "integer", default: CONFIDENCE_THRESHOLDS.high },
+            medium: { type: "integer", default: CONFIDENCE_THRESHOLDS.medium },
+          },
+        },
+      },
+    },
+    Candidate: {
+      type: "object",
+      properties: {
+        email: { type: "string", format: "email" },
+        pattern: { type: "string", example: "first.last" },
+        evidence: { type: "string" },
+        probability: { type: "number", minimum: 0, maximum: 1 },
+      },
+    },
+    ConfidenceSignal: {
+      type: "object",
+      properties: {
+        signal: { type: "string" },
+        label: { type: "string" },
+        value: nullable({ type: "number" }),
+        weight: { type: "number" },
+        points: nullable({ type: "number" }),
+        detail: nullable({ type: "string" }),
+      },
+    },
+    Result: {
+      type: "object",
+      properties: {
+        name: { type: "string" },
+        firstName: { type: "string" },
+        middleName: nullable({ type: "string" }),
+        lastName: { type: "string" },
+        role: { type: "string" },
+        title: nullable({ type: "string" }),
+        department: nullable({
+          type: "string",
+          enum: Array.from(taxonomy.departments.keys()),
+        }),
+        seniority: nullable({
+          type: "string",
+          enum: taxonomy.seniorityLevels.map((level) => level.id),
+        }),
+        company: { type: "string" },
+        email: { type: "string", format: "email" },
+        domain: { type: "string" },
+        domainReason: { type: "string", enum: DOMAIN_REASONS },
+        website: {
+          type: "string",
+          format: "uri",
+          description: "The company website the row was crawled from.",
+        },
+        candidates: { type: "array", items: ref("Candidate") },
+        confidence: { type: "string", enum: ["high", "medium", "low"] },
+        confidenceScore: { type: "integer", minimum: 0, maximum: 100 },
+        confidenceBreakdown: { type: "array", items: ref("ConfidenceSignal") },
+        source: { type: "string" },
+        linkedin: nullable({ type: "string", description: "Canonical LinkedIn profile URL." }),
+        verification: { type: "string", enum: VERIFICATION_STATUSES },
+        verificationDetail: nullable({ type: "string" }),
+        sources: {
+          type: "array",
+          items: { type: "string" },
+          description: "Only on merged contacts: every source of every merged row.",
+        },
+        companyAliases: {
+          type: "array",
+          items: { type: "string" },
+          description: "Only on merged contacts: other company names the person was listed under.",
+        },
+        mergedFrom: {
+          type: "array",
+          description: "Only on merged contacts: the rows that were combined, best-supported first.",
+          items: {
+            type: "object",
+            properties: {
+              index: { type: "integer" },
+              name: { type: "string" },
+              company: { type: "string" },
+              email: { type: "string" },
+            },
+          },
+        },
+      },
+    },
+    Merge: {
+      type: "object",
+      properties: {
+        name: { type: "string" },
+        company: { type: "string" },
+        email: { type: "string" },
+        rows: { type: "array", items: { type: "integer" }, description: "Entry indexes." },
+        contacts: { type: "integer", description: "Contacts combined into one." },
+      },
+    },
+    CompanyReport: {
+      type: "object",
+      properties: {
+        index: { type: "integer" },
+        company: { type: "string" },
+        website: nullable({ type: "string" }),
+        domain: nullable({ type: "string" }),
+        domainReason: nullable({
+          type: "object",
+          properties: {
+            reason: { type: "string", enum: DOMAIN_REASONS },
+            detail: { type: "string" },
+          },
+        }),
+        pattern: nullable({ type: "string" }),
+        visited: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              url: { type: "string" },
+              kind: { type: "string", enum: ["robots", "sitemap", "page", "document"] },
+              depth: { type: "integer" },
+              ok: { type: "boolean" },
+              blocked: { type: "boolean" },
+            },
+          },
+        },
+        suppressed: { type: "integer", description: "Contacts withheld by the suppression list." },
+        suppressedCompany: { type: "boolean" },
+        diagnostics: { type: "array", items: ref("Diagnostic") },
+      },
+    },
+    Diagnostic: {
+      type: "object",
+      description: "Why a row, or some of its contacts, produced no result.",
+      properties: {
+        index: { type: "integer", description: "Position of the row in the job's entries." },
+        company: nullable({ type: "string" }),
+        stage: { type: "string", enum: DIAGNOSTIC_STAGES },
+        code: { type: "string", enum: DIAGNOSTIC_CODES },
+        message: { type: "string" },
+        fixable: {
+          type: "boolean",
+          description: "Whether correcting the row can change the outcome.",
+        },
+        subject: nullable({ type: "string" }),
+      },
+    },
+    ProcessResponse: {
+      type: "object",
+      properties: {
+        jobId: { type: "string", format: "uuid" },
+        results: { type: "array", items: ref("Result") },
+        merges: { type: "array", items: ref("Merge") },
+        companies: { type: "array", items: ref("CompanyReport") },
+        diagnostics: { type: "array", items: ref("Diagnostic") },
+        suppressed: ref("Suppressed"),
+      },
+    },
+    Suppressed: {
+      type: "object",
+      description: "What the suppression list withheld from the job's results.",
+      properties: {
+        contacts: {
+          type: "integer",
+          description: "Contacts withheld, including by suppressions added after the run.",
+        },
+        companies: { type: "integer", description: "Rows whose whole company is suppressed." },
+      },
+    },
+    Job: {
+      type: "object",
+      properties: {
+        id: { type: "string", format: "uuid" },
+        status: { type: "string", enum: JOB_STATUSES },
+        createdAt: { type: "string", format: "date-time" },
+        finishedAt: nullable({ type: "string", format: "date-time" }),
+        durationMs: nullable({ type: "integer" }),
+        runs: { type: "integer" },
+        companies: { type: "integer" },
+        completed: { type: "integer" },
+        contacts: { type: "integer" },
+        callbackUrl: nullable({ type: "string", format: "uri" }),
+        snapshot: nullable({
+          type: "object",
+          properties: {
+            mode: { type: "string", enum: SNAPSHOT_MODES },
+            sourceJobId: { type: "string", format: "uuid", description: "The job a replay reads from." },
+          },
+        }),
+        error: nullable({ type: "string" }),
+      },
+    },
+    JobAccepted: {
+      type: "object",
+      properties: {
+        jobId: { type: "string", format: "uuid" },
+        status: { type: "string", enum: ["running"] },
+        statusUrl: { type: "string" },
+      },
+    },
+    WebhookPayload: {
+      type: "object",
+      description:
+        "company.completed carries index, company and results; job.completed carries job, results, merges, companies, diagnostics and suppressed; job.failed carries job.",
+      properties: {
+        id: { type: "string", format: "uuid", description: "Delivery id, the same on every retry." },
+        event: { type: "string", enum: WEBHOOK_EVENTS },
+        jobId: { type: "string", format: "uuid" },
+        createdAt: { type: "string", format: "date-time" },
+        index: { type: "integer" },
+        company: ref("CompanyReport"),
+        job: ref("Job"),
+        results: { type: "array", items: ref("Result") },
+        merges: { type: "array", items: ref("Merge") },
+        companies: { type: "array", items: ref("CompanyReport") },
+        diagnostics: { type: "array", items: ref("Diagnostic") },
+      },
+      required: ["id", "event", "jobId", "createdAt"],
+    },
+    Delivery: {
+      type: "object",
+      properties: {
+        id: { type: "string", format: "uuid" },
+        event: { type: "string", enum: WEBHOOK_EVENTS },
+        url: { type: "string" },
+        status: { type: "string", enum: ["delivered", "retrying", "failed"] },
+        lastAttemptAt: { type: "string", format: "date-time" },
+        attempts: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              attempt: { type: "integer" },
+              status: nullable({ type: "integer", description: "HTTP status from the receiver." }),
+              ok: { type: "boolean" },
+              error: nullable({ type: "string" }),
+              durationMs: { type: "integer" },
+              at: { type: "string", format: "date-time" },
+              nextAttemptAt: nullable({ type: "string", format: "date-time" }),
+            },
+          },
+        },
+      },
+    },
+    Error: {
+      type: "object",
+      properties: { error: { type: "string" } },
+      required: ["error"],
+    },
+  };
+
+  const authErrors = {
+    401: errorResponse("Missing, unknown or revoked API key."),
+    429: errorResponse("Rate limit or daily quota exceeded. See Retry-After."),
+  };
+  const jobIdParameter = {
+    name: "id",
+    in: "path",
+    required: true,
+    schema: { type: "string", format: "uuid" },
+  };
+
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "Decision maker finder API",
+      version: API_VERSION,
+      description: `Requests are limited to ${maxBytes} bytes and ${maxEntries} entries. Each key has a per-minute request limit and a daily entry quota.`,
+    },
+    servers: [{ url: serverUrl }],
+    security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: "http", scheme: "bearer" },
+        apiKeyHeader: { type: "apiKey", in: "header", name: "X-API-Key" },
+      },
+      schemas,
+    },
+    paths: {
+      "/api/v1/process": {
+        post: {
+          summary: "Find decision makers for a batch of companies",
+          description:
+            "Send `Accept: application/x-ndjson` to receive progress events as newline-delimited JSON instead of a single response.",
+          requestBody: {
+            required: true,
+            content: { "application/json": { schema: ref("ProcessRequest") } },
+          },
+          responses: {
+            200: {
+              description: "Results for every entry.",
+              content: {
+                "application/json": { schema: ref("ProcessResponse") },
+                "application/x-ndjson": { schema: { type: "string" } },
+              },
+            },
+            202: {
+              description: "The job has a callback and runs in the background.",
+              content: { "application/json": { schema: ref("JobAccepted") } },
+            },
+            400: errorResponse("Invalid request body, correction index, callbackUrl or replay."),
+            404: errorResponse("The job to resume or replay does not exist."),
+            409: errorResponse(
+              "The job to resume is still running, or already completed and no corrections were sent."
+            ),
+            410: errorResponse("The snapshot to replay was deleted."),
+            413: errorResponse(`Body larger than ${maxBytes} bytes or more than ${maxEntries} entries.`),
+            503: errorResponse("A callback was requested but the server has no WEBHOOK_SECRET."),
+            ...authErrors,
+          },
+          callbacks: {
+            jobEvent: {
+              "{$request.body#/callbackUrl}": {
+                post: {
+                  description: `Signed with HMAC-SHA256 over "<${WEBHOOK_HEADERS.timestamp}>.<raw body>" using the server's WEBHOOK_SECRET; ${WEBHOOK_HEADERS.signature} is "sha256=<hex>". Failed deliveries are retried with exponential backoff.`,
+                  parameters: Object.values(WEBHOOK_HEADERS).map((name) => ({
+                    name,
+                    in: "header",
+                    required: true,
+                    schema: { type: "string" },
+                  })),
+                  requestBody: {
+                    required: true,
+                    content: { "application/json": { schema: ref("WebhookPayload") } },
+                  },
+                  responses: {
+                    200: { description: "Any 2xx marks the delivery as done." },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      "/api/v1/jobs": {
+        get: {
+          summary: "List jobs created with this key",
+          responses: {
+            200: {
+              description: "Jobs, newest first.",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: { jobs: { type: "array", items: ref("Job") } },
+                  },
+                },
+              },
+            },
+            ...authErrors,
+          },
+        },
+      },
+      "/api/v1/jobs/{id}": {
+        get: {
+          summary: "Fetch a job with its entries and results",
+          parameters: [jobIdParameter],
+          responses: {
+            200: {
+              description: "The job.",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      job: ref("Job"),
+                      entries: { type: "array", items: ref("Entry") },
+                      results: { type: "array", items: ref("Result") },
+                      merges: { type: "array", items: ref("Merge") },
+                      companies: { type: "array", items: ref("CompanyReport") },
+                      diagnostics: { type: "array", items: ref("Diagnostic") },
+                      suppressed: ref("Suppressed"),
+                    },
+                  },
+                },
+              },
+            },
+            404: errorResponse("Job not found."),
+            ...authErrors,
+          },
+        },
+      },
+      "/api/v1/jobs/{id}/deliveries": {
+        get: {
+          summary: "Inspect a job's webhook deliveries",
+          parameters: [jobIdParameter],
+          responses: {
+            200: {
+              description: "Every delivery with its attempts, oldest first.",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      callback: nullable({
+                        type: "object",
+                        properties: {
+                          url: { type: "string" },
+                          companies: { type: "boolean" },
+                        },
+                      }),
+                      deliveries: { type: "array", items: ref("Delivery") },
+                    },
+                  },
+                },
+              },
+            },
+            404: errorResponse("Job not found."),
+            ...authErrors,
+          },
+        },
+      },
+      "/api/v1/jobs/{id}/snapshot": {
+        get: {
+          summary: "Download a job's crawl snapshot",
+          parameters: [jobIdParameter],
+          responses: {
+            200: {
+              description:
+                "Newline-delimited JSON: a header line, then page, mx and pattern records in the order they were made.",
+              content: { "application/x-ndjson": { schema: { type: "string" } } },
+            },
+            404: errorResponse("Job not found, or it recorded no snapshot."),
+            ...authErrors,
+          },
+        },
+      },
+      "/api/v1/jobs/{id}/export": {
+        get: {
+          summary: "Download a job's results",
+          parameters: [
+            jobIdParameter,
+            { name: "preset", in: "query", schema: { type: "string", enum: Object.keys(EXPORT_PRESETS) } },
+            { name: "format", in: "query", schema: { type: "string", enum: Object.keys(EXPORT_FORMATS) } },
+            {
+              name: "columns",
+              in: "query",
+              description: "JSON array of {header, field} or {header, value} columns.",
+              schema: { type: "string" },
+            },
+            { name: "alternates", in: "query", schema: { type: "string", enum: ["1"] } },
+            { name: "department", in: "query", schema: { type: "string" } },
+            { name: "seniority", in: "query", schema: { type: "string" } },
+            { name: "confidence", in: "query", schema: { type: "string", enum: ["high", "medium", "low"] } },
+            { name: "role", in: "query", schema: { type: "string" } },
+            { name: "company", in: "query", schema: { type: "string" } },
+            {
+              name: "q",
+              in: "query",
+              description: "Free-text search over name, role, title, company, email and domain.",
+              schema: { type: "string" },
+            },
+          ],
+          responses: {
+            200: { description: "The export file as an attachment." },
+            400: errorResponse("Invalid export options."),
+            404: errorResponse("Job not found."),
+            ...authErrors,
+          },
+        },
+      },
+    },
+  };
+}
@@ -0,0 +1,209 @@
+import { hostFromUrl, registrableDomain } from "@/lib/domains";
+import { dataPath, readJsonFile, updateJsonFile } from "@/lib/fileStore";
+import { PATTERN_IDS } from "@/lib/patterns";
+
+export const PATTERN_TTL_DAYS_DEFAULT = 90;
+
+export const PATTERN_ORIGINS = ["discovered", "manual", "imported"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function knowledgeFile() {
+  return dataPath("patterns.json");
+}
+
+export function patternTtlDays(env = process.env) {
+  const days = Number(env.PATTERN_TTL_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : PATTERN_TTL_DAYS_DEFAULT;
+}
+
+export function knowledgeKey(input) {
+  const host = hostFromUrl(String(input || ""));
+  return host ? registrableDomain(host) || host : null;
+}
+
+export function isPatternFresh(entry, now = Date.now()) {
+  if (!entry) return false;
+  return entry.locked || new Date(entry.expiresAt).getTime() > now;
+}
+
+export async function listKnownPatterns() {
+  const entries = await readJsonFile(knowledgeFile(), {});
+  return Object.values(entries).sort((a, b) => a.domain.localeCompare(b.domain));
+}
+
+export async function lookupPattern(domain) {
+  const key = knowledgeKey(domain);
+  if (!key) return null;
+  const entries = await readJsonFile(knowledgeFile(), {});
+  return entries[key] || null;
+}
+
+export async function recordDiscoveredPattern(domain, discovery, now = new Date()) {
+  const key = knowledgeKey(domain);
+  if (!key || !PATTERN_IDS.includes(discovery?.pattern)) return null;
+
+  let saved = null;
+  await updateJsonFile(
+    knowledgeFile(),
+    (entries) => {
+      const existing = entries[key];
+      // Locked entries are what a person said; a crawl never overrules them.
+      if (existing?.locked) {
+        saved = existing;
+        return entries;
+      }
+
+      saved = buildEntry(key, {
+        ...discovery,
+        origin: "discovered",
+        firstSeenAt: existing?.firstSeenAt,
+        ttlDays: existing?.ttlDays,
+        note: existing?.note,
+      }, now);
+      return { ...entries, [key]: saved };
+    },
+    {}
+  );
+  return saved;
+}
+
+export async function updateKnownPattern(domain, patch = {}, now = new Date()) {
+  const key = knowledgeKey(domain);
+  if (!key) {
+    return { error: "Enter a valid domain.", status: 400 };
+  }
+  if (patch.pattern !== undefined && !PATTERN_IDS.includes(patch.pattern)) {
+    return { error: `Unknown pattern "${patch.pattern}".`, status: 400 };
+  }
+
+  let outcome = null;
+  await updateJsonFile(
+    knowledgeFile(),
+    (entries) => {
+      const existing = entries[key];
+      if (!existing && !patch.pattern) {
+        outcome = { error: "No pattern is recorded for this domain.", status: 404 };
+        return entries;
+      }
+
+      let entry = existing;
+      if (patch.pattern && patch.pattern !== existing?.pattern) {
+        // A correction replaces the crawl evidence, which described another pattern.
+        entry = buildEntry(key, {
+          pattern: patch.pattern,
+          origin: "manual",
+          source: "Set manually",
+          firstSeenAt: existing?.firstSeenAt,
+          ttlDays: existing?.ttlDays,
+          note: existing?.note,
+          locked: existing?.locked,
+        }, now);
+      }
+
+      entry = { ...entry, updatedAt: now.toISOString() };
+      if (patch.note !== undefined) entry.note = String(patch.note || "").trim() || null;
+      if (patch.locked !== undefined) entry.locked = Boolean(patch.locked);
+      if (patch.ttlDays !== undefined) {
+        entry.ttlDays = Number(patch.ttlDays) > 0 ? Number(patch.ttlDays) : null;
+        entry.expiresAt = expiryFor(entry.lastSeenAt, entry.ttlDays);
+      }
+      if (patch.expire) {
+        entry.locked = false;
+        entry.expiresAt = now.toISOString();
+      }
+
+      outcome = { entry };
+      return { ...entries, [key]: entry };
+    },
+    {}
+  );
+  return outcome;
+}
+
+export async function deleteKnownPattern(domain) {
+  const key = knowledgeKey(domain);
+  let removed = false;
+  await updateJsonFile(
+    knowledgeFile(),
+    (entries) => {
+      if (!key || !entries[key]) return entries;
+      removed = true;
+      const next = { ...entries };
+      delete next[key];
+      return next;
+    },
+    {}
+  );
+  return removed;
+}
+
+export async function importKnownPatterns(list, { replace = false } = {}, now = new Date()) {
+  if (!Array.isArray(list)) {
+    return { error: "Expected an array of pattern records.", status: 400 };
+  }
+
+  const imported = {};
+  const rejected = [];
+  for (const [index, item] of list.entries()) {
+    const key = knowledgeKey(item?.domain);
+    if (!key || !PATTERN_IDS.includes(item?.pattern)) {
+      rejected.push({ index, domain: item?.domain ?? null });
+      continue;
+    }
+    const lastSeen = new Date(item.lastSeenAt);
+    imported[key] = {
+      ...buildEntry(
+        key,
+        {
+          ...item,
+          origin: PATTERN_ORIGINS.includes(item.origin) ? item.origin : "imported",
+        },
+        Number.isNaN(lastSeen.getTime()) ? now : lastSeen
+      ),
+      ...(item.expiresAt && !Number.isNaN(new Date(item.expiresAt).getTime())
+        ? { expiresAt: new Date(item.expiresAt).toISOString() }
+        : {}),
+    };
+  }
+
+  await updateJsonFile(
+    knowledgeFile(),
+    (entries) => (replace ? imported : { ...entries, ...imported }),
+    {}
+  );
+  return { imported: Object.keys(imported).length, rejected };
+}
+
+function buildEntry(domain, details, now) {
+  const ttlDays = Number(details.ttlDays) > 0 ? Number(details.ttlDays) : null;
+  const lastSeenAt = now.toISOString();
+  return {
+    domain,
+    pattern: details.pattern,
+    mailDomain: details.mailDomain || domain,
+    origin: details.origin,
+    source: details.source || null,
+    evidence: {
+      technique: details.technique || null,
+      evidenceCount: Number(details.evidenceCount ?? details.evidence?.evidenceCount) || 0,
+      namedCount: Number(details.namedCount ?? details.evidence?.namedCount) || 0,
+      agreement: Number(details.agreement ?? details.evidence?.agreement) || null,
+      candidates: Array.isArray(details.candidates ?? details.evidence?.candidates)
+        ? (details.candidates ?? details.evidence.candidates).slice(0, 5)
+        : [],
+    },
+    locked: Boolean(details.locked),
+    note: details.note || null,
+    ttlDays,
+    firstSeenAt: details.firstSeenAt || lastSeenAt,
+    lastSeenAt,
+    expiresAt: expiryFor(lastSeenAt, ttlDays),
+    updatedAt: lastSeenAt,
+  };
+}
+
+function expiryFor(lastSeenAt, ttlDays) {
+  const days = ttlDays || patternTtlDays();
+  return new Date(new Date(lastSeenAt).getTime() + days * DAY_MS).toISOString();
+}
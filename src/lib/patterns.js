@@ -0,0 +1,261 @@
+const PATTERN_LIBRARY = [
+  { id: "first.last", priority: 5, build: (f, l) => l && `${f}.${l}` },
+  { id: "firstlast", priority: 4, build: (f, l) => l && `${f}${l}` },
+  { id: "flast", priority: 4, build: (f, l) => l && `${f[0]}${l}` },
+  {
+    id: "firstinitial.last",
+    priority: 3,
+    build: (f, l) => l && `${f[0]}.${l}`,
+  },
+  {
+    id: "first.lastinitial",
+    priority: 3,
+    build: (f, l) => l && `${f}.${l[0]}`,
+  },
+  { id: "first_last", priority: 3, build: (f, l) => l && `${f}_${l}` },
+  { id: "last.first", priority: 3, build: (f, l) => l && `${l}.${f}` },
+  { id: "first-last", priority: 2, build: (f, l) => l && `${f}-${l}` },
+  { id: "lastfirst", priority: 2, build: (f, l) => l && `${l}${f}` },
+  { id: "firstl", priority: 2, build: (f, l) => l && `${f}${l[0]}` },
+  { id: "lastf", priority: 2, build: (f, l) => l && `${l}${f[0]}` },
+  { id: "first", priority: 2, build: (f) => f },
+  { id: "f.l", priority: 1, build: (f, l) => l && `${f[0]}.${l[0]}` },
+  { id: "last", priority: 1, build: (f, l) => l || null },
+];
+
+const PATTERNS_BY_ID = new Map(
+  PATTERN_LIBRARY.map((pattern) => [pattern.id, pattern])
+);
+
+export const PATTERN_IDS = PATTERN_LIBRARY.map((pattern) => pattern.id);
+
+export const PATTERN_PRIORITY = Object.fromEntries(
+  PATTERN_LIBRARY.map((pattern) => [pattern.id, pattern.priority])
+);
+
+// Shared inboxes say nothing about how people's addresses are built.
+const ROLE_MAILBOXES = new Set([
+  "admin",
+  "contact",
+  "enquiries",
+  "help",
+  "hello",
+  "hi",
+  "info",
+  "inquiries",
+  "jobs",
+  "careers",
+  "marketing",
+  "media",
+  "noreply",
+  "office",
+  "press",
+  "privacy",
+  "sales",
+  "support",
+  "team",
+  "webmaster",
+]);
+
+// A name-confirmed address is worth several shape-only guesses.
+const NAMED_MATCH_WEIGHT = 3;
+
+const NAME_NEAR_EMAIL_RADIUS = 300;
+
+// Probability held back for common patterns the site never showed.
+const UNSEEN_PATTERN_SHARE = 0.15;
+
+const NAME_WORD_REGEX = /^[A-ZÀ-Ý][a-zà-ÿ'’]+(?:-[A-ZÀ-Ý][a-zà-ÿ'’]+)*$/;
+
+export function sanitizePart(value) {
+  if (!value) return "";
+  return value
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z]/gi, "")
+    .toLowerCase();
+}
+
+export function applyPattern(pattern, first, last) {
+  const definition = PATTERNS_BY_ID.get(pattern);
+  if (!definition || !first) return null;
+
+  return definition.build(first, last || "") || null;
+}
+
+export function inferPattern(localPart, name) {
+  if (!localPart) return null;
+  const base = localPart.toLowerCase().replace(/\d+$/, "");
+  if (!base || ROLE_MAILBOXES.has(base)) return null;
+
+  if (name) {
+    const named = matchPatternToName(base, name);
+    if (named) return named;
+  }
+
+  return inferPatternFromShape(base);
+}
+
+export function matchPatternToName(localPart, { firstName, lastName } = {}) {
+  const first = sanitizePart(firstName);
+  const last = sanitizePart(lastName);
+  if (!first) return null;
+
+  const base = localPart.toLowerCase().replace(/\d+$/, "");
+  const matches = PATTERN_LIBRARY.filter(
+    (pattern) => applyPattern(pattern.id, first, last) === base
+  );
+  if (!matches.length) return null;
+
+  return matches.reduce((best, pattern) =>
+    pattern.priority > best.priority ? pattern : best
+  ).id;
+}
+
+function inferPatternFromShape(localPart) {
+  if (/^[a-z]{2,}\.[a-z]{2,}$/.test(localPart)) return "first.last";
+  if (/^[a-z]\.[a-z]{2,}$/.test(localPart)) return "firstinitial.last";
+  if (/^[a-z]{2,}\.[a-z]$/.test(localPart)) return "first.lastinitial";
+  if (/^[a-z]\.[a-z]$/.test(localPart)) return "f.l";
+  if (/^[a-z]{2,}_[a-z]{2,}$/.test(localPart)) return "first_last";
+  if (/^[a-z]{2,}-[a-z]{2,}$/.test(localPart)) return "first-last";
+  if (/^[a-z]{4,}$/.test(localPart)) return "firstlast";
+  if (/^[a-z]+$/.test(localPart)) return "first";
+  return null;
+}
+
+export function selectPattern(evidence) {
+  return rankPatterns(evidence)[0]?.pattern || null;
+}
+
+export function rankPatterns(evidence) {
+  const candidates = new Map();
+
+  for (const item of evidence) {
+    const { pattern, named } = patternForEvidence(item);
+    if (!pattern) continue;
+
+    const weight = (PATTERN_PRIORITY[pattern] || 1) * (named ? NAMED_MATCH_WEIGHT : 1);
+    const candidate = candidates.get(pattern) || { pattern, score: 0, evidence: 0, named: 0 };
+    candidate.score += weight;
+    candidate.evidence += 1;
+    candidate.named += named ? 1 : 0;
+    candidates.set(pattern, candidate);
+  }
+
+  // Map order breaks ties, so the first pattern seen keeps winning as before.
+  return Array.from(candidates.values()).sort((a, b) => b.score - a.score);
+}
+
+export function rankAddressCandidates(
+  first,
+  last,
+  domain,
+  { observed = [], primary = null, limit = 5 } = {}
+) {
+  const observedTotal = observed.reduce((sum, item) => sum + item.score, 0);
+  const observedShare = observedTotal ? 1 - UNSEEN_PATTERN_SHARE : 0;
+  const priorTotal = PATTERN_LIBRARY.reduce((sum, item) => sum + item.priority, 0);
+
+  const byPattern = new Map();
+  for (const item of observed) {
+    byPattern.set(item.pattern, {
+      pattern: item.pattern,
+      weight: (observedShare * item.score) / observedTotal,
+      evidence: `${item.evidence} address${item.evidence === 1 ? "" : "es"} on the site${
+        item.named ? `, ${item.named} matched to names` : ""
+      }`,
+    });
+  }
+  for (const item of PATTERN_LIBRARY) {
+    const prior = ((1 - observedShare) * item.priority) / priorTotal;
+    const existing = byPattern.get(item.id);
+    if (existing) {
+      existing.weight += prior;
+    } else {
+      byPattern.set(item.id, {
+        pattern: item.id,
+        weight: prior,
+        evidence: observedTotal
+          ? "Common pattern not seen on the site"
+          : "Common pattern; no addresses found on the site",
+      });
+    }
+  }
+
+  // Patterns that collapse to the same address (e.g. no last name) are merged.
+  const byEmail = new Map();
+  for (const candidate of byPattern.values()) {
+    const local = applyPattern(candidate.pattern, first, last);
+    if (!local) continue;
+    const email = `${local}@${domain}`;
+    const existing = byEmail.get(email);
+    if (existing) {
+      existing.weight += candidate.weight;
+    } else {
+      byEmail.set(email, { email, ...candidate });
+    }
+  }
+
+  const ranked = Array.from(byEmail.values()).sort((a, b) => b.weight - a.weight);
+  const primaryLocal = primary ? applyPattern(primary, first, last) : null;
+  const primaryIndex = ranked.findIndex((item) => item.email === `${primaryLocal}@${domain}`);
+  if (primaryIndex > 0) {
+    ranked.unshift(...ranked.splice(primaryIndex, 1));
+  }
+  if (primaryIndex !== -1) {
+    ranked[0].pattern = primary;
+  }
+
+  const total = ranked.reduce((sum, item) => sum + item.weight, 0) || 1;
+  return ranked.slice(0, limit).map(({ weight, ...item }) => ({
+    ...item,
+    probability: Math.round((weight / total) * 100) / 100,
+  }));
+}
+
+export function patternForEvidence(item) {
+  const email = typeof item === "string" ? item : item.email;
+  const [local] = email.split("@");
+  const named = item.name ? matchPatternToName(local, item.name) : null;
+  return { pattern: named || inferPattern(local), named: Boolean(named) };
+}
+
+export function findNamedAddresses(html, emails) {
+  const lowerHtml = html.toLowerCase();
+
+  return emails.map((email) => {
+    const [local] = email.split("@");
+    let position = lowerHtml.indexOf(email);
+
+    while (position >= 0) {
+      const name = findNameNear(html, position, email.length, local);
+      if (name) return { email, name };
+      position = lowerHtml.indexOf(email, position + email.length);
+    }
+
+    return { email, name: null };
+  });
+}
+
+function findNameNear(html, position, length, local) {
+  const start = Math.max(0, position - NAME_NEAR_EMAIL_RADIUS);
+  const end = Math.min(html.length, position + length + NAME_NEAR_EMAIL_RADIUS);
+  const text = html
+    .slice(start, end)
+    .replace(/<[^>]*>/g, " ")
+    .replace(/&nbsp;/gi, " ")
+    .replace(/[^\p{L}'’-]+/gu, " ");
+
+  const words = text.split(" ").filter((word) => NAME_WORD_REGEX.test(word));
+
+  // Try adjacent capitalised words, then pairs with a middle name between them.
+  for (const gap of [1, 2]) {
+    for (let index = 0; index + gap < words.length; index += 1) {
+      const name = { firstName: words[index], lastName: words[index + gap] };
+      if (matchPatternToName(local, name)) return name;
+    }
+  }
+
+  return null;
+}
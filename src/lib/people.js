@@ -0,0 +1,200 @@
+import { decodeEntities, extractScriptData } from "@/lib/extraction";
+import { classifyTitle } from "@/lib/roles";
+import { loadRoleTaxonomy } from "@/lib/roleTaxonomy";
+
+export const PEOPLE_TECHNIQUES = {
+  "json-ld": "schema.org JSON-LD",
+  microdata: "schema.org microdata",
+  heading: "heading and title",
+  "team-card": "team card",
+  pdf: "PDF document",
+  vcard: "vCard",
+  text: "text file",
+};
+
+const BLOCK_TAGS =
+  "address|article|aside|b|blockquote|br|dd|div|dl|dt|em|figcaption|figure|footer|h[1-6]|header|hr|li|ol|p|section|small|span|strong|table|td|th|tr|ul";
+
+// Words that turn up in capitalised headings next to team cards but never in names.
+const NON_NAME_WORDS = new Set([
+  "about",
+  "advisors",
+  "and",
+  "board",
+  "careers",
+  "clients",
+  "company",
+  "contact",
+  "customer",
+  "customers",
+  "for",
+  "home",
+  "investors",
+  "join",
+  "leadership",
+  "learn",
+  "management",
+  "meet",
+  "more",
+  "news",
+  "office",
+  "our",
+  "partners",
+  "people",
+  "products",
+  "read",
+  "service",
+  "services",
+  "solutions",
+  "support",
+  "team",
+  "the",
+  "us",
+  "view",
+  "with",
+]);
+
+const NAME_WORD_REGEX = /^(?:\p{Lu}[\p{L}'’.-]*|de|del|der|di|du|da|la|le|van|von|ten|ter)$/u;
+
+const TITLE_SEPARATOR_REGEX = /\s+[,–—|-]\s+|,\s+/;
+
+const MAX_LINE_GAP = 2;
+
+export function describePeopleTechnique(technique) {
+  return PEOPLE_TECHNIQUES[technique] || technique;
+}
+
+export function extractPeople(html, { taxonomy = loadRoleTaxonomy() } = {}) {
+  if (!html) return [];
+  const people = new Map();
+
+  const record = (name, title, technique) => {
+    const cleanName = cleanText(name);
+    const cleanTitle = cleanText(title);
+    if (!looksLikeName(cleanName, taxonomy) || !isJobTitle(cleanTitle, taxonomy)) return;
+
+    const key = cleanName.toLowerCase();
+    if (!people.has(key)) {
+      people.set(key, { name: cleanName, title: cleanTitle, technique });
+    }
+  };
+
+  // Structured markup is the most reliable, so it is read first and wins on duplicates.
+  for (const { value, technique } of extractScriptData(html)) {
+    if (technique === "json-ld") {
+      walkPersons(value, (person) => record(person.name, person.title, "json-ld"));
+    }
+  }
+  for (const person of readMicrodata(html)) {
+    record(person.name, person.title, "microdata");
+  }
+
+  const lines = toLines(html);
+  lines.forEach((line, index) => {
+    const [namePart, ...rest] = line.text.split(TITLE_SEPARATOR_REGEX);
+    if (rest.length && looksLikeName(namePart, taxonomy)) {
+      record(namePart, rest.join(", "), line.heading ? "heading" : "team-card");
+      return;
+    }
+
+    if (!looksLikeName(line.text, taxonomy)) return;
+    const title = lines
+      .slice(index + 1, index + 1 + MAX_LINE_GAP)
+      .find((next) => isJobTitle(next.text, taxonomy));
+    if (title) {
+      record(line.text, title.text, line.heading ? "heading" : "team-card");
+    }
+  });
+
+  return Array.from(people.values());
+}
+
+function walkPersons(value, onPerson, depth = 0) {
+  if (depth > 40 || !value || typeof value !== "object") return;
+
+  if (Array.isArray(value)) {
+    value.forEach((item) => walkPersons(item, onPerson, depth + 1));
+    return;
+  }
+
+  const types = [].concat(value["@type"] || []);
+  if (types.includes("Person")) {
+    const name =
+      typeof value.name === "string"
+        ? value.name
+        : [value.givenName, value.familyName].filter(Boolean).join(" ");
+    const title = [].concat(value.jobTitle || value.roleName || [])[0];
+    if (name && typeof title === "string") {
+      onPerson({ name, title });
+    }
+  }
+
+  Object.values(value).forEach((item) => walkPersons(item, onPerson, depth + 1));
+}
+
+function readMicrodata(html) {
+  const people = [];
+  const starts = Array.from(
+    html.matchAll(/itemtype\s*=\s*["']https?:\/\/schema\.org\/Person["']/gi),
+    (match) => match.index
+  );
+
+  starts.forEach((start, position) => {
+    const end = starts[position + 1] ?? start + 3000;
+    const block = html.slice(start, end);
+    const name = readItemProp(block, "name");
+    const title = readItemProp(block, "jobTitle");
+    if (name && title) people.push({ name, title });
+  });
+
+  return people;
+}
+
+function readItemProp(block, prop) {
+  const withContent = block.match(
+    new RegExp(`itemprop\\s*=\\s*["']${prop}["'][^>]*\\scontent\\s*=\\s*["']([^"']+)["']`, "i")
+  );
+  if (withContent) return withContent[1];
+
+  const element = block.match(
+    new RegExp(`<(\\w+)[^>]*itemprop\\s*=\\s*["']${prop}["'][^>]*>([\\s\\S]*?)<\\/\\1>`, "i")
+  );
+  return element ? element[2].replace(/<[^>]+>/g, " ") : null;
+}
+
+function toLines(html) {
+  const marked = html
+    .replace(/<(script|style|noscript|svg)\b[\s\S]*?<\/\1>/gi, " ")
+    .replace(/<!--[\s\S]*?-->/g, " ")
+    .replace(/<h[1-6]\b[^>]*>/gi, "\n\u0001")
+    .replace(new RegExp(`<\\/?(?:${BLOCK_TAGS})\\b[^>]*>`, "gi"), "\n")
+    .replace(/<[^>]+>/g, " ");
+
+  return decodeEntities(marked)
+    .split("\n")
+    .map((text) => ({
+      heading: text.includes("\u0001"),
+      text: cleanText(text.replace(/\u0001/g, "")),
+    }))
+    .filter((line) => line.text);
+}
+
+function cleanText(value) {
+  return decodeEntities(String(value || ""))
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function looksLikeName(text, taxonomy) {
+  if (!text || text.length > 48) return false;
+  const words = text.replace(/,.*$/, "").split(" ");
+  if (words.length < 2 || words.length > 4) return false;
+  if (!words.every((word) => NAME_WORD_REGEX.test(word))) return false;
+  if (words.some((word) => NON_NAME_WORDS.has(word.toLowerCase()))) return false;
+  return classifyTitle(text, taxonomy).roles.length === 0;
+}
+
+function isJobTitle(text, taxonomy) {
+  if (!text || text.length > 90 || text.split(" ").length > 10) return false;
+  return classifyTitle(text, taxonomy).roles.length > 0;
+}
@@ -0,0 +1,890 @@
+import {
+  createKeyedLimiter,
+  createLimiter,
+  mapWithConcurrency,
+} from "@/lib/concurrency";
+import { resolveThresholds, scoreConfidence } from "@/lib/confidence";
+import { crawlSite } from "@/lib/crawler";
+import { collectDiagnostics, createDiagnostic } from "@/lib/diagnostics";
+import { documentKind, readDocument } from "@/lib/documents";
+import {
+  hostFromUrl,
+  isRelatedDomain,
+  registrableDomain,
+  resolveEmailDomain,
+} from "@/lib/domains";
+import { linkedinProfileUrl, resolvePeople } from "@/lib/entities";
+import { describeTechnique, extractEmails } from "@/lib/extraction";
+import { parseNameTokens, parsePersonName, slugToTokens } from "@/lib/names";
+import {
+  isPatternFresh,
+  lookupPattern,
+  recordDiscoveredPattern,
+} from "@/lib/patternStore";
+import {
+  applyPattern,
+  findNamedAddresses,
+  patternForEvidence,
+  rankAddressCandidates,
+  rankPatterns,
+  sanitizePart,
+} from "@/lib/patterns";
+import { describePeopleTechnique, extractPeople } from "@/lib/people";
+import { resultKey } from "@/lib/results";
+import { classifyTitle, describeRoles, matchRoleTokens, matchesRoleFilter } from "@/lib/roles";
+import { loadRoleTaxonomy } from "@/lib/roleTaxonomy";
+import { clampSetting } from "@/lib/settings";
+import { linkedinKey, loadSuppressions } from "@/lib/suppression";
+import {
+  createMxLookup,
+  createMxResolver,
+  createVerifier,
+  verifierSettingsFromEnv,
+} from "@/lib/verification";
+
+const FREE_PROVIDERS = new Set([
+  "gmail.com",
+  "yahoo.com",
+  "outlook.com",
+  "hotmail.com",
+  "icloud.com",
+  "aol.com",
+  "protonmail.com",
+  "zoho.com",
+  "yandex.com",
+  "gmx.com",
+  "mail.com",
+]);
+
+const PAGE_ACCEPT = "text/html,application/xhtml+xml";
+
+const DOCUMENT_ACCEPT = "application/pdf,text/vcard,text/x-vcard,text/plain;q=0.9,*/*;q=0.5";
+
+const FALLBACK_PATTERNS = ["first.last", "first", "firstlast", "firstinitial.last", "first.lastinitial"];
+
+export function validateRoleFilter({ targetRoles, minSeniority }) {
+  if (targetRoles !== undefined && !Array.isArray(targetRoles)) {
+    return "targetRoles must be an array of role labels or departments.";
+  }
+  if (minSeniority && !loadRoleTaxonomy().seniority.has(minSeniority)) {
+    const levels = loadRoleTaxonomy().seniorityLevels.map((level) => level.id);
+    return `minSeniority must be one of: ${levels.join(", ")}.`;
+  }
+  return null;
+}
+
+export async function processEntries(
+  entries,
+  { signal, onEvent, completed, onCompanyDone, ...options } = {}
+) {
+  const emit = onEvent || (() => {});
+  const crawl = {
+    ...createCrawlContext(options, signal),
+    suppressions: await loadSuppressions(),
+  };
+  const seen = new Set();
+  const emitUnique = (event) => {
+    if (event.type === "contact") {
+      const signature = resultKey(event.result);
+      if (seen.has(signature)) return;
+      seen.add(signature);
+    }
+    emit(event);
+  };
+
+  // Companies finished by an earlier run of the same job are replayed, not re-crawled.
+  const restored = [];
+  const pending = [];
+  entries.forEach((entry, index) => {
+    const record = completed?.get(index);
+    if (record) {
+      restored.push(record);
+    } else {
+      pending.push({ entry, index });
+    }
+  });
+
+  let suppressedLater = 0;
+  for (const [position, record] of restored.entries()) {
+    // Suppressions added since the earlier run apply to its stored rows as well.
+    const results = record.results.filter(
+      (result) => !crawl.suppressions.matchResult(result)
+    );
+    suppressedLater += record.results.length - results.length;
+    restored[position] = { ...record, results };
+
+    emitUnique({
+      type: "company-restored",
+      index: record.index,
+      company: record.report.company,
+      contacts: results.length,
+    });
+    results.forEach((result) =>
+      emitUnique({ type: "contact", index: record.index, result })
+    );
+  }
+
+  const batches = await mapWithConcurrency(
+    pending,
+    crawl.settings.concurrency,
+    async ({ entry, index }) => {
+      const batch = await processEntry(entry, index, crawl, emitUnique);
+      // An aborted company may be incomplete, so it is left for the next run.
+      if (!signal?.aborted) {
+        await onCompanyDone?.({ index, ...batch });
+      }
+      return { index, ...batch };
+    },
+    { signal }
+  );
+
+  await crawl.snapshot?.flush();
+
+  const processed = [...restored, ...batches.filter(Boolean)].sort(
+    (a, b) => a.index - b.index
+  );
+  const { results, merges } = resolvePeople(processed);
+  return {
+    results,
+    merges,
+    companies: processed.map((batch) => batch.report),
+    diagnostics: collectDiagnostics(processed.map((batch) => batch.report)),
+    suppressed: {
+      contacts:
+        suppressedLater +
+        processed.reduce((sum, batch) => sum + (batch.report.suppressed || 0), 0),
+      companies: processed.filter((batch) => batch.report.suppressedCompany).length,
+    },
+  };
+}
+
+async function processEntry(entry, index, crawl, emit) {
+  const results = [];
+  const report = {
+    index,
+    company: "",
+    website: null,
+    domain: null,
+    domainReason: null,
+    pattern: null,
+    visited: [],
+    suppressed: 0,
+    diagnostics: [],
+  };
+  const company = (entry?.company || "").trim();
+  const website = (entry?.website || "").trim();
+  const linkedinProfiles = Array.isArray(entry?.linkedinProfiles)
+    ? entry.linkedinProfiles.filter(Boolean)
+    : [];
+  report.company = company;
+  const diagnose = (code, detail) => {
+    const diagnostic = createDiagnostic(code, { index, company, ...detail });
+    report.diagnostics.push(diagnostic);
+    emit({ type: "diagnostic", index, diagnostic });
+    return diagnostic;
+  };
+
+  const siteHost = hostFromUrl(website);
+  report.website = siteHost;
+  if (!siteHost || FREE_PROVIDERS.has(registrableDomain(siteHost))) {
+    const diagnostic = siteHost
+      ? diagnose("free-email-provider", { subject: siteHost })
+      : diagnose("invalid-website", { subject: website });
+    emit({
+      type: "company-skipped",
+      index,
+      company,
+      reason: diagnostic.message,
+    });
+    return { results, report };
+  }
+  if (crawl.suppressions.matchDomain(siteHost)) {
+    diagnose("suppressed-company", { subject: siteHost });
+    return skipSuppressedCompany(index, company, report, emit);
+  }
+  // Exports link to the site the row came from, as it was entered.
+  const siteUrl = new URL(/^https?:\/\//i.test(website) ? website : `https://${website}`).origin;
+
+  emit({
+    type: "company-started",
+    index,
+    company,
+    domain: siteHost,
+    steps: crawl.settings.pageBudget + crawl.settings.documentBudget,
+  });
+
+  // Crawl where the site actually lives so a rebrand redirect does not strand the
+  // crawler; the homepage is cached, so the crawl itself does not fetch it again.
+  const landing = await fetchPage(crawl, `https://${siteHost}/`);
+  const crawlHost = (landing && hostFromUrl(landing.url)) || siteHost;
+
+  const patternDiscovery = await discoverPattern(crawlHost, {
+    context: crawl,
+    onFetch: (url, ok) => emit({ type: "url-fetched", index, url, ok }),
+    siteDomains: [registrableDomain(siteHost), registrableDomain(crawlHost)].filter(Boolean),
+  });
+  if (crawl.signal?.aborted) return { results, report };
+
+  const resolution = await resolveEmailDomain({
+    siteHost,
+    finalHost: crawlHost,
+    scraped: patternDiscovery.domains,
+    known: patternDiscovery.knownDomain,
+    lookupMx: crawl.lookupMx,
+  });
+  const domain = resolution.domain;
+  report.domain = domain;
+  report.domainReason = { reason: resolution.reason, detail: resolution.detail };
+  if (crawl.suppressions.matchDomain(domain)) {
+    diagnose("suppressed-company", { subject: domain });
+    return skipSuppressedCompany(index, company, report, emit);
+  }
+  // Usually cached from resolving the domain; null when DNS could not answer either way.
+  const mx = await crawl.lookupMx(domain).catch(() => null);
+  emit({
+    type: "domain-resolved",
+    index,
+    domain,
+    reason: resolution.reason,
+    detail: resolution.detail,
+    candidates: resolution.candidates,
+  });
+
+  if (patternDiscovery.pattern) {
+    emit({
+      type: "pattern-found",
+      index,
+      pattern: patternDiscovery.pattern,
+      method: patternDiscovery.method,
+      source: patternDiscovery.source,
+      technique: patternDiscovery.technique,
+      cached: patternDiscovery.cached,
+      stale: patternDiscovery.stale,
+    });
+  }
+
+  report.pattern = patternDiscovery.pattern;
+  report.visited = patternDiscovery.visited || [];
+
+  // A suppressed profile also hides the same person when the site lists them.
+  const suppressedNames = new Set(
+    linkedinProfiles
+      .filter((profile) => crawl.suppressions.matchProfile(profile))
+      .flatMap((profile) => extractContactFromLinkedIn(profile, company, crawl.taxonomy))
+      .map(contactKey)
+  );
+  report.suppressed += suppressedNames.size;
+  const profileContacts = linkedinProfiles
+    .filter((profile) => !crawl.suppressions.matchProfile(profile))
+    .flatMap((profile) => {
+      const found = extractContactFromLinkedIn(profile, company, crawl.taxonomy);
+      if (found.length === 0) {
+        diagnose("linkedin-no-name", { subject: profile });
+      }
+      return found;
+    });
+  const found = mergeContacts([
+    ...profileContacts,
+    ...(patternDiscovery.people || []).flatMap((person) =>
+      contactFromPerson(person, company, crawl.taxonomy)
+    ),
+  ]).filter((contact) => !suppressedNames.has(contactKey(contact)));
+  if (found.length === 0 && suppressedNames.size === 0) {
+    diagnose("no-contacts", { subject: crawlHost, unreachable: !landing });
+  }
+  const contacts = found.filter((contact) =>
+    matchesRoleFilter(contact, crawl.roleFilter, crawl.taxonomy)
+  );
+  if (contacts.length < found.length) {
+    diagnose("role-filtered", { count: found.length - contacts.length });
+  }
+  report.people = patternDiscovery.people?.length || 0;
+
+  for (const contact of contacts) {
+    const emailPattern =
+      patternDiscovery.pattern || chooseFallbackPattern(contact);
+    const email = emailPattern ? buildEmail(contact, domain, emailPattern) : null;
+    if (!email) {
+      diagnose("pattern-not-applicable", {
+        subject: contact.fullName,
+        pattern: emailPattern,
+      });
+      continue;
+    }
+
+    const candidates = rankAddressCandidates(
+      sanitizePart(contact.firstName),
+      sanitizePart(contact.lastName),
+      domain,
+      {
+        observed: patternDiscovery.candidates,
+        primary: emailPattern,
+        limit: crawl.settings.alternates + 1,
+      }
+    );
+    if (crawl.suppressions.matchResult({ email, candidates })) {
+      report.suppressed += 1;
+      continue;
+    }
+
+    const verification = crawl.verifier
+      ? await crawl.limitHost(`smtp:${domain}`, () =>
+          crawl.verifier.verifyEmail(email)
+        )
+      : null;
+
+    const confidence = scoreConfidence(
+      {
+        discovery: patternDiscovery,
+        pattern: emailPattern,
+        contact,
+        domain,
+        mx,
+        verification,
+      },
+      { thresholds: crawl.thresholds }
+    );
+
+    const patternSource = patternDiscovery.technique
+      ? `${patternDiscovery.source} (${describeTechnique(patternDiscovery.technique)})`
+      : patternDiscovery.source;
+    // A vCard can name the person and show the pattern; it is cited once.
+    const combinedSource = Array.from(new Set([contact.source, patternSource].filter(Boolean)))
+      .join(" | ");
+
+    const result = {
+      name: contact.fullName,
+      firstName: contact.firstName,
+      middleName: contact.middleNames.join(" ") || null,
+      lastName: contact.lastName,
+      role: contact.role,
+      title: contact.title || null,
+      department: contact.department,
+      seniority: contact.seniority,
+      company: company || contact.company || "Unknown company",
+      email,
+      domain,
+      domainReason: resolution.reason,
+      website: siteUrl,
+      candidates,
+      confidence: confidence.level,
+      confidenceScore: confidence.score,
+      confidenceBreakdown: confidence.breakdown,
+      source: combinedSource,
+      linkedin: contact.profile ? linkedinProfileUrl(contact.profile) : null,
+    };
+
+    if (verification) {
+      result.verification = verification.status;
+      result.verificationDetail = verification.detail || null;
+    }
+
+    results.push(result);
+    emit({ type: "contact", index, result });
+  }
+  if (report.suppressed > 0) {
+    diagnose("suppressed-contact", { count: report.suppressed });
+  }
+
+  emit({
+    type: "company-done",
+    index,
+    contacts: contacts.length,
+    suppressed: report.suppressed,
+    visited: report.visited,
+  });
+  return { results, report };
+}
+
+function skipSuppressedCompany(index, company, report, emit) {
+  report.suppressedCompany = true;
+  emit({
+    type: "company-skipped",
+    index,
+    company,
+    reason: "Company is on the suppression list.",
+  });
+  return { results: [], report };
+}
+
+function createCrawlContext(options = {}, signal) {
+  const settings = {
+    concurrency: clampSetting(options.concurrency, "concurrency"),
+    perHostConcurrency: clampSetting(
+      options.perHostConcurrency,
+      "perHostConcurrency"
+    ),
+    pageBudget: clampSetting(options.pageBudget, "pageBudget"),
+    maxDepth: clampSetting(options.maxDepth, "maxDepth"),
+    alternates: clampSetting(options.alternates, "alternates"),
+    fetchTimeoutMs: clampSetting(options.fetchTimeoutMs, "fetchTimeoutMs"),
+    documentBudget: clampSetting(options.documentBudget, "documentBudget"),
+    documentMaxBytes: clampSetting(options.documentMaxBytes, "documentMaxBytes"),
+  };
+
+  const verifierSettings = verifierSettingsFromEnv();
+  const snapshot = options.snapshot || null;
+  const resolveMx = createMxResolver(verifierSettings);
+  const lookupMx = createMxLookup({
+    ...verifierSettings,
+    resolveMx: snapshot
+      ? (domain) => snapshot.resolveMx(domain, () => resolveMx(domain))
+      : resolveMx,
+  });
+
+  return {
+    settings,
+    signal,
+    pages: new Map(),
+    documents: new Map(),
+    patterns: new Map(),
+    limitGlobal: createLimiter(settings.concurrency),
+    limitHost: createKeyedLimiter(settings.perHostConcurrency),
+    thresholds: resolveThresholds(options.confidenceThresholds),
+    taxonomy: loadRoleTaxonomy(),
+    roleFilter: {
+      targetRoles: options.targetRoles,
+      minSeniority: options.minSeniority,
+    },
+    lookupMx,
+    snapshot,
+    // Mailbox probes talk to live mail servers, which a replay must not do.
+    verifier: options.verify && snapshot?.mode !== "replay"
+      ? createVerifier({ ...verifierSettings, lookupMx })
+      : null,
+  };
+}
+
+function fetchPage(crawl, url) {
+  if (!crawl.pages.has(url)) {
+    const host = new URL(url).hostname;
+    crawl.pages.set(
+      url,
+      crawl.limitHost(host, () =>
+        crawl.limitGlobal(async () => {
+          const load = () => fetchResource(url, crawl.signal, crawl.settings.fetchTimeoutMs);
+          const page = crawl.snapshot
+            ? await crawl.snapshot.fetchPage(url, load)
+            : await load();
+          return page?.ok ? { text: page.body, url: page.finalUrl } : null;
+        })
+      )
+    );
+  }
+  return crawl.pages.get(url);
+}
+
+function fetchDocument(crawl, url) {
+  if (!crawl.documents.has(url)) {
+    const host = new URL(url).hostname;
+    crawl.documents.set(
+      url,
+      crawl.limitHost(host, () =>
+        crawl.limitGlobal(async () => {
+          const load = () =>
+            fetchResource(url, crawl.signal, crawl.settings.fetchTimeoutMs, {
+              accept: DOCUMENT_ACCEPT,
+              maxBytes: crawl.settings.documentMaxBytes,
+            });
+          const record = crawl.snapshot
+            ? await crawl.snapshot.fetchPage(url, load)
+            : await load();
+          const kind = record?.ok
+            ? documentKind(record.finalUrl, record.headers["content-type"])
+            : null;
+          return kind ? readDocument(kind, Buffer.from(record.body, "base64")) : null;
+        })
+      )
+    );
+  }
+  return crawl.documents.get(url);
+}
+
+export async function discoverPattern(domain, { context, onFetch, siteDomains } = {}) {
+  const crawl = context || createCrawlContext();
+
+  if (crawl.patterns.has(domain)) {
+    const cached = await crawl.patterns.get(domain);
+    return { ...cached, cached: true };
+  }
+
+  const pending = crawlForPattern(
+    domain,
+    crawl,
+    onFetch,
+    siteDomains?.length ? siteDomains : [registrableDomain(domain) || domain]
+  );
+  crawl.patterns.set(domain, pending);
+  return pending;
+}
+
+async function crawlForPattern(domain, crawl, onFetch, siteDomains) {
+  const { entry: known, fresh } = await lookupKnownPattern(domain, crawl);
+  const people = new Map();
+  const addPeople = (found, url) => {
+    for (const person of found) {
+      const key = person.name.toLowerCase();
+      if (!people.has(key)) people.set(key, { ...person, url });
+    }
+  };
+  const { hit, visited } = await crawlSite(domain, {
+    pageBudget: crawl.settings.pageBudget,
+    maxDepth: crawl.settings.maxDepth,
+    documentBudget: crawl.settings.documentBudget,
+    batchSize: crawl.settings.perHostConcurrency,
+    signal: crawl.signal,
+    fetchText: async (url) => {
+      const page = await fetchPage(crawl, url);
+      onFetch?.(url, Boolean(page));
+      return page?.text || null;
+    },
+    onPage: (url, html) => {
+      addPeople(extractPeople(html, { taxonomy: crawl.taxonomy }), url);
+      return findPatternOnPage(html, siteDomains);
+    },
+    fetchDocument: async (url) => {
+      const file = await fetchDocument(crawl, url);
+      onFetch?.(url, Boolean(file));
+      return file;
+    },
+    // A document's addresses count as evidence just like a page's, and the document
+    // itself is cited when it decides the pattern.
+    onDocument: (url, file) => {
+      const found = file.people || extractPeople(file.text, { taxonomy: crawl.taxonomy });
+      addPeople(
+        found.map((person) => ({ ...person, technique: file.kind })),
+        url
+      );
+      return findPatternOnPage(file.text, siteDomains, file.emails);
+    },
+    // Keep reading team and about pages until someone turns up, even after a pattern hit.
+    // A pattern already in the knowledge base means only people are still needed.
+    isComplete: (found) => (fresh || Boolean(found)) && people.size > 0,
+  });
+
+  if (fresh) {
+    return {
+      ...knownDiscovery(known),
+      domains: hit?.result.domains,
+      visited,
+      people: Array.from(people.values()),
+    };
+  }
+
+  if (hit) {
+    if (!crawl.signal?.aborted && crawl.snapshot?.mode !== "replay") {
+      await recordDiscoveredPattern(domain, {
+        ...hit.result,
+        mailDomain: topDomain(hit.result.domains),
+        source: hit.url,
+      });
+    }
+    return {
+      ...hit.result,
+      method: "scraped",
+      source: hit.url,
+      visited,
+      people: Array.from(people.values()),
+    };
+  }
+
+  // An expired entry is stale, but still better evidence than a keyword guess.
+  if (known) {
+    return {
+      ...knownDiscovery(known),
+      stale: true,
+      visited,
+      people: Array.from(people.values()),
+    };
+  }
+
+  // As a fallback, try to guess pattern based on domain heuristics.
+  const heuristicPattern = guessPatternFromDomain(domain);
+  if (heuristicPattern) {
+    return {
+      pattern: heuristicPattern,
+      method: "heuristic",
+      source: `https://${domain}`,
+      visited,
+      people: Array.from(people.values()),
+    };
+  }
+
+  return {
+    pattern: null,
+    method: "none",
+    source: `https://${domain}`,
+    visited,
+    people: Array.from(people.values()),
+  };
+}
+
+async function lookupKnownPattern(domain, crawl) {
+  const load = async () => {
+    const entry = await lookupPattern(domain);
+    return { entry, fresh: isPatternFresh(entry) };
+  };
+  return crawl.snapshot ? crawl.snapshot.lookupPattern(domain, load) : load();
+}
+
+function knownDiscovery(entry) {
+  return {
+    pattern: entry.pattern,
+    method: entry.origin === "manual" ? "override" : "knowledge-base",
+    source:
+      entry.origin === "manual"
+        ? `Pattern set for ${entry.domain}`
+        : `Knowledge base (${entry.source || entry.domain})`,
+    technique: entry.evidence?.technique || undefined,
+    evidenceCount: entry.evidence?.evidenceCount,
+    namedCount: entry.evidence?.namedCount,
+    agreement: entry.evidence?.agreement ?? undefined,
+    candidates: entry.evidence?.candidates || [],
+    knownDomain: entry.mailDomain,
+    lastSeenAt: entry.lastSeenAt,
+    locked: entry.locked,
+  };
+}
+
+function topDomain(domains) {
+  return Object.entries(domains || {}).sort((a, b) => b[1] - a[1])[0]?.[0];
+}
+
+function findPatternOnPage(html, siteDomains, emails = extractEmails(html)) {
+  const related = emails.filter((item) =>
+    isRelatedDomain(item.email.split("@")[1], siteDomains)
+  );
+  if (!related.length) return null;
+
+  // Addresses can span several domains (site on acme.io, mail on acme.com); the
+  // pattern comes from the one with the most addresses.
+  const domains = {};
+  for (const item of related) {
+    const emailDomain = item.email.split("@")[1];
+    domains[emailDomain] = (domains[emailDomain] || 0) + 1;
+  }
+  const [mailDomain] = Object.entries(domains).sort((a, b) => b[1] - a[1])[0];
+  const found = related.filter((item) => item.email.endsWith(`@${mailDomain}`));
+
+  const nearbyNames = findNamedAddresses(
+    html,
+    found.map((item) => item.email)
+  );
+  const evidence = found.map((item, index) => ({
+    ...item,
+    name: item.name || nearbyNames[index].name,
+  }));
+
+  const ranked = rankPatterns(evidence);
+  if (!ranked.length) return null;
+
+  const [best] = ranked;
+  const totalScore = ranked.reduce((sum, candidate) => sum + candidate.score, 0);
+  const supporting = evidence.find(
+    (item) => patternForEvidence(item).pattern === best.pattern
+  );
+
+  return {
+    pattern: best.pattern,
+    technique: supporting?.technique || "plain",
+    evidenceCount: best.evidence,
+    namedCount: best.named,
+    agreement: totalScore ? best.score / totalScore : 1,
+    candidates: ranked,
+    domains,
+  };
+}
+
+// Every answer is kept, failures included, so a snapshot shows why a page was not read.
+// Documents come back base64-encoded and are cut off at maxBytes.
+async function fetchResource(
+  url,
+  signal,
+  timeoutMs,
+  { accept = PAGE_ACCEPT, maxBytes = null } = {}
+) {
+  if (signal?.aborted) return null;
+  const fetchedAt = new Date().toISOString();
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  const abort = () => controller.abort();
+  signal?.addEventListener("abort", abort);
+
+  try {
+    const response = await fetch(url, {
+      method: "GET",
+      headers: {
+        "User-Agent":
+          "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123 Safari/537.36",
+        Accept: accept,
+      },
+      redirect: "follow",
+      signal: controller.signal,
+    });
+
+    let body = null;
+    let error = response.ok ? null : `HTTP ${response.status}`;
+    if (!maxBytes) {
+      body = await response.text();
+    } else if (response.ok) {
+      body = (await readLimited(response, maxBytes))?.toString("base64") ?? null;
+      if (body === null) error = `Larger than ${maxBytes} bytes.`;
+    } else {
+      await response.body?.cancel();
+    }
+
+    return {
+      url,
+      finalUrl: response.url || url,
+      status: response.status,
+      ok: !error,
+      headers: Object.fromEntries(response.headers),
+      body,
+      encoding: maxBytes ? "base64" : "utf8",
+      error,
+      fetchedAt,
+    };
+  } catch (error) {
+    // A page cut short because the run was stopped says nothing about the site.
+    if (signal?.aborted) return null;
+    return {
+      url,
+      finalUrl: url,
+      status: null,
+      ok: false,
+      headers: {},
+      body: null,
+      error: controller.signal.aborted ? "Timed out." : error?.message || "Request failed.",
+      fetchedAt,
+    };
+  } finally {
+    clearTimeout(timeout);
+    signal?.removeEventListener("abort", abort);
+  }
+}
+
+// An oversized file is dropped as soon as it passes the limit rather than held in memory.
+async function readLimited(response, maxBytes) {
+  if (Number(response.headers.get("content-length")) > maxBytes) {
+    await response.body?.cancel();
+    return null;
+  }
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body || []) {
+    size += chunk.length;
+    if (size > maxBytes) return null;
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+function guessPatternFromDomain(domain) {
+  const hints = [
+    { pattern: "first.last", keywords: ["io", "tech", "systems", "labs"] },
+    { pattern: "firstinitial.last", keywords: ["finance", "bank", "capital"] },
+    { pattern: "firstlast", keywords: ["media", "creative", "studio"] },
+  ];
+
+  for (const hint of hints) {
+    if (hint.keywords.some((keyword) => domain.includes(keyword))) {
+      return hint.pattern;
+    }
+  }
+
+  return null;
+}
+
+export function extractContactFromLinkedIn(url, company, taxonomy) {
+  if (!url || typeof url !== "string") return [];
+  const trimmed = url.trim();
+  if (!trimmed) return [];
+
+  // Old /pub/ URLs end in id segments, so the name is read from right after /in/ or /pub/.
+  let slug = linkedinKey(trimmed);
+
+  if (!slug) {
+    try {
+      const link = new URL(trimmed);
+      slug = link.pathname.split("/").filter(Boolean).pop() || trimmed;
+    } catch {
+      slug = trimmed.split("/").filter(Boolean).pop() || trimmed;
+    }
+  }
+
+  const { roles, remaining } = matchRoleTokens(slugToTokens(slug), taxonomy);
+  if (remaining.length === 0) {
+    return [];
+  }
+
+  const name = parseNameTokens(remaining);
+  if (!name.firstName) {
+    return [];
+  }
+
+  return [
+    {
+      ...name,
+      ...describeRoles(roles),
+      company,
+      source: trimmed,
+      profile: trimmed,
+    },
+  ];
+}
+
+function contactFromPerson(person, company, taxonomy) {
+  const name = parsePersonName(person.name);
+  if (!name.firstName) return [];
+
+  const roles = classifyTitle(person.title, taxonomy);
+  if (!roles.roles.length) return [];
+
+  return [
+    {
+      ...name,
+      ...roles,
+      title: person.title,
+      company,
+      source: `${person.url} (${describePeopleTechnique(person.technique)})`,
+    },
+  ];
+}
+
+function contactKey(contact) {
+  return [contact.firstName, contact.lastName].join(" ").toLowerCase();
+}
+
+function mergeContacts(contacts) {
+  const byName = new Map();
+  for (const contact of contacts) {
+    const key = contactKey(contact);
+    const existing = byName.get(key);
+    if (!existing) {
+      byName.set(key, contact);
+    } else if (!existing.roles.length && contact.roles.length) {
+      // A slug without a title keeps its LinkedIn source but takes the site's role.
+      byName.set(key, { ...contact, source: existing.source, profile: existing.profile });
+    }
+  }
+  return Array.from(byName.values());
+}
+
+function chooseFallbackPattern(contact) {
+  if (!contact.lastName) {
+    return "first";
+  }
+  return FALLBACK_PATTERNS[0];
+}
+
+export function buildEmail(contact, domain, pattern) {
+  const first = sanitizePart(contact.firstName);
+  const last = sanitizePart(contact.lastName);
+
+  if (!first) return null;
+
+  const localPart = applyPattern(pattern, first, last);
+  if (!localPart) return null;
+
+  return `${localPart}@${domain}`;
+}
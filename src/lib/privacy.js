@@ -0,0 +1,145 @@
+import { fingerprint, recordAudit } from "@/lib/auditLog";
+import { documentKind, readDocument } from "@/lib/documents";
+import {
+  deleteSnapshot,
+  hasSnapshot,
+  jobSnapshotPath,
+  listJobs,
+  readCompletedCompanies,
+  readJobEntries,
+  rewriteCompanies,
+  writeJobEntries,
+} from "@/lib/jobStore";
+import { readSnapshotLines } from "@/lib/snapshots";
+import { addSuppressions, linkedinKey, normalizeSuppression } from "@/lib/suppression";
+
+export async function forgetPerson({ email, linkedin, suppress = true, actor = null } = {}) {
+  const address = email ? normalizeSuppression("email", email) : null;
+  const profile = linkedin ? linkedinKey(linkedin) : null;
+  if (!address && !profile) {
+    return { error: "Give an email address or a LinkedIn profile URL.", status: 400 };
+  }
+
+  const matchesIdentifier = (result) =>
+    (address &&
+      [result.email, ...(result.candidates || []).map((item) => item.email)].some(
+        (value) => String(value || "").toLowerCase() === address
+      )) ||
+    (profile && profileKeys(result).includes(profile));
+
+  const jobs = await listJobs();
+  const stored = await Promise.all(
+    jobs.map(async (job) => ({
+      job,
+      companies: await readCompletedCompanies(job.id),
+      entries: await readJobEntries(job.id),
+    }))
+  );
+
+  // The same person can turn up under another guessed address in other runs, so
+  // rows sharing a matched row's name and company go too.
+  const people = new Set();
+  for (const { companies } of stored) {
+    for (const record of companies.values()) {
+      for (const result of record.results) {
+        if (matchesIdentifier(result)) people.add(personKey(result));
+      }
+    }
+  }
+  const matches = (result) => matchesIdentifier(result) || people.has(personKey(result));
+
+  let removedResults = 0;
+  let removedProfiles = 0;
+  let touchedJobs = 0;
+  let removedSnapshots = 0;
+  for (const { job, companies, entries } of stored) {
+    let removedHere = 0;
+    const records = Array.from(companies.values()).map((record) => {
+      const kept = record.results.filter((result) => !matches(result));
+      removedHere += record.results.length - kept.length;
+      return { ...record, results: kept };
+    });
+
+    let profilesHere = 0;
+    const keptEntries = entries.map((entry) => {
+      if (!profile || !Array.isArray(entry?.linkedinProfiles)) return entry;
+      const kept = entry.linkedinProfiles.filter((url) => linkedinKey(url) !== profile);
+      profilesHere += entry.linkedinProfiles.length - kept.length;
+      return { ...entry, linkedinProfiles: kept };
+    });
+
+    if (removedHere) await rewriteCompanies(job.id, records);
+    if (profilesHere) await writeJobEntries(job.id, keptEntries);
+    // A snapshot is a faithful copy of the pages as fetched, so it is deleted
+    // rather than edited when the person appears anywhere in it.
+    const needles = [address, profile && `/in/${profile}`, profile && `/pub/${profile}`];
+    if (await snapshotMentions(job.id, needles)) {
+      await deleteSnapshot(job.id);
+      removedSnapshots += 1;
+    }
+    if (removedHere || profilesHere) touchedJobs += 1;
+    removedResults += removedHere;
+    removedProfiles += profilesHere;
+  }
+
+  if (suppress) {
+    await addSuppressions(
+      [
+        address && { type: "email", value: address, reason: "Forget request" },
+        profile && { type: "linkedin", value: profile, reason: "Forget request" },
+      ].filter(Boolean)
+    );
+  }
+
+  const outcome = {
+    jobs: touchedJobs,
+    results: removedResults,
+    profiles: removedProfiles,
+    snapshots: removedSnapshots,
+    suppressed: suppress,
+  };
+  // The log keeps a fingerprint, never the identifier that was forgotten.
+  await recordAudit({
+    action: "forget",
+    actor,
+    subject: fingerprint([address, profile]),
+    ...outcome,
+  });
+  return outcome;
+}
+
+async function snapshotMentions(jobId, needles) {
+  if (!(await hasSnapshot(jobId))) return false;
+  const wanted = needles.filter(Boolean);
+  for await (const raw of await readSnapshotLines(jobSnapshotPath(jobId))) {
+    const text = [raw, documentText(raw)].join("\n").toLowerCase();
+    if (wanted.some((needle) => text.includes(needle))) return true;
+  }
+  return false;
+}
+
+// Linked documents are stored encoded, and PDFs compressed, so they are searched
+// as the crawl read them.
+function documentText(raw) {
+  if (!raw.includes('"encoding":"base64"')) return "";
+  try {
+    const record = JSON.parse(raw);
+    const kind = record.body && documentKind(record.finalUrl, record.headers?.["content-type"]);
+    return kind ? readDocument(kind, Buffer.from(record.body, "base64")).text : "";
+  } catch {
+    return "";
+  }
+}
+
+// Profile URLs come in several shapes (/in/, /pub/, country subdomains), so they
+// are compared by their normalized key.
+function profileKeys(result) {
+  return [result.linkedin, ...String(result.source || "").split(" | ")]
+    .filter((value) => String(value || "").toLowerCase().includes("linkedin.com/"))
+    .map(linkedinKey)
+    .filter(Boolean);
+}
+
+function personKey(result) {
+  return [result.name, result.company].map((value) => String(value || "").toLowerCase()).join("|");
+}
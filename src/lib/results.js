@@ -0,0 +1,5 @@
+// One contact per company and address: the stream, the entity merge and the grid
+// all identify result rows by this key.
+export function resultKey(row) {
+  return `${String(row.company || "").toLowerCase()}|${String(row.email || "").toLowerCase()}`;
+}
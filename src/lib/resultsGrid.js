@@ -0,0 +1,112 @@
+import { parsePersonName } from "@/lib/names";
+import { applyPattern, matchPatternToName, sanitizePart } from "@/lib/patterns";
+import { classifyTitle } from "@/lib/roles";
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const CONFIDENCE_RANK = { high: 3, medium: 2, low: 1 };
+
+export const SORT_COLUMNS = {
+  name: (row) => `${row.lastName || ""} ${row.firstName || ""}`.toLowerCase(),
+  role: (row) => String(row.role || "").toLowerCase(),
+  company: (row) => String(row.company || "").toLowerCase(),
+  email: (row) => String(row.email || "").toLowerCase(),
+  confidence: (row) => row.confidenceScore ?? CONFIDENCE_RANK[row.confidence] ?? 0,
+  verification: (row) => String(row.verification || ""),
+};
+
+export function sortRows(rows, { column, direction = "asc" } = {}) {
+  const accessor = SORT_COLUMNS[column];
+  if (!accessor) return rows;
+  const factor = direction === "desc" ? -1 : 1;
+  // Decorate first so 10k rows do not recompute keys on every comparison.
+  return rows
+    .map((row, index) => ({ row, index, key: accessor(row) }))
+    .sort((a, b) => {
+      if (a.key < b.key) return -factor;
+      if (a.key > b.key) return factor;
+      return a.index - b.index;
+    })
+    .map((item) => item.row);
+}
+
+// A new name rebuilds every address from the pattern it was generated with, so
+// the row stays consistent with the rest of its company.
+export function renameResult(row, value) {
+  const name = parsePersonName(String(value || ""));
+  if (!name.firstName) {
+    return { error: "Enter at least a first name." };
+  }
+
+  const first = sanitizePart(name.firstName);
+  const last = sanitizePart(name.lastName);
+  const [primary, ...alternates] = row.candidates || [];
+  const pattern = primary?.pattern;
+  const localPart = pattern && row.domain ? applyPattern(pattern, first, last) : null;
+  if (pattern && row.domain && !localPart) {
+    return { error: `The ${pattern} pattern needs a last name.` };
+  }
+
+  const rebuild = (candidate) => {
+    const part = applyPattern(candidate.pattern, first, last);
+    return part ? { ...candidate, email: `${part}@${row.domain}` } : null;
+  };
+  const email = localPart ? `${localPart}@${row.domain}` : row.email;
+  return {
+    row: {
+      ...row,
+      name: name.fullName,
+      firstName: name.firstName,
+      middleName: name.middleNames.join(" ") || null,
+      lastName: name.lastName,
+      email,
+      candidates: primary
+        ? [{ ...primary, email }, ...alternates.map(rebuild).filter(Boolean)]
+        : row.candidates,
+      ...clearedVerification(row, email),
+    },
+  };
+}
+
+export function changeResultEmail(row, value) {
+  const email = String(value || "").trim().toLowerCase();
+  if (!EMAIL_REGEX.test(email)) {
+    return { error: `"${value}" is not an email address.` };
+  }
+
+  const [primary, ...alternates] = row.candidates || [];
+  // An address that fits none of the patterns for this name is left without one, so
+  // a later rename keeps it as typed.
+  const pattern = matchPatternToName(email.split("@")[0], row);
+  return {
+    row: {
+      ...row,
+      email,
+      domain: email.split("@")[1],
+      candidates: [
+        { ...primary, email, pattern, evidence: "Edited by hand" },
+        ...alternates.filter((candidate) => candidate.email !== email),
+      ],
+      ...clearedVerification(row, email),
+    },
+  };
+}
+
+export function changeResultRole(row, value, taxonomy) {
+  const role = String(value || "").trim();
+  if (!role) {
+    return { error: "Enter a role." };
+  }
+  // The typed label is kept; department and seniority follow whatever it classifies as.
+  const { roles, department, departments, seniority, seniorityRank } = classifyTitle(
+    role,
+    taxonomy
+  );
+  return { row: { ...row, role, roles, department, departments, seniority, seniorityRank } };
+}
+
+function clearedVerification(row, email) {
+  // A mailbox check only holds for the address that was checked.
+  if (!row.verification || email === row.email) return {};
+  return { verification: undefined, verificationDetail: null };
+}
@@ -0,0 +1,27 @@
+import { readFileSync } from "node:fs";
+import defaultTaxonomy from "@/config/role-taxonomy.json";
+import { compileTaxonomy } from "@/lib/roles";
+
+let cachedTaxonomy = null;
+
+// Kept apart from roles.js so the browser can classify titles without pulling in fs.
+export function loadRoleTaxonomy(path = process.env.ROLE_TAXONOMY_PATH) {
+  return loadCached(path).taxonomy;
+}
+
+// The taxonomy as written, for the browser to compile the same way.
+export function loadRoleTaxonomySource(path = process.env.ROLE_TAXONOMY_PATH) {
+  const { departments = [], seniorityLevels, roles } = loadCached(path).source;
+  return { departments, seniorityLevels, roles };
+}
+
+function loadCached(path) {
+  if (cachedTaxonomy && cachedTaxonomy.path === (path || null)) {
+    return cachedTaxonomy;
+  }
+
+  const source = path ? JSON.parse(readFileSync(path, "utf8")) : defaultTaxonomy;
+  const taxonomy = compileTaxonomy(source);
+  cachedTaxonomy = { path: path || null, source, taxonomy };
+  return cachedTaxonomy;
+}
@@ -0,0 +1,142 @@
+export const DEFAULT_ROLE_LABEL = "Decision Maker";
+
+export function compileTaxonomy(source) {
+  if (!source || !Array.isArray(source.roles) || !Array.isArray(source.seniorityLevels)) {
+    throw new Error("Role taxonomy needs `roles` and `seniorityLevels` arrays.");
+  }
+
+  const seniority = new Map(
+    source.seniorityLevels.map((level) => [level.id, { ...level, rank: Number(level.rank) || 0 }])
+  );
+  const departments = new Map(
+    (source.departments || []).map((department) => [department.id, department])
+  );
+
+  const phrases = [];
+  for (const role of source.roles) {
+    if (!role?.label || !Array.isArray(role.synonyms)) {
+      throw new Error("Every role needs a `label` and a `synonyms` array.");
+    }
+    if (role.seniority && !seniority.has(role.seniority)) {
+      throw new Error(`Role "${role.label}" uses unknown seniority "${role.seniority}".`);
+    }
+
+    const definition = {
+      label: role.label,
+      department: role.department || null,
+      seniority: role.seniority || null,
+      rank: seniority.get(role.seniority)?.rank || 0,
+    };
+    for (const synonym of [role.label, ...role.synonyms]) {
+      const tokens = tokenizeTitle(synonym);
+      if (tokens.length) phrases.push({ tokens, role: definition });
+    }
+  }
+
+  // Longer phrases win, so "head of sales" beats "head" and "sales".
+  phrases.sort((a, b) => b.tokens.length - a.tokens.length);
+
+  return {
+    phrases,
+    seniority,
+    departments,
+    seniorityLevels: Array.from(seniority.values()).sort((a, b) => b.rank - a.rank),
+  };
+}
+
+export function tokenizeTitle(value) {
+  return String(value || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .split(" ")
+    .filter(Boolean);
+}
+
+export function matchRoleTokens(tokens, taxonomy) {
+  const normalized = tokens.map((token) => tokenizeTitle(token).join(""));
+  const roles = [];
+  const remaining = [];
+
+  for (let index = 0; index < tokens.length; ) {
+    const phrase = taxonomy.phrases.find((candidate) =>
+      candidate.tokens.every((token, offset) => normalized[index + offset] === token)
+    );
+    // Multi-word synonyms are also stored glued together (e.g. "headoperations").
+    const glued = phrase
+      ? null
+      : taxonomy.phrases.find(
+          (candidate) => candidate.tokens.length > 1 && candidate.tokens.join("") === normalized[index]
+        );
+
+    const match = phrase || glued;
+    if (match) {
+      if (!roles.includes(match.role)) roles.push(match.role);
+      index += phrase ? phrase.tokens.length : 1;
+    } else {
+      remaining.push(tokens[index]);
+      index += 1;
+    }
+  }
+
+  return { roles, remaining };
+}
+
+export function classifyTitle(title, taxonomy) {
+  return describeRoles(matchRoleTokens(tokenizeTitle(title), taxonomy).roles);
+}
+
+export function describeRoles(roles) {
+  if (!roles.length) {
+    return {
+      role: DEFAULT_ROLE_LABEL,
+      roles: [],
+      department: null,
+      departments: [],
+      seniority: null,
+      seniorityRank: 0,
+    };
+  }
+
+  const ordered = [...roles].sort((a, b) => b.rank - a.rank);
+  const departments = Array.from(
+    new Set(ordered.map((role) => role.department).filter(Boolean))
+  );
+
+  return {
+    role: ordered.map((role) => role.label).join(" & "),
+    roles: ordered.map((role) => role.label),
+    department: departments[0] || null,
+    departments,
+    seniority: ordered[0].seniority,
+    seniorityRank: ordered[0].rank,
+  };
+}
+
+export function matchesRoleFilter(contact, { targetRoles, minSeniority } = {}, taxonomy) {
+  const targets = (Array.isArray(targetRoles) ? targetRoles : [])
+    .map((item) => String(item).trim().toLowerCase())
+    .filter(Boolean);
+
+  if (targets.length) {
+    const candidates = [...(contact.roles || []), ...(contact.departments || [])].map((item) =>
+      item.toLowerCase()
+    );
+    if (!candidates.some((item) => targets.includes(item))) {
+      return false;
+    }
+  }
+
+  if (minSeniority) {
+    const threshold = taxonomy.seniority.get(minSeniority);
+    if (!threshold) {
+      throw new Error(`Unknown minSeniority "${minSeniority}".`);
+    }
+    if ((contact.seniorityRank || 0) < threshold.rank) {
+      return false;
+    }
+  }
+
+  return true;
+}
@@ -0,0 +1,54 @@
+import { CRAWL_PAGE_DEFAULTS } from "@/lib/crawler";
+
+export const MAX_REQUEST_BYTES_DEFAULT = 1_000_000;
+
+export const MAX_ENTRIES_DEFAULT = 1000;
+
+export const RETENTION_DAYS_DEFAULT = null;
+
+export const CRAWL_DEFAULTS = {
+  concurrency: 8,
+  perHostConcurrency: 2,
+  alternates: 4,
+  fetchTimeoutMs: 7000,
+  documentMaxBytes: 2_000_000,
+  ...CRAWL_PAGE_DEFAULTS,
+};
+
+export const CRAWL_LIMITS = {
+  concurrency: 32,
+  perHostConcurrency: 8,
+  pageBudget: 50,
+  maxDepth: 4,
+  alternates: 10,
+  fetchTimeoutMs: 60000,
+  documentBudget: 20,
+  documentMaxBytes: 10_000_000,
+};
+
+const ZERO_ALLOWED = new Set(["maxDepth", "alternates", "documentBudget"]);
+
+export function settingFloor(key) {
+  return ZERO_ALLOWED.has(key) ? 0 : 1;
+}
+
+export function clampSetting(value, key) {
+  const number = Number(value);
+  const floor = settingFloor(key);
+  if (value === undefined || value === null || !Number.isFinite(number) || number < floor) {
+    return CRAWL_DEFAULTS[key];
+  }
+  return Math.min(Math.floor(number), CRAWL_LIMITS[key]);
+}
+
+export function requestLimits(env = process.env) {
+  return {
+    maxBytes: Number(env.MAX_REQUEST_BYTES) || MAX_REQUEST_BYTES_DEFAULT,
+    maxEntries: Number(env.MAX_ENTRIES) || MAX_ENTRIES_DEFAULT,
+  };
+}
+
+export function resultRetentionDays(env = process.env) {
+  const days = Number(env.RESULT_RETENTION_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : RETENTION_DAYS_DEFAULT;
+}
@@ -0,0 +1,156 @@
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { createInterface } from "node:readline";
+
+export const SNAPSHOT_VERSION = 1;
+
+export const SNAPSHOT_MODES = ["record", "replay"];
+
+const MISSING = "Not in snapshot.";
+
+// Everything the crawl reads from outside the process goes through one of these
+// three calls, so recording them is enough to rerun it offline.
+export async function createSnapshotRecorder(file) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const existing = await fs.stat(file).catch(() => null);
+  let queue = existing?.size
+    ? Promise.resolve()
+    : fs.writeFile(file, line({ type: "snapshot", version: SNAPSHOT_VERSION, createdAt: now() }));
+  let failure = null;
+  const stats = { pages: 0, misses: 0 };
+
+  // Appends are chained so large page bodies never interleave in the file.
+  const append = (record) => {
+    queue = queue
+      .then(() => fs.appendFile(file, line(record)))
+      .catch((error) => {
+        failure = failure || error;
+      });
+  };
+
+  return {
+    mode: "record",
+    file,
+    stats,
+    async fetchPage(url, live) {
+      const page = await live();
+      if (page) {
+        stats.pages += 1;
+        append({ type: "page", ...page });
+      }
+      return page;
+    },
+    async resolveMx(domain, live) {
+      try {
+        const records = await live();
+        append({ type: "mx", domain, records, at: now() });
+        return records;
+      } catch (error) {
+        append({ type: "mx", domain, error: { code: error?.code, message: error?.message }, at: now() });
+        throw error;
+      }
+    },
+    async lookupPattern(domain, live) {
+      const known = await live();
+      append({ type: "pattern", domain, ...known, at: now() });
+      return known;
+    },
+    async flush() {
+      await queue;
+      if (failure) {
+        throw new Error(`Could not write the crawl snapshot: ${failure.message}`);
+      }
+    },
+  };
+}
+
+export async function readSnapshot(file) {
+  let lines;
+  try {
+    lines = await readSnapshotLines(file);
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+
+  const snapshot = { meta: null, pages: new Map(), mx: new Map(), patterns: new Map() };
+  for await (const raw of lines) {
+    let record;
+    try {
+      record = JSON.parse(raw);
+    } catch {
+      // A run that crashed mid-write leaves a partial last line.
+      continue;
+    }
+    if (record.type === "snapshot") snapshot.meta = record;
+    // A resumed job can record the same lookup twice; the later one wins.
+    if (record.type === "page") snapshot.pages.set(record.url, record);
+    if (record.type === "mx") snapshot.mx.set(record.domain, record);
+    if (record.type === "pattern") snapshot.patterns.set(record.domain, record);
+  }
+  if (snapshot.meta?.version !== SNAPSHOT_VERSION) {
+    throw new Error(`${file} is not a version ${SNAPSHOT_VERSION} crawl snapshot.`);
+  }
+  return snapshot;
+}
+
+// Snapshots hold every page body, so they are read a line at a time rather than
+// whole. The file is opened up front so a missing one fails here, not mid-read.
+export async function readSnapshotLines(file) {
+  const handle = await fs.open(file);
+  return (async function* () {
+    const input = handle.createReadStream({ encoding: "utf8" });
+    try {
+      for await (const raw of createInterface({ input, crlfDelay: Infinity })) {
+        if (raw.trim()) yield raw;
+      }
+    } finally {
+      input.destroy();
+    }
+  })();
+}
+
+export async function createSnapshotReplay(file) {
+  const snapshot = await readSnapshot(file);
+  if (!snapshot) return null;
+  const stats = { pages: 0, misses: 0 };
+
+  return {
+    mode: "replay",
+    file,
+    stats,
+    recordedAt: snapshot.meta.createdAt,
+    async fetchPage(url) {
+      const page = snapshot.pages.get(url);
+      if (!page) {
+        stats.misses += 1;
+        return { url, finalUrl: url, status: null, ok: false, headers: {}, body: null, error: MISSING };
+      }
+      stats.pages += 1;
+      return page;
+    },
+    async resolveMx(domain) {
+      const record = snapshot.mx.get(domain);
+      if (!record) {
+        throw Object.assign(new Error(MISSING), { code: "ENOTFOUND" });
+      }
+      if (record.error) {
+        throw Object.assign(new Error(record.error.message), { code: record.error.code });
+      }
+      return record.records;
+    },
+    async lookupPattern(domain) {
+      const record = snapshot.patterns.get(domain);
+      return record ? { entry: record.entry, fresh: record.fresh } : { entry: null, fresh: false };
+    },
+    async flush() {},
+  };
+}
+
+function line(record) {
+  return `${JSON.stringify(record)}\n`;
+}
+
+function now() {
+  return new Date().toISOString();
+}
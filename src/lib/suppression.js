@@ -0,0 +1,152 @@
+import { randomUUID } from "node:crypto";
+import { hostFromUrl } from "@/lib/domains";
+import { dataPath, readJsonFile, updateJsonFile } from "@/lib/fileStore";
+
+export const SUPPRESSION_TYPES = ["email", "domain", "linkedin"];
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function suppressionFile() {
+  return dataPath("suppressions.json");
+}
+
+export function linkedinKey(value) {
+  const text = String(value || "").trim().toLowerCase();
+  const match = text.match(/linkedin\.com\/(?:in|pub)\/([^/?#\s]+)/);
+  if (match) return safeDecode(match[1]);
+  // A bare slug is only accepted where the type is known to be LinkedIn.
+  return /^[a-z0-9%_-]+$/.test(text) ? safeDecode(text) : null;
+}
+
+export function detectSuppressionType(value) {
+  const text = String(value || "").trim().toLowerCase();
+  if (text.includes("linkedin.com/")) return "linkedin";
+  if (text.includes("@")) return "email";
+  return "domain";
+}
+
+export function normalizeSuppression(type, value) {
+  const text = String(value || "").trim().toLowerCase();
+  if (type === "email") {
+    const email = text.replace(/^mailto:/, "");
+    return EMAIL_REGEX.test(email) ? email : null;
+  }
+  if (type === "domain") {
+    const host = hostFromUrl(text.replace(/^@/, ""));
+    return host && host.includes(".") ? host : null;
+  }
+  if (type === "linkedin") {
+    return linkedinKey(text);
+  }
+  return null;
+}
+
+export async function listSuppressions() {
+  const entries = await readJsonFile(suppressionFile(), []);
+  return [...entries].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+export async function addSuppressions(items, now = new Date()) {
+  const added = [];
+  const rejected = [];
+
+  await updateJsonFile(
+    suppressionFile(),
+    (entries) => {
+      const existing = new Set(entries.map((entry) => `${entry.type}:${entry.value}`));
+      const next = [...entries];
+      for (const item of items) {
+        const type = item?.type || detectSuppressionType(item?.value);
+        const value = SUPPRESSION_TYPES.includes(type)
+          ? normalizeSuppression(type, item.value)
+          : null;
+        if (!value) {
+          rejected.push(item?.value ?? null);
+          continue;
+        }
+        if (existing.has(`${type}:${value}`)) continue;
+
+        existing.add(`${type}:${value}`);
+        const entry = {
+          id: randomUUID(),
+          type,
+          value,
+          reason: String(item.reason || "").trim() || null,
+          createdAt: now.toISOString(),
+        };
+        next.push(entry);
+        added.push(entry);
+      }
+      return next;
+    },
+    []
+  );
+
+  return { added, rejected };
+}
+
+export async function removeSuppression(id) {
+  let removed = null;
+  await updateJsonFile(
+    suppressionFile(),
+    (entries) =>
+      entries.filter((entry) => {
+        if (entry.id !== id) return true;
+        removed = entry;
+        return false;
+      }),
+    []
+  );
+  return removed;
+}
+
+export async function loadSuppressions() {
+  const entries = await readJsonFile(suppressionFile(), []);
+  const values = {
+    email: new Set(),
+    domain: new Set(),
+    linkedin: new Set(),
+  };
+  for (const entry of entries) {
+    values[entry.type]?.add(entry.value);
+  }
+
+  // A suppressed domain covers its subdomains, so acme.com also blocks mail.acme.com.
+  const matchDomain = (host) => {
+    const labels = String(host || "").toLowerCase().split(".");
+    for (let index = 0; index < labels.length - 1; index += 1) {
+      if (values.domain.has(labels.slice(index).join("."))) return true;
+    }
+    return false;
+  };
+
+  const matchEmail = (email) => {
+    const address = String(email || "").toLowerCase();
+    if (!address) return false;
+    return values.email.has(address) || matchDomain(address.split("@")[1]);
+  };
+
+  const matchProfile = (url) => {
+    const key = linkedinKey(url);
+    return Boolean(key) && values.linkedin.has(key);
+  };
+
+  return {
+    size: entries.length,
+    matchDomain,
+    matchEmail,
+    matchProfile,
+    // Any of a person's addresses being suppressed withholds the whole row.
+    matchResult: (result) =>
+      matchEmail(result.email) ||
+      (result.candidates || []).some((candidate) => matchEmail(candidate.email)),
+  };
+}
+
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
@@ -0,0 +1,471 @@
+const HEADER_HINTS = {
+  company: /company|organi[sz]ation|account|business|firma|employer/i,
+  website: /website|domain|url|site|homepage|web/i,
+  linkedin: /linkedin|profile|contact url/i,
+};
+
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+export function parseDelimited(text, delimiter = detectDelimiter(text)) {
+  const rows = [];
+  const errors = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  let quotedRowStart = 0;
+  let index = 0;
+  const source = text.replace(/^\uFEFF/, "");
+
+  const endField = () => {
+    row.push(field);
+    field = "";
+  };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0].trim() !== "") {
+      rows.push(row);
+    }
+    row = [];
+  };
+
+  while (index < source.length) {
+    const char = source[index];
+
+    if (inQuotes) {
+      if (char === '"' && source[index + 1] === '"') {
+        field += '"';
+        index += 2;
+        continue;
+      }
+      if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      index += 1;
+      continue;
+    }
+
+    if (char === '"' && field.trim() === "") {
+      field = "";
+      inQuotes = true;
+      quotedRowStart = rows.length;
+    } else if (char === delimiter) {
+      endField();
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[index + 1] === "\n") index += 1;
+      endRow();
+    } else {
+      field += char;
+    }
+    index += 1;
+  }
+
+  if (inQuotes) {
+    errors.push({ row: quotedRowStart, message: "Unterminated quoted field." });
+  }
+  if (field !== "" || row.length) {
+    endRow();
+  }
+
+  return { rows: rows.map((cells) => cells.map((cell) => cell.trim())), errors };
+}
+
+export function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/).find((line) => line.trim()) || "";
+  const unquoted = firstLine.replace(/"[^"]*"/g, "");
+  const counts = [",", "\t", ";"].map((delimiter) => ({
+    delimiter,
+    count: unquoted.split(delimiter).length - 1,
+  }));
+  const best = counts.sort((a, b) => b.count - a.count)[0];
+  return best.count > 0 ? best.delimiter : ",";
+}
+
+export async function readXlsx(buffer) {
+  const files = await unzip(buffer);
+  const decoder = new TextDecoder();
+  const read = (name) => (files.has(name) ? decoder.decode(files.get(name)) : "");
+
+  const sharedStrings = Array.from(
+    read("xl/sharedStrings.xml").matchAll(/<si>([\s\S]*?)<\/si>/g),
+    ([, item]) => collectText(item)
+  );
+
+  const sheet = read(firstSheetPath(files, read));
+  if (!sheet) {
+    throw new Error("The workbook does not contain a readable worksheet.");
+  }
+
+  const rows = [];
+  for (const [, rowXml] of sheet.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+    const cells = [];
+    for (const [, attributes, body] of rowXml.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const reference = attributes.match(/\br="([A-Z]+)\d+"/);
+      const column = reference ? columnIndex(reference[1]) : cells.length;
+      const type = attributes.match(/\bt="(\w+)"/)?.[1];
+      const raw = body?.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+
+      let value = "";
+      if (type === "s") {
+        value = sharedStrings[Number(raw)] ?? "";
+      } else if (type === "inlineStr") {
+        value = collectText(body || "");
+      } else if (raw !== undefined) {
+        value = decodeXml(raw);
+      }
+
+      while (cells.length < column) cells.push("");
+      cells[column] = value.trim();
+    }
+    if (cells.some(Boolean)) rows.push(cells);
+  }
+
+  return rows;
+}
+
+export function formatDelimited(rows, delimiter = ",") {
+  return rows
+    .map((row) =>
+      row
+        .map((value) => {
+          const text = String(value ?? "");
+          return /[",\r\n]/.test(text) || text.includes(delimiter)
+            ? `"${text.replace(/"/g, '""')}"`
+            : text;
+        })
+        .join(delimiter)
+    )
+    .join("\r\n");
+}
+
+export function writeXlsx(rows, { sheetName = "Sheet1" } = {}) {
+  const sheetRows = rows
+    .map((row, rowIndex) => {
+      const cells = row
+        .map((value, column) => {
+          const reference = `${columnLetters(column)}${rowIndex + 1}`;
+          if (typeof value === "number" && Number.isFinite(value)) {
+            return `<c r="${reference}"><v>${value}</v></c>`;
+          }
+          const text = String(value ?? "");
+          if (!text) return "";
+          return `<c r="${reference}" t="inlineStr"><is><t xml:space="preserve">${encodeXml(text)}</t></is></c>`;
+        })
+        .join("");
+      return `<row r="${rowIndex + 1}">${cells}</row>`;
+    })
+    .join("");
+
+  const files = {
+    "[Content_Types].xml":
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/></Types>',
+    "_rels/.rels":
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>',
+    "xl/workbook.xml": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="${encodeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+    "xl/_rels/workbook.xml.rels":
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/></Relationships>',
+    "xl/worksheets/sheet1.xml": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${sheetRows}</sheetData></worksheet>`,
+  };
+
+  return zip(files);
+}
+
+export function detectHeader(rows) {
+  const [first, second] = rows;
+  if (!first) return false;
+  const hinted = first.some((cell) =>
+    Object.values(HEADER_HINTS).some((pattern) => pattern.test(cell))
+  );
+  const firstHasUrls = first.some(looksLikeUrl);
+  const secondHasUrls = (second || []).some(looksLikeUrl);
+  return hinted && !firstHasUrls ? true : !firstHasUrls && secondHasUrls;
+}
+
+export function guessColumnMapping(rows, hasHeader) {
+  const width = Math.max(0, ...rows.map((row) => row.length));
+  const header = hasHeader ? rows[0] : [];
+  const body = hasHeader ? rows.slice(1) : rows;
+  const columns = Array.from({ length: width }, (_, index) => index);
+
+  const share = (index, test) => {
+    const values = body.map((row) => row[index] || "").filter(Boolean);
+    return values.length ? values.filter(test).length / values.length : 0;
+  };
+
+  const linkedin = columns.filter(
+    (index) =>
+      HEADER_HINTS.linkedin.test(header[index] || "") ||
+      share(index, (value) => /linkedin\.com\//i.test(value)) > 0.5
+  );
+  const website =
+    columns.find(
+      (index) =>
+        !linkedin.includes(index) && HEADER_HINTS.website.test(header[index] || "")
+    ) ??
+    columns.find(
+      (index) => !linkedin.includes(index) && share(index, looksLikeUrl) > 0.5
+    ) ??
+    null;
+  const company =
+    columns.find(
+      (index) =>
+        index !== website &&
+        !linkedin.includes(index) &&
+        HEADER_HINTS.company.test(header[index] || "")
+    ) ??
+    columns.find((index) => index !== website && !linkedin.includes(index)) ??
+    null;
+
+  return { company, website, linkedin };
+}
+
+export function rowsToEntries(rows, mapping, { hasHeader = false, parseErrors = [] } = {}) {
+  const body = hasHeader ? rows.slice(1) : rows;
+  const offset = hasHeader ? 1 : 0;
+  const expectedWidth = hasHeader ? rows[0]?.length : null;
+
+  return body.map((row, position) => {
+    const rowNumber = position + offset;
+    const cell = (index) => (index === null || index === undefined ? "" : row[index] || "");
+    const entry = {
+      company: cell(mapping.company),
+      website: cell(mapping.website),
+      linkedinProfiles: (mapping.linkedin || []).flatMap((index) =>
+        cell(index)
+          .split(/[\s;|,]+/)
+          .map((item) => item.trim())
+          .filter(Boolean)
+      ),
+    };
+
+    const issues = parseErrors
+      .filter((error) => error.row === rowNumber)
+      .map((error) => error.message);
+    // Extra cells usually mean an unquoted comma split a field.
+    if (expectedWidth && row.length > expectedWidth) {
+      issues.push(`Expected ${expectedWidth} columns but found ${row.length}.`);
+    }
+    issues.push(...validateEntry(entry));
+
+    return { ...entry, row: rowNumber + 1, issues };
+  });
+}
+
+export function validateEntry(entry) {
+  const issues = [];
+  if (!entry.company && !entry.website) {
+    issues.push("Missing company and website.");
+  } else if (!entry.website) {
+    issues.push("Missing website.");
+  } else if (!looksLikeUrl(entry.website)) {
+    issues.push(`"${entry.website}" does not look like a website.`);
+  }
+
+  const badProfiles = entry.linkedinProfiles.filter(
+    (profile) => /^https?:\/\//i.test(profile) && !/linkedin\.com\//i.test(profile)
+  );
+  if (badProfiles.length) {
+    issues.push(`Not a LinkedIn URL: ${badProfiles.join(", ")}`);
+  }
+  return issues;
+}
+
+function looksLikeUrl(value) {
+  return /^(?:https?:\/\/)?(?:[a-z0-9-]+\.)+[a-z]{2,}(?:[/:?#]\S*)?$/i.test(
+    String(value || "").trim()
+  );
+}
+
+function collectText(xml) {
+  return Array.from(xml.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g), ([, text]) =>
+    decodeXml(text)
+  ).join("");
+}
+
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === "#") {
+      const code =
+        entity[1].toLowerCase() === "x"
+          ? parseInt(entity.slice(2), 16)
+          : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[entity] ?? match;
+  });
+}
+
+function encodeXml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "");
+}
+
+function columnLetters(index) {
+  let letters = "";
+  for (let value = index + 1; value > 0; value = Math.floor((value - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((value - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+function columnIndex(letters) {
+  return letters.split("").reduce((total, letter) => total * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+// The first tab is the first <sheet> in workbook.xml; its file is named by the
+// workbook's relationships, since sheets can be reordered, renamed or deleted.
+function firstSheetPath(files, read) {
+  const firstSheet = read("xl/workbook.xml").match(/<sheet\b[^>]*>/)?.[0] || "";
+  const relationId = firstSheet.match(/\s[\w.-]+:id="([^"]+)"/)?.[1];
+  const relation = Array.from(
+    read("xl/_rels/workbook.xml.rels").matchAll(/<Relationship\b[^>]*>/g),
+    ([tag]) => tag
+  ).find((tag) => tag.match(/\bId="([^"]+)"/)?.[1] === relationId);
+  const target = relation?.match(/\bTarget="([^"]+)"/)?.[1];
+  if (target) {
+    const resolved = new URL(decodeXml(target), "zip:/xl/").pathname.slice(1);
+    if (files.has(resolved)) return resolved;
+  }
+
+  // Without a usable workbook index, fall back to the lowest-numbered sheet.
+  return (
+    Array.from(files.keys())
+      .filter((name) => /^xl\/worksheets\/sheet\d+\.xml$/.test(name))
+      .sort((a, b) => sheetNumber(a) - sheetNumber(b))[0] || ""
+  );
+}
+
+function sheetNumber(name) {
+  return Number(name.match(/sheet(\d+)\.xml$/)[1]);
+}
+
+async function unzip(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const files = new Map();
+
+  let end = bytes.length - 22;
+  while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) end -= 1;
+  if (end < 0) {
+    throw new Error("The file is not a valid XLSX workbook.");
+  }
+
+  const entryCount = view.getUint16(end + 10, true);
+  let pointer = view.getUint32(end + 16, true);
+
+  for (let entry = 0; entry < entryCount; entry += 1) {
+    if (view.getUint32(pointer, true) !== 0x02014b50) break;
+    const method = view.getUint16(pointer + 10, true);
+    const compressedSize = view.getUint32(pointer + 20, true);
+    const nameLength = view.getUint16(pointer + 28, true);
+    const extraLength = view.getUint16(pointer + 30, true);
+    const commentLength = view.getUint16(pointer + 32, true);
+    const localOffset = view.getUint32(pointer + 42, true);
+    const name = new TextDecoder().decode(bytes.subarray(pointer + 46, pointer + 46 + nameLength));
+    pointer += 46 + nameLength + extraLength + commentLength;
+
+    // Only the workbook XML and its relationships are needed; media and printer
+    // settings are skipped.
+    if (!name.startsWith("xl/") || !/\.xml(?:\.rels)?$/.test(name)) continue;
+
+    const localNameLength = view.getUint16(localOffset + 26, true);
+    const localExtraLength = view.getUint16(localOffset + 28, true);
+    const start = localOffset + 30 + localNameLength + localExtraLength;
+    const data = bytes.subarray(start, start + compressedSize);
+
+    if (method === 0) {
+      files.set(name, data);
+    } else if (method === 8) {
+      files.set(name, await inflateRaw(data));
+    }
+  }
+
+  return files;
+}
+
+// Writes an uncompressed ("stored") archive, which every XLSX reader accepts.
+function zip(files) {
+  const encoder = new TextEncoder();
+  const entries = Object.entries(files).map(([name, content]) => ({
+    name: encoder.encode(name),
+    data: typeof content === "string" ? encoder.encode(content) : content,
+  }));
+
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const crc = crc32(entry.data);
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(8, 0, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, entry.data.length, true);
+    local.setUint32(22, entry.data.length, true);
+    local.setUint16(26, entry.name.length, true);
+    localParts.push(new Uint8Array(local.buffer), entry.name, entry.data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, entry.data.length, true);
+    central.setUint32(24, entry.data.length, true);
+    central.setUint16(28, entry.name.length, true);
+    central.setUint32(42, offset, true);
+    centralParts.push(new Uint8Array(central.buffer), entry.name);
+
+    offset += 30 + entry.name.length + entry.data.length;
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  for (const part of parts) {
+    output.set(part, position);
+    position += part.length;
+  }
+  return output;
+}
+
+let crcTable = null;
+
+function crc32(data) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let index = 0; index < 256; index += 1) {
+      let value = index;
+      for (let bit = 0; bit < 8; bit += 1) {
+        value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1;
+      }
+      crcTable[index] = value >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (const byte of data) {
+    crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+async function inflateRaw(data) {
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
@@ -0,0 +1,246 @@
+import { randomBytes } from "node:crypto";
+import { promises as dns } from "node:dns";
+import net from "node:net";
+
+export const VERIFICATION_STATUSES = [
+  "deliverable",
+  "undeliverable",
+  "catch-all",
+  "unknown",
+  "no-mx",
+];
+
+const VERIFIER_DEFAULTS = {
+  dnsServers: [],
+  smtpHost: null,
+  smtpPort: 25,
+  heloName: "localhost",
+  mailFrom: "",
+  timeoutMs: 8000,
+};
+
+const MISSING_DOMAIN_CODES = new Set(["ENODATA", "ENOTFOUND", "NXDOMAIN"]);
+
+export function verifierSettingsFromEnv(env = process.env) {
+  return {
+    dnsServers: (env.VERIFY_DNS_SERVERS || "")
+      .split(",")
+      .map((server) => server.trim())
+      .filter(Boolean),
+    smtpHost: env.VERIFY_SMTP_HOST || null,
+    smtpPort: Number(env.VERIFY_SMTP_PORT) || VERIFIER_DEFAULTS.smtpPort,
+    heloName: env.VERIFY_HELO_NAME || VERIFIER_DEFAULTS.heloName,
+    mailFrom: env.VERIFY_MAIL_FROM ?? VERIFIER_DEFAULTS.mailFrom,
+    timeoutMs: Number(env.VERIFY_TIMEOUT_MS) || VERIFIER_DEFAULTS.timeoutMs,
+  };
+}
+
+export function createVerifier(options = {}) {
+  const settings = { ...VERIFIER_DEFAULTS, ...options };
+  const lookupMxRecords = settings.lookupMx || createMxLookup(settings);
+  const catchAllCache = new Map();
+
+  const remember = (cache, key, load) => {
+    if (!cache.has(key)) {
+      cache.set(key, load());
+    }
+    return cache.get(key);
+  };
+
+  async function verifyEmail(email) {
+    const domain = email.split("@")[1]?.toLowerCase();
+    if (!domain) {
+      return { status: "unknown", detail: "Address has no domain." };
+    }
+
+    let records;
+    try {
+      records = await lookupMxRecords(domain);
+    } catch (error) {
+      return { status: "unknown", detail: `MX lookup failed: ${error.message}` };
+    }
+
+    if (!records.length) {
+      return { status: "no-mx", detail: `No MX records for ${domain}.` };
+    }
+
+    const mxHost = records[0].exchange;
+    const target = {
+      host: settings.smtpHost || mxHost,
+      port: settings.smtpPort,
+    };
+
+    try {
+      const [reply, catchAllReply] = await Promise.all([
+        probeRecipient(target, email, settings),
+        remember(catchAllCache, domain, () =>
+          probeRecipient(target, randomLocalPart(domain), settings).catch(
+            () => null
+          )
+        ),
+      ]);
+
+      return {
+        status: classifyReply(reply, catchAllReply),
+        mxHost,
+        code: reply.code,
+        detail: reply.message,
+      };
+    } catch (error) {
+      return { status: "unknown", mxHost, detail: error.message };
+    }
+  }
+
+  return { settings, verifyEmail };
+}
+
+export function createMxLookup(options = {}) {
+  const settings = { ...VERIFIER_DEFAULTS, ...options };
+  const resolveMx = settings.resolveMx || createMxResolver(settings);
+  const cache = new Map();
+
+  return function lookup(domain) {
+    const key = domain.toLowerCase();
+    if (!cache.has(key)) {
+      cache.set(key, lookupMx(resolveMx, key));
+    }
+    return cache.get(key);
+  };
+}
+
+export function createMxResolver(settings) {
+  const resolver = new dns.Resolver({ timeout: settings.timeoutMs, tries: 2 });
+  if (settings.dnsServers?.length) {
+    resolver.setServers(settings.dnsServers);
+  }
+  return (domain) => resolver.resolveMx(domain);
+}
+
+async function lookupMx(resolveMx, domain) {
+  try {
+    const records = await resolveMx(domain);
+    return [...(records || [])]
+      .filter((record) => record?.exchange)
+      .sort((a, b) => a.priority - b.priority);
+  } catch (error) {
+    if (MISSING_DOMAIN_CODES.has(error?.code)) {
+      return [];
+    }
+    throw error;
+  }
+}
+
+function classifyReply(reply, catchAllReply) {
+  if (reply.code >= 200 && reply.code < 300) {
+    const acceptsAnything =
+      catchAllReply && catchAllReply.code >= 200 && catchAllReply.code < 300;
+    return acceptsAnything ? "catch-all" : "deliverable";
+  }
+  if (reply.code >= 500) {
+    return "undeliverable";
+  }
+  return "unknown";
+}
+
+function randomLocalPart(domain) {
+  return `${randomBytes(8).toString("hex")}-probe@${domain}`;
+}
+
+async function probeRecipient(target, recipient, settings) {
+  const session = openSmtpSession(target, settings.timeoutMs);
+
+  try {
+    const greeting = await session.read();
+    if (greeting.code !== 220) {
+      throw new Error(`Unexpected SMTP greeting: ${greeting.message}`);
+    }
+
+    const ehlo = await session.send(`EHLO ${settings.heloName}`);
+    if (ehlo.code !== 250) {
+      const helo = await session.send(`HELO ${settings.heloName}`);
+      if (helo.code !== 250) {
+        throw new Error(`SMTP server refused HELO: ${helo.message}`);
+      }
+    }
+
+    const from = await session.send(`MAIL FROM:<${settings.mailFrom}>`);
+    if (from.code !== 250) {
+      throw new Error(`SMTP server refused MAIL FROM: ${from.message}`);
+    }
+
+    return await session.send(`RCPT TO:<${recipient}>`);
+  } finally {
+    session.close();
+  }
+}
+
+function openSmtpSession({ host, port }, timeoutMs) {
+  const socket = net.createConnection({ host, port });
+  socket.setEncoding("utf8");
+  socket.setTimeout(timeoutMs);
+
+  const replies = [];
+  const waiters = [];
+  let pendingLines = [];
+  let buffer = "";
+  let failure = null;
+
+  const settle = () => {
+    while (replies.length && waiters.length) {
+      waiters.shift().resolve(replies.shift());
+    }
+    while (failure && waiters.length) {
+      waiters.shift().reject(failure);
+    }
+  };
+
+  const fail = (error) => {
+    failure = failure || error;
+    settle();
+  };
+
+  socket.on("data", (chunk) => {
+    buffer += chunk;
+    let newline = buffer.indexOf("\n");
+    while (newline >= 0) {
+      const line = buffer.slice(0, newline).replace(/\r$/, "");
+      buffer = buffer.slice(newline + 1);
+      pendingLines.push(line);
+      // Multi-line replies use "250-" continuations and end with "250 ".
+      if (/^\d{3}(?: |$)/.test(line)) {
+        replies.push({
+          code: Number(line.slice(0, 3)),
+          message: pendingLines.join("\n"),
+        });
+        pendingLines = [];
+      }
+      newline = buffer.indexOf("\n");
+    }
+    settle();
+  });
+  socket.on("timeout", () => {
+    fail(new Error("SMTP connection timed out."));
+    socket.destroy();
+  });
+  socket.on("error", fail);
+  socket.on("close", () => fail(new Error("SMTP connection closed.")));
+
+  const read = () =>
+    new Promise((resolve, reject) => {
+      waiters.push({ resolve, reject });
+      settle();
+    });
+
+  return {
+    read,
+    send(line) {
+      socket.write(`${line}\r\n`);
+      return read();
+    },
+    close() {
+      if (!socket.destroyed) {
+        socket.end("QUIT\r\n");
+      }
+    },
+  };
+}
@@ -0,0 +1,133 @@
+import { createHmac, randomUUID } from "node:crypto";
+import { readDeliveries, recordDelivery } from "@/lib/jobStore";
+
+export const WEBHOOK_EVENTS = ["company.completed", "job.completed", "job.failed"];
+
+export const WEBHOOK_HEADERS = {
+  id: "X-Webhook-Id",
+  event: "X-Webhook-Event",
+  timestamp: "X-Webhook-Timestamp",
+  signature: "X-Webhook-Signature",
+};
+
+const WEBHOOK_DEFAULTS = {
+  maxAttempts: 5,
+  retryBaseMs: 1000,
+  timeoutMs: 10000,
+};
+
+// Only these failures are worth another attempt; any other 4xx means the receiver
+// rejected the payload and will keep rejecting it.
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+export function webhookSettingsFromEnv(env = process.env) {
+  return {
+    secret: env.WEBHOOK_SECRET || null,
+    maxAttempts: Number(env.WEBHOOK_MAX_ATTEMPTS) || WEBHOOK_DEFAULTS.maxAttempts,
+    retryBaseMs: Number(env.WEBHOOK_RETRY_BASE_MS) || WEBHOOK_DEFAULTS.retryBaseMs,
+    timeoutMs: Number(env.WEBHOOK_TIMEOUT_MS) || WEBHOOK_DEFAULTS.timeoutMs,
+  };
+}
+
+export function validateCallbackUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value || ""));
+  } catch {
+    return { error: "callbackUrl must be an absolute http or https URL." };
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    return { error: "callbackUrl must be an absolute http or https URL." };
+  }
+  if (url.username || url.password) {
+    return { error: "callbackUrl must not contain credentials." };
+  }
+  return { url: url.toString() };
+}
+
+export function signPayload(secret, timestamp, body) {
+  const digest = createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `sha256=${digest}`;
+}
+
+export function retryDelay(attempt, { retryBaseMs }) {
+  return retryBaseMs * 2 ** (attempt - 1);
+}
+
+export async function deliverWebhook(jobId, { url, event, payload }, settings = webhookSettingsFromEnv()) {
+  const id = randomUUID();
+  const body = JSON.stringify({ id, event, jobId, createdAt: new Date().toISOString(), ...payload });
+
+  for (let attempt = 1; attempt <= settings.maxAttempts; attempt += 1) {
+    // Each attempt is signed afresh so receivers can reject stale timestamps.
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const startedAt = Date.now();
+    let status = null;
+    let error = null;
+    try {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          [WEBHOOK_HEADERS.id]: id,
+          [WEBHOOK_HEADERS.event]: event,
+          [WEBHOOK_HEADERS.timestamp]: timestamp,
+          [WEBHOOK_HEADERS.signature]: signPayload(settings.secret, timestamp, body),
+        },
+        body,
+        redirect: "manual",
+        signal: AbortSignal.timeout(settings.timeoutMs),
+      });
+      status = response.status;
+      await response.body?.cancel().catch(() => {});
+    } catch (err) {
+      error = err?.name === "TimeoutError" ? "Timed out." : err?.message || "Request failed.";
+    }
+
+    const ok = status !== null && status >= 200 && status < 300;
+    const retry =
+      !ok && attempt < settings.maxAttempts && (status === null || RETRYABLE_STATUSES.has(status));
+    const delay = retry ? retryDelay(attempt, settings) : null;
+    await recordDelivery(jobId, {
+      id,
+      event,
+      url,
+      attempt,
+      status,
+      ok,
+      error: error || (ok ? null : `Receiver answered ${status}.`),
+      durationMs: Date.now() - startedAt,
+      at: new Date(startedAt).toISOString(),
+      nextAttemptAt: retry ? new Date(Date.now() + delay).toISOString() : null,
+    });
+
+    if (ok) return { id, ok: true, attempts: attempt };
+    if (!retry) return { id, ok: false, attempts: attempt };
+    await new Promise((resolve) => setTimeout(resolve, delay));
+  }
+  return { id, ok: false, attempts: settings.maxAttempts };
+}
+
+export async function summarizeDeliveries(jobId) {
+  const attempts = await readDeliveries(jobId);
+  const byId = new Map();
+  for (const attempt of attempts) {
+    const delivery = byId.get(attempt.id) || {
+      id: attempt.id,
+      event: attempt.event,
+      url: attempt.url,
+      attempts: [],
+    };
+    delivery.attempts.push(attempt);
+    byId.set(attempt.id, delivery);
+  }
+
+  return Array.from(byId.values()).map((delivery) => {
+    const last = delivery.attempts.at(-1);
+    return {
+      ...delivery,
+      status: last.ok ? "delivered" : last.nextAttemptAt ? "retrying" : "failed",
+      lastAttemptAt: last.at,
+    };
+  });
+}
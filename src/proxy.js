@@ -0,0 +1,25 @@
+import { NextResponse } from "next/server";
+import { hasAppSession } from "@/lib/appSession";
+
+// Versioned routes take API keys instead, and signing in must work without a session.
+const OPEN_PATHS = [/^\/api\/v1\//, /^\/api\/session$/, /^\/login$/];
+
+export function proxy(request) {
+  const { pathname, search } = request.nextUrl;
+  if (OPEN_PATHS.some((path) => path.test(pathname)) || hasAppSession(request)) {
+    return NextResponse.next();
+  }
+
+  if (pathname.startsWith("/api/")) {
+    return process.env.APP_TOKEN
+      ? NextResponse.json({ error: "Sign in to the app first." }, { status: 401 })
+      : NextResponse.json({ error: "Set APP_TOKEN to use the app." }, { status: 503 });
+  }
+  const login = new URL("/login", request.url);
+  login.searchParams.set("next", `${pathname}${search}`);
+  return NextResponse.redirect(login);
+}
+
+export const config = {
+  matcher: ["/((?!_next/|favicon.ico).*)"],
+};
@@ -0,0 +1,56 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { scoreConfidence } from "@/lib/confidence";
+
+const contact = { firstName: "Jordan", lastName: "Lee", role: "CEO" };
+
+function signal(result, name) {
+  return result.breakdown.find((item) => item.signal === name);
+}
+
+test("keeps a default-pattern guess low however well the other signals do", () => {
+  const result = scoreConfidence({
+    discovery: { method: "none" },
+    pattern: "first.last",
+    contact,
+    domain: "acme.com",
+    mx: [{ exchange: "mx.acme.com", priority: 10 }],
+  });
+  assert.equal(result.level, "low");
+  assert.ok(result.score < 40);
+});
+
+test("counts a domain without MX records against the address", () => {
+  const result = scoreConfidence({
+    discovery: { method: "none" },
+    pattern: "first.last",
+    contact,
+    domain: "acme.invalid",
+    mx: [],
+  });
+  assert.equal(signal(result, "domain").value, 0);
+  assert.equal(result.level, "low");
+});
+
+test("treats an MX lookup that could not answer as unknown, not missing", () => {
+  const result = scoreConfidence({
+    discovery: { method: "scraped", evidenceCount: 3, namedCount: 1, agreement: 1 },
+    pattern: "first.last",
+    contact,
+    domain: "acme.com",
+    mx: null,
+  });
+  assert.equal(signal(result, "domain").value, 1);
+  assert.equal(result.level, "high");
+});
+
+test("leaves verification out of the score when it did not run", () => {
+  const result = scoreConfidence({
+    discovery: { method: "scraped", evidenceCount: 1, agreement: 1 },
+    pattern: "first.last",
+    contact,
+    domain: "acme.com",
+  });
+  assert.equal(signal(result, "verification").points, null);
+  assert.equal(result.breakdown.reduce((sum, item) => sum + (item.points || 0), 0) > 0, true);
+});
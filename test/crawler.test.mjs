@@ -0,0 +1,38 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { crawlSite } from "@/lib/crawler";
+
+function crawl(domain, pages) {
+  const fetched = [];
+  return crawlSite(domain, {
+    fetchText: async (url) => {
+      fetched.push(url);
+      return pages[url] ?? null;
+    },
+    onPage: async () => null,
+    isComplete: () => false,
+  }).then(({ visited }) => ({ fetched, visited }));
+}
+
+test("follows links to the apex from a crawl seeded on www", async () => {
+  const { fetched } = await crawl("www.acme.com", {
+    "https://www.acme.com/": '<a href="https://acme.com/team">Team</a><a href="https://evil.com/team">Team</a>',
+    "https://acme.com/team": "<p>Team</p>",
+  });
+
+  assert.ok(fetched.includes("https://acme.com/team"));
+  assert.ok(!fetched.some((url) => url.startsWith("https://evil.com")));
+  // The seed already carries www, so no www.www host is tried.
+  assert.ok(!fetched.some((url) => url.includes("www.www.")));
+});
+
+test("follows links to subdomains of the site's registrable domain only", async () => {
+  const { fetched } = await crawl("acme.co.uk", {
+    "https://acme.co.uk/":
+      '<a href="https://team.acme.co.uk/leadership">Leadership</a><a href="https://other.co.uk/team">Team</a>',
+  });
+
+  assert.ok(fetched.includes("https://www.acme.co.uk/"));
+  assert.ok(fetched.includes("https://team.acme.co.uk/leadership"));
+  assert.ok(!fetched.some((url) => url.startsWith("https://other.co.uk")));
+});
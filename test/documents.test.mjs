@@ -0,0 +1,70 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { deflateSync } from "node:zlib";
+import { extractPdfText, parseVCards, readDocument } from "@/lib/documents";
+
+function pdfWithStream(content, dictionary) {
+  return Buffer.concat([
+    Buffer.from(`%PDF-1.4\n4 0 obj\n<< ${dictionary} /Length ${content.length} >>\nstream\n`, "latin1"),
+    content,
+    Buffer.from("\nendstream\nendobj\n%%EOF\n", "latin1"),
+  ]);
+}
+
+test("reads text from a FlateDecode content stream", () => {
+  const operators = "BT /F1 12 Tf 72 712 Td (Jordan Lee, CEO) Tj T* [(jordan.lee@)-50(acme.com)] TJ ET";
+  const content = deflateSync(Buffer.from(operators, "latin1"));
+  const pdf = pdfWithStream(content, "/Filter /FlateDecode");
+
+  const text = extractPdfText(pdf);
+  assert.match(text, /Jordan Lee, CEO\njordan\.lee@acme\.com/);
+  assert.deepEqual(
+    readDocument("pdf", pdf).emails.map((item) => item.email),
+    ["jordan.lee@acme.com"]
+  );
+});
+
+test("skips streams with filters it cannot decode", () => {
+  const pdf = pdfWithStream(Buffer.from("(hidden@acme.com) Tj", "latin1"), "/Filter /DCTDecode");
+  assert.doesNotMatch(extractPdfText(pdf), /hidden@acme\.com/);
+});
+
+test("unfolds folded vCard lines", () => {
+  const [card] = parseVCards(
+    [
+      "BEGIN:VCARD",
+      "VERSION:3.0",
+      "N:Lee;Jordan;;;",
+      "FN:Jordan Lee",
+      "TITLE:Chief Executive Officer and Head of",
+      "  Product",
+      "EMAIL;TYPE=INTERNET:jordan.lee@acme",
+      "\t.com",
+      "END:VCARD",
+    ].join("\r\n")
+  );
+
+  assert.equal(card.title, "Chief Executive Officer and Head of Product");
+  assert.deepEqual(card.emails, ["jordan.lee@acme.com"]);
+  assert.deepEqual(card.person, { firstName: "Jordan", lastName: "Lee" });
+});
+
+test("decodes quoted-printable values, including soft line breaks", () => {
+  const [card] = parseVCards(
+    [
+      "BEGIN:VCARD",
+      "VERSION:2.1",
+      "N;CHARSET=UTF-8;ENCODING=QUOTED-PRINTABLE:M=C3=BCller;J=C3=BCrgen",
+      "FN;ENCODING=QUOTED-PRINTABLE;CHARSET=UTF-8:J=C3=BCrgen M=C3=BCller",
+      "TITLE;QUOTED-PRINTABLE;CHARSET=ISO-8859-1:Gesch=E4ftsf=FChrer und Leiter =",
+      "Vertrieb",
+      "EMAIL;INTERNET:j.mueller@acme.de",
+      "END:VCARD",
+    ].join("\r\n")
+  );
+
+  assert.equal(card.name, "Jürgen Müller");
+  assert.deepEqual(card.person, { firstName: "Jürgen", lastName: "Müller" });
+  assert.equal(card.title, "Geschäftsführer und Leiter Vertrieb");
+  assert.deepEqual(card.emails, ["j.mueller@acme.de"]);
+});
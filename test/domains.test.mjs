@@ -0,0 +1,38 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { hostFromUrl, isRelatedDomain, publicSuffix, registrableDomain } from "@/lib/domains";
+
+test("applies wildcard rules and their exceptions", () => {
+  // *.ck makes every second-level .ck name a public suffix, except www.ck.
+  assert.equal(publicSuffix("acme.ck"), "acme.ck");
+  assert.equal(registrableDomain("acme.ck"), null);
+  assert.equal(registrableDomain("shop.acme.ck"), "shop.acme.ck");
+  assert.equal(publicSuffix("www.ck"), "ck");
+  assert.equal(registrableDomain("www.ck"), "www.ck");
+  assert.equal(registrableDomain("mail.www.ck"), "www.ck");
+
+  assert.equal(registrableDomain("www.city.kawasaki.jp"), "city.kawasaki.jp");
+  assert.equal(registrableDomain("acme.kawasaki.jp"), null);
+});
+
+test("reduces hosts under multi-label suffixes to their registrable domain", () => {
+  assert.equal(publicSuffix("shop.acme.co.uk"), "co.uk");
+  assert.equal(registrableDomain("shop.acme.co.uk"), "acme.co.uk");
+  assert.equal(registrableDomain("co.uk"), null);
+  assert.equal(registrableDomain("acme.uk"), "acme.uk");
+});
+
+test("treats private suffixes such as github.io as public", () => {
+  assert.equal(publicSuffix("acme.github.io"), "github.io");
+  assert.equal(registrableDomain("docs.acme.github.io"), "acme.github.io");
+  assert.equal(registrableDomain("github.io"), null);
+  // The shared host itself is nobody's domain.
+  assert.equal(isRelatedDomain("github.io", ["acme.github.io"]), false);
+});
+
+test("normalizes case, trailing dots and unknown top-level domains", () => {
+  assert.equal(registrableDomain("WWW.Acme.COM."), "acme.com");
+  assert.equal(registrableDomain("intranet.acme.internal"), "acme.internal");
+  assert.equal(hostFromUrl("https://www.acme.co.uk/team"), "acme.co.uk");
+  assert.equal(hostFromUrl("localhost"), null);
+});
@@ -0,0 +1,34 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { buildExport } from "@/lib/exporters";
+import { parseDelimited } from "@/lib/tabular";
+
+// Acme's site is acme.com, but its staff use a separate mail domain.
+const row = {
+  name: "Jordan Lee",
+  firstName: "Jordan",
+  lastName: "Lee",
+  title: "CEO",
+  company: "Acme",
+  email: "jordan.lee@acme-mail.com",
+  domain: "acme-mail.com",
+  website: "https://www.acme.com",
+  source: "https://www.acme.com/team",
+};
+
+function exportTable(preset, rows = [row]) {
+  const [headers, ...values] = parseDelimited(buildExport(rows, { preset }).content).rows;
+  return values.map((cells) => Object.fromEntries(headers.map((header, index) => [header, cells[index]])));
+}
+
+test("exports the company website, not the mail domain, to HubSpot and Salesforce", () => {
+  assert.equal(exportTable("hubspot")[0]["Website URL"], "https://www.acme.com");
+  assert.equal(exportTable("salesforce")[0].Website, "https://www.acme.com");
+  assert.match(buildExport([row], { preset: "vcard" }).content, /\r\nURL:https:\/\/www\.acme\.com\r\n/);
+});
+
+test("leaves the website empty for rows stored without one", () => {
+  const [exported] = exportTable("hubspot", [{ ...row, website: undefined }]);
+  assert.equal(exported["Website URL"], "");
+  assert.doesNotMatch(buildExport([{ ...row, website: undefined }], { preset: "vcard" }).content, /URL:/);
+});
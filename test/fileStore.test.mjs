@@ -0,0 +1,18 @@
+import assert from "node:assert/strict";
+import { mkdtemp, readdir, readFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { writeJsonFile } from "@/lib/fileStore";
+
+test("concurrent writes to one file each land whole and leave no temporary files", async () => {
+  const directory = await mkdtemp(path.join(tmpdir(), "file-store-"));
+  const file = path.join(directory, "state.json");
+  const values = Array.from({ length: 20 }, (_, index) => ({ index, padding: "x".repeat(4096) }));
+
+  await Promise.all(values.map((value) => writeJsonFile(file, value)));
+
+  const written = JSON.parse(await readFile(file, "utf8"));
+  assert.ok(values.some((value) => value.index === written.index));
+  assert.deepEqual(await readdir(directory), ["state.json"]);
+});
@@ -0,0 +1,63 @@
+import assert from "node:assert/strict";
+import { afterEach, test } from "node:test";
+import { NextRequest } from "next/server";
+import { APP_SESSION_COOKIE, appSessionValue } from "@/lib/appSession";
+import { proxy } from "@/proxy";
+
+const originalToken = process.env.APP_TOKEN;
+
+afterEach(() => {
+  if (originalToken === undefined) delete process.env.APP_TOKEN;
+  else process.env.APP_TOKEN = originalToken;
+});
+
+function post(path, headers = {}) {
+  return new NextRequest(`http://localhost:3000${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify({ entries: [{ company: "Acme", website: "acme.com" }] }),
+  });
+}
+
+test("rejects /api/process without credentials when no APP_TOKEN is set", async () => {
+  delete process.env.APP_TOKEN;
+  const response = proxy(post("/api/process"));
+  assert.equal(response.status, 503);
+  assert.match((await response.json()).error, /APP_TOKEN/);
+});
+
+test("rejects /api/process without a session cookie", async () => {
+  process.env.APP_TOKEN = "secret";
+  const response = proxy(post("/api/process"));
+  assert.equal(response.status, 401);
+});
+
+test("rejects a session cookie minted for another token", () => {
+  process.env.APP_TOKEN = "secret";
+  const cookie = `${APP_SESSION_COOKIE}=${appSessionValue("other")}`;
+  assert.equal(proxy(post("/api/process", { Cookie: cookie })).status, 401);
+});
+
+test("lets a signed-in session through", () => {
+  process.env.APP_TOKEN = "secret";
+  const cookie = `${APP_SESSION_COOKIE}=${appSessionValue("secret")}`;
+  const response = proxy(post("/api/process", { Cookie: cookie }));
+  assert.equal(response.headers.get("x-middleware-next"), "1");
+});
+
+test("leaves the versioned API and the sign-in routes to their own checks", () => {
+  delete process.env.APP_TOKEN;
+  for (const path of ["/api/v1/process", "/api/session"]) {
+    assert.equal(proxy(post(path)).headers.get("x-middleware-next"), "1");
+  }
+});
+
+test("sends pages to the sign-in form", () => {
+  process.env.APP_TOKEN = "secret";
+  const response = proxy(new NextRequest("http://localhost:3000/privacy?tab=audit"));
+  assert.equal(response.status, 307);
+  assert.equal(
+    response.headers.get("location"),
+    "http://localhost:3000/login?next=%2Fprivacy%3Ftab%3Daudit"
+  );
+});
@@ -0,0 +1,137 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { crc32, deflateRawSync } from "node:zlib";
+import {
+  detectDelimiter,
+  formatDelimited,
+  parseDelimited,
+  readXlsx,
+  writeXlsx,
+} from "@/lib/tabular";
+
+test("parses quoted fields with delimiters, doubled quotes and line breaks", () => {
+  const text = 'company,website,notes\r\n"Acme, Inc.",acme.com,"Says ""hi""\non two lines"\r\n';
+  const { rows, errors } = parseDelimited(text);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(rows, [
+    ["company", "website", "notes"],
+    ["Acme, Inc.", "acme.com", 'Says "hi"\non two lines'],
+  ]);
+});
+
+test("drops a byte order mark and skips blank lines", () => {
+  const { rows } = parseDelimited("﻿company,website\n\nAcme,acme.com\n");
+  assert.deepEqual(rows, [
+    ["company", "website"],
+    ["Acme", "acme.com"],
+  ]);
+});
+
+test("reports an unterminated quote against the row it starts", () => {
+  const { rows, errors } = parseDelimited('company,website\nAcme,acme.com\n"Beta,beta.io\n');
+  assert.equal(rows.length, 3);
+  assert.deepEqual(errors, [{ row: 2, message: "Unterminated quoted field." }]);
+});
+
+test("detects semicolons and tabs, ignoring delimiters inside quotes", () => {
+  assert.equal(detectDelimiter('"Acme, Inc.";acme.com;x'), ";");
+  assert.equal(detectDelimiter("company\twebsite\nAcme\tacme.com"), "\t");
+  assert.equal(detectDelimiter("company"), ",");
+  assert.deepEqual(parseDelimited("a;b\n1;2").rows, [
+    ["a", "b"],
+    ["1", "2"],
+  ]);
+});
+
+test("round-trips rows through formatDelimited", () => {
+  const rows = [
+    ["name", "email", "note"],
+    ["Jordan Lee", "jordan@acme.com", 'Quote "this", please'],
+    ["Sam Roe", "", "Line one\nline two"],
+  ];
+  for (const delimiter of [",", ";", "\t"]) {
+    const text = formatDelimited(rows, delimiter);
+    assert.deepEqual(parseDelimited(text, delimiter).rows, rows);
+  }
+});
+
+test("round-trips rows through the XLSX writer and reader", async () => {
+  const rows = [
+    ["Name", "Email", "Note"],
+    ["Jürgen Müller", "j.muller@acme.de", "<b>&amp; co</b>"],
+    ["Sam Roe", "", "last"],
+  ];
+  const workbook = writeXlsx(rows, { sheetName: "Results & more" });
+  // Empty cells read back as empty strings in their column.
+  assert.deepEqual(await readXlsx(workbook), rows);
+});
+
+// Builds a deflated archive the way spreadsheet applications do.
+function zipDeflated(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const [name, content] of Object.entries(files)) {
+    const nameBytes = Buffer.from(name);
+    const raw = Buffer.from(content);
+    const data = deflateRawSync(raw);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(crc32(raw), 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    locals.push(local, nameBytes, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(crc32(raw), 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBytes);
+    offset += 30 + nameBytes.length + data.length;
+  }
+  const centralSize = centrals.reduce((sum, part) => sum + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(centrals.length / 2, 8);
+  end.writeUInt16LE(centrals.length / 2, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, ...centrals, end]);
+}
+
+function worksheet(value) {
+  return `<worksheet><sheetData><row r="1"><c r="A1" t="inlineStr"><is><t>${value}</t></is></c></row></sheetData></worksheet>`;
+}
+
+test("reads the first tab of a workbook whose sheets were reordered", async () => {
+  const workbook = zipDeflated({
+    "xl/workbook.xml":
+      '<workbook xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="Leads" sheetId="3" r:id="rId7"/><sheet name="Old" sheetId="1" r:id="rId1"/></sheets></workbook>',
+    "xl/_rels/workbook.xml.rels":
+      '<Relationships><Relationship Id="rId1" Type="worksheet" Target="worksheets/sheet1.xml"/><Relationship Target="/xl/worksheets/sheet3.xml" Type="worksheet" Id="rId7"/></Relationships>',
+    "xl/worksheets/sheet1.xml": worksheet("old tab"),
+    "xl/worksheets/sheet3.xml": worksheet("leads tab"),
+  });
+  assert.deepEqual(await readXlsx(workbook), [["leads tab"]]);
+});
+
+test("falls back to the lowest-numbered sheet without a workbook index", async () => {
+  const workbook = zipDeflated({
+    "xl/worksheets/sheet2.xml": worksheet("second"),
+    "xl/worksheets/sheet10.xml": worksheet("tenth"),
+  });
+  assert.deepEqual(await readXlsx(workbook), [["second"]]);
+});
+
+test("rejects a file that is not a zip archive", async () => {
+  await assert.rejects(readXlsx(Buffer.from("company,website")), /not a valid XLSX/);
+});
@@ -0,0 +1,44 @@
+import assert from "node:assert/strict";
+import { mkdtemp, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { GET } from "@/app/api/taxonomy/route";
+import { changeResultRole } from "@/lib/resultsGrid";
+import { compileTaxonomy } from "@/lib/roles";
+
+const custom = {
+  departments: [{ id: "care", label: "Care" }],
+  seniorityLevels: [
+    { id: "lead", label: "Lead", rank: 2 },
+    { id: "staff", label: "Staff", rank: 1 },
+  ],
+  roles: [{ label: "Head Nurse", synonyms: ["matron"], department: "care", seniority: "lead" }],
+};
+
+test("serves the taxonomy the server is configured with", async (t) => {
+  const directory = await mkdtemp(path.join(tmpdir(), "taxonomy-"));
+  const file = path.join(directory, "taxonomy.json");
+  await writeFile(file, JSON.stringify(custom));
+  process.env.ROLE_TAXONOMY_PATH = file;
+  t.after(() => delete process.env.ROLE_TAXONOMY_PATH);
+
+  const response = await GET();
+  assert.equal(response.status, 200);
+  const payload = await response.json();
+  assert.deepEqual(
+    payload.seniorityLevels.map((level) => level.id),
+    ["lead", "staff"]
+  );
+
+  // The grid compiles the same response to classify edited roles.
+  const { row } = changeResultRole({ role: "CEO" }, "Matron", compileTaxonomy(payload));
+  assert.equal(row.department, "care");
+  assert.equal(row.seniority, "lead");
+});
+
+test("serves the bundled taxonomy by default", async () => {
+  delete process.env.ROLE_TAXONOMY_PATH;
+  const payload = await (await GET()).json();
+  assert.ok(payload.seniorityLevels.some((level) => level.id === "c-level"));
+});
@@ -0,0 +1,133 @@
+import assert from "node:assert/strict";
+import net from "node:net";
+import { after, test } from "node:test";
+import { createVerifier } from "@/lib/verification";
+
+const servers = [];
+
+after(() => Promise.all(servers.map((server) => new Promise((done) => server.close(done)))));
+
+// A minimal SMTP server: it greets, accepts EHLO and MAIL FROM, and answers RCPT TO
+// from its mailbox list (or accepts everyone when catchAll is set).
+async function startSmtpStub({ mailboxes = [], catchAll = false, silent = false } = {}) {
+  const received = [];
+  const server = net.createServer((socket) => {
+    socket.setEncoding("utf8");
+    if (silent) return;
+    socket.write("220 stub.test ESMTP\r\n");
+    let buffer = "";
+    socket.on("data", (chunk) => {
+      buffer += chunk;
+      let newline = buffer.indexOf("\r\n");
+      while (newline >= 0) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 2);
+        received.push(line);
+        socket.write(reply(line));
+        if (line === "QUIT") socket.end();
+        newline = buffer.indexOf("\r\n");
+      }
+    });
+  });
+  const reply = (line) => {
+    if (line.startsWith("EHLO")) return "250-stub.test\r\n250 SIZE 1000000\r\n";
+    if (line.startsWith("MAIL FROM")) return "250 OK\r\n";
+    if (line.startsWith("RCPT TO")) {
+      const address = line.match(/<([^>]*)>/)[1];
+      return catchAll || mailboxes.includes(address)
+        ? "250 Accepted\r\n"
+        : "550 No such user\r\n";
+    }
+    if (line === "QUIT") return "221 Bye\r\n";
+    return "502 Not implemented\r\n";
+  };
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  servers.push(server);
+  return { port: server.address().port, received };
+}
+
+function verifierFor(port, options = {}) {
+  return createVerifier({
+    smtpHost: "127.0.0.1",
+    smtpPort: port,
+    heloName: "verifier.test",
+    timeoutMs: 500,
+    resolveMx: async () => [
+      { exchange: "mx2.acme.test", priority: 20 },
+      { exchange: "mx1.acme.test", priority: 10 },
+    ],
+    ...options,
+  });
+}
+
+test("reports a mailbox the server accepts as deliverable", async () => {
+  const stub = await startSmtpStub({ mailboxes: ["jordan.lee@acme.test"] });
+  const result = await verifierFor(stub.port).verifyEmail("jordan.lee@acme.test");
+
+  assert.equal(result.status, "deliverable");
+  assert.equal(result.code, 250);
+  // The lowest-priority MX host is the one reported.
+  assert.equal(result.mxHost, "mx1.acme.test");
+  assert.ok(stub.received.includes("EHLO verifier.test"));
+  assert.ok(stub.received.includes("MAIL FROM:<>"));
+  assert.ok(stub.received.includes("RCPT TO:<jordan.lee@acme.test>"));
+});
+
+test("reports a refused mailbox as undeliverable", async () => {
+  const stub = await startSmtpStub({ mailboxes: ["someone.else@acme.test"] });
+  const result = await verifierFor(stub.port).verifyEmail("jordan.lee@acme.test");
+
+  assert.equal(result.status, "undeliverable");
+  assert.equal(result.code, 550);
+});
+
+test("detects a catch-all domain with a random probe address", async () => {
+  const stub = await startSmtpStub({ catchAll: true });
+  const verifier = verifierFor(stub.port);
+  const result = await verifier.verifyEmail("jordan.lee@acme.test");
+
+  assert.equal(result.status, "catch-all");
+  const probes = stub.received.filter((line) => /^RCPT TO:<[0-9a-f]{16}-probe@acme\.test>$/.test(line));
+  assert.equal(probes.length, 1);
+
+  // The catch-all probe runs once per domain.
+  await verifier.verifyEmail("sam.roe@acme.test");
+  assert.equal(
+    stub.received.filter((line) => /-probe@acme\.test>$/.test(line)).length,
+    1
+  );
+});
+
+test("reports a domain without MX records as no-mx", async () => {
+  const verifier = createVerifier({
+    resolveMx: async () => {
+      throw Object.assign(new Error("queryMx ENOTFOUND acme.invalid"), { code: "ENOTFOUND" });
+    },
+  });
+  const result = await verifier.verifyEmail("jordan.lee@acme.invalid");
+  assert.equal(result.status, "no-mx");
+});
+
+test("reports a failed MX lookup as unknown", async () => {
+  const verifier = createVerifier({
+    resolveMx: async () => {
+      throw Object.assign(new Error("queryMx ETIMEOUT acme.test"), { code: "ETIMEOUT" });
+    },
+  });
+  const result = await verifier.verifyEmail("jordan.lee@acme.test");
+  assert.equal(result.status, "unknown");
+  assert.match(result.detail, /MX lookup failed/);
+});
+
+test("gives up on a server that never answers", async () => {
+  const stub = await startSmtpStub({ silent: true });
+  const started = Date.now();
+  const result = await verifierFor(stub.port, { timeoutMs: 200 }).verifyEmail(
+    "jordan.lee@acme.test"
+  );
+
+  assert.equal(result.status, "unknown");
+  assert.match(result.detail, /timed out/);
+  assert.ok(Date.now() - started < 2000);
+});
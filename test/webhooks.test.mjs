@@ -0,0 +1,152 @@
+import assert from "node:assert/strict";
+import { mkdtemp } from "node:fs/promises";
+import http from "node:http";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+
+let createJob;
+let readDeliveries;
+let deliverWebhook;
+let signPayload;
+let summarizeDeliveries;
+let WEBHOOK_HEADERS;
+
+const servers = [];
+
+before(async () => {
+  process.env.DATA_DIR = await mkdtemp(path.join(tmpdir(), "webhooks-"));
+  ({ createJob, readDeliveries } = await import("@/lib/jobStore"));
+  ({ deliverWebhook, signPayload, summarizeDeliveries, WEBHOOK_HEADERS } = await import(
+    "@/lib/webhooks"
+  ));
+});
+
+after(() => Promise.all(servers.map((server) => new Promise((done) => server.close(done)))));
+
+// Answers each request with the next status in the list and keeps what it received.
+async function startReceiver(statuses) {
+  const requests = [];
+  const server = http.createServer((request, response) => {
+    let body = "";
+    request.setEncoding("utf8");
+    request.on("data", (chunk) => {
+      body += chunk;
+    });
+    request.on("end", () => {
+      requests.push({ headers: request.headers, body, at: Date.now() });
+      response.statusCode = statuses[Math.min(requests.length, statuses.length) - 1];
+      response.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  servers.push(server);
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, requests };
+}
+
+const settings = { secret: "shh", maxAttempts: 4, retryBaseMs: 40, timeoutMs: 1000 };
+
+test("signs the body with the shared secret and the timestamp header", async () => {
+  const job = await createJob({ entries: [{ company: "Acme" }] });
+  const receiver = await startReceiver([200]);
+  const delivery = await deliverWebhook(
+    job.id,
+    { url: receiver.url, event: "job.completed", payload: { results: [] } },
+    settings
+  );
+
+  assert.deepEqual({ ok: delivery.ok, attempts: delivery.attempts }, { ok: true, attempts: 1 });
+  const [request] = receiver.requests;
+  const timestamp = request.headers[WEBHOOK_HEADERS.timestamp.toLowerCase()];
+  assert.equal(
+    request.headers[WEBHOOK_HEADERS.signature.toLowerCase()],
+    signPayload("shh", timestamp, request.body)
+  );
+  assert.notEqual(
+    request.headers[WEBHOOK_HEADERS.signature.toLowerCase()],
+    signPayload("other", timestamp, request.body)
+  );
+  const body = JSON.parse(request.body);
+  assert.equal(body.event, "job.completed");
+  assert.equal(body.jobId, job.id);
+  assert.equal(request.headers[WEBHOOK_HEADERS.id.toLowerCase()], body.id);
+});
+
+test("retries server errors with doubling delays, then records the failure", async () => {
+  const job = await createJob({ entries: [{ company: "Acme" }] });
+  const receiver = await startReceiver([503]);
+  const delivery = await deliverWebhook(
+    job.id,
+    { url: receiver.url, event: "job.completed", payload: {} },
+    settings
+  );
+
+  assert.deepEqual({ ok: delivery.ok, attempts: delivery.attempts }, { ok: false, attempts: 4 });
+  assert.equal(receiver.requests.length, 4);
+  const gaps = receiver.requests.slice(1).map((request, index) => request.at - receiver.requests[index].at);
+  [40, 80, 160].forEach((delay, index) => assert.ok(gaps[index] >= delay - 5, `gap ${index}`));
+
+  // Every attempt carries the same delivery id, so receivers can drop duplicates.
+  const ids = new Set(receiver.requests.map((request) => request.headers["x-webhook-id"]));
+  assert.equal(ids.size, 1);
+
+  const attempts = await readDeliveries(job.id);
+  assert.deepEqual(
+    attempts.map((attempt) => [attempt.attempt, attempt.status, Boolean(attempt.nextAttemptAt)]),
+    [
+      [1, 503, true],
+      [2, 503, true],
+      [3, 503, true],
+      [4, 503, false],
+    ]
+  );
+  const [summary] = await summarizeDeliveries(job.id);
+  assert.equal(summary.status, "failed");
+  assert.equal(summary.attempts.at(-1).error, "Receiver answered 503.");
+});
+
+test("recovers when a retry succeeds", async () => {
+  const job = await createJob({ entries: [{ company: "Acme" }] });
+  const receiver = await startReceiver([500, 200]);
+  const delivery = await deliverWebhook(
+    job.id,
+    { url: receiver.url, event: "company.completed", payload: {} },
+    settings
+  );
+
+  assert.deepEqual({ ok: delivery.ok, attempts: delivery.attempts }, { ok: true, attempts: 2 });
+  const [summary] = await summarizeDeliveries(job.id);
+  assert.equal(summary.status, "delivered");
+});
+
+test("does not retry a payload the receiver rejects", async () => {
+  const job = await createJob({ entries: [{ company: "Acme" }] });
+  const receiver = await startReceiver([400]);
+  const delivery = await deliverWebhook(
+    job.id,
+    { url: receiver.url, event: "job.completed", payload: {} },
+    settings
+  );
+
+  assert.equal(delivery.attempts, 1);
+  assert.equal(receiver.requests.length, 1);
+  const [summary] = await summarizeDeliveries(job.id);
+  assert.equal(summary.status, "failed");
+});
+
+test("records an unreachable receiver as a failed attempt with its error", async () => {
+  const job = await createJob({ entries: [{ company: "Acme" }] });
+  const receiver = await startReceiver([200]);
+  const closed = servers.pop();
+  await new Promise((done) => closed.close(done));
+
+  const delivery = await deliverWebhook(
+    job.id,
+    { url: receiver.url, event: "job.failed", payload: {} },
+    { ...settings, maxAttempts: 2 }
+  );
+  assert.deepEqual({ ok: delivery.ok, attempts: delivery.attempts }, { ok: false, attempts: 2 });
+  const attempts = await readDeliveries(job.id);
+  assert.equal(attempts.length, 2);
+  assert.ok(attempts.every((attempt) => attempt.status === null && attempt.error));
+});